@@ -12,6 +12,8 @@ module.exports = {
    sshConnection: false,
    fileConnection: false,
    cancelQueries: false,
+   explain: false,
+   explainAnalyze: false,
    // Tools
    processesList: false,
    usersManagement: false,
@@ -28,6 +30,7 @@ module.exports = {
    // Settings
    elementsWrapper: '',
    stringsWrapper: '"',
+   ilike: false,
    tableAdd: false,
    viewAdd: false,
    triggerAdd: false,
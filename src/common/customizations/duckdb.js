@@ -0,0 +1,27 @@
+const defaults = require('./defaults');
+
+module.exports = {
+   ...defaults,
+   // Core
+   fileConnection: true,
+   // Structure
+   schemas: true,
+   tables: true,
+   views: true,
+   // Settings
+   elementsWrapper: '"',
+   stringsWrapper: '\'',
+   ilike: true,
+   tableAdd: true,
+   viewAdd: true,
+   schemaDrop: true,
+   schemaEdit: false,
+   tableSettings: true,
+   tableRealCount: true,
+   viewSettings: true,
+   indexes: true,
+   sortableFields: false,
+   nullable: true,
+   nullablePrimary: false,
+   readOnlyMode: true
+};
@@ -1,6 +1,8 @@
 module.exports = {
+   duckdb: require('./duckdb'),
    maria: require('./mysql'),
    mysql: require('./mysql'),
+   mssql: require('./mssql'),
    pg: require('./postgresql'),
    sqlite: require('./sqlite')
 };
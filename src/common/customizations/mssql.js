@@ -0,0 +1,52 @@
+const defaults = require('./defaults');
+
+module.exports = {
+   ...defaults,
+   // Defaults
+   defaultPort: 1433,
+   defaultUser: 'sa',
+   defaultDatabase: 'master',
+   // Core
+   database: true,
+   sslConnection: true,
+   sshConnection: true,
+   cancelQueries: true,
+   // Tools
+   processesList: true,
+   // Structure
+   schemas: true,
+   tables: true,
+   views: true,
+   triggers: true,
+   routines: true,
+   functions: true,
+   // Settings
+   elementsWrapper: '"',
+   stringsWrapper: '\'',
+   tableAdd: true,
+   viewAdd: true,
+   triggerAdd: true,
+   routineAdd: true,
+   functionAdd: true,
+   schemaDrop: true,
+   databaseEdit: false,
+   tableSettings: true,
+   viewSettings: true,
+   triggerSettings: true,
+   routineSettings: true,
+   functionSettings: true,
+   indexes: true,
+   foreigns: true,
+   nullable: true,
+   autoIncrement: true,
+   parametersLength: true,
+   procedureSql: 'BEGIN\r\n\r\nEND',
+   procedureContext: true,
+   functionSql: 'BEGIN\r\n   RETURN NULL\r\nEND',
+   triggerSql: 'BEGIN\r\n\r\nEND',
+   triggerMultipleEvents: true,
+   triggerTableInName: true,
+   triggerOnlyRename: false,
+   triggerEnableDisable: true,
+   readOnlyMode: false
+};
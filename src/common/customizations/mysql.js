@@ -13,6 +13,7 @@ module.exports = {
    sslConnection: true,
    sshConnection: true,
    cancelQueries: true,
+   explain: true,
    // Tools
    processesList: true,
    // Structure
@@ -24,7 +25,7 @@ module.exports = {
    functions: true,
    schedulers: true,
    // Settings
-   elementsWrapper: '',
+   elementsWrapper: '`',
    stringsWrapper: '"',
    tableAdd: true,
    viewAdd: true,
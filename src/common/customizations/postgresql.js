@@ -11,6 +11,8 @@ module.exports = {
    sslConnection: true,
    sshConnection: true,
    cancelQueries: true,
+   explain: true,
+   explainAnalyze: true,
    // Tools
    processesList: true,
    // Structure
@@ -24,6 +26,7 @@ module.exports = {
    // Settings
    elementsWrapper: '"',
    stringsWrapper: '\'',
+   ilike: true,
    tableAdd: true,
    viewAdd: true,
    triggerAdd: true,
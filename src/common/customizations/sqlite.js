@@ -1,6 +1,7 @@
 module.exports = {
    // Core
    fileConnection: true,
+   explain: true,
    // Structure
    schemas: false,
    tables: true,
@@ -13,6 +14,9 @@ module.exports = {
    viewAdd: true,
    triggerAdd: true,
    schemaEdit: false,
+   schemaExport: true,
+   exportByChunks: true,
+   schemaImport: true,
    tableSettings: true,
    tableRealCount: true,
    viewSettings: true,
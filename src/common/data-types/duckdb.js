@@ -0,0 +1,153 @@
+module.exports = [
+   {
+      group: 'integer',
+      types: [
+         {
+            name: 'TINYINT',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'SMALLINT',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'INTEGER',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'BIGINT',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'HUGEINT',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'UTINYINT',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'USMALLINT',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'UINTEGER',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'UBIGINT',
+            length: false,
+            unsigned: false
+         }
+      ]
+   },
+   {
+      group: 'float',
+      types: [
+         {
+            name: 'REAL',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'DOUBLE',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'DECIMAL',
+            length: true,
+            unsigned: false,
+            scale: true
+         }
+      ]
+   },
+   {
+      group: 'string',
+      types: [
+         {
+            name: 'VARCHAR',
+            length: false,
+            unsigned: false
+         }
+      ]
+   },
+   {
+      group: 'binary',
+      types: [
+         {
+            name: 'BLOB',
+            length: false,
+            unsigned: false
+         }
+      ]
+   },
+   {
+      group: 'time',
+      types: [
+         {
+            name: 'DATE',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'TIME',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'TIMESTAMP',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'TIMESTAMP WITH TIME ZONE',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'INTERVAL',
+            length: false,
+            unsigned: false
+         }
+      ]
+   },
+   {
+      group: 'boolean',
+      types: [
+         {
+            name: 'BOOLEAN',
+            length: false,
+            unsigned: false
+         }
+      ]
+   },
+   {
+      group: 'bit',
+      types: [
+         {
+            name: 'BIT',
+            length: false,
+            unsigned: false
+         }
+      ]
+   },
+   {
+      group: 'uuid',
+      types: [
+         {
+            name: 'UUID',
+            length: false,
+            unsigned: false
+         }
+      ]
+   }
+];
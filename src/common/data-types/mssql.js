@@ -0,0 +1,214 @@
+module.exports = [
+   {
+      group: 'integer',
+      types: [
+         {
+            name: 'TINYINT',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'SMALLINT',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'INT',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'BIGINT',
+            length: false,
+            unsigned: false
+         }
+      ]
+   },
+   {
+      group: 'float',
+      types: [
+         {
+            name: 'DECIMAL',
+            length: true,
+            unsigned: false,
+            scale: true
+         },
+         {
+            name: 'NUMERIC',
+            length: true,
+            unsigned: false,
+            scale: true
+         },
+         {
+            name: 'FLOAT',
+            length: true,
+            unsigned: false
+         },
+         {
+            name: 'REAL',
+            length: false,
+            unsigned: false
+         }
+      ]
+   },
+   {
+      group: 'monetary',
+      types: [
+         {
+            name: 'SMALLMONEY',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'MONEY',
+            length: false,
+            unsigned: false
+         }
+      ]
+   },
+   {
+      group: 'string',
+      types: [
+         {
+            name: 'CHAR',
+            length: true,
+            unsigned: false
+         },
+         {
+            name: 'VARCHAR',
+            length: true,
+            unsigned: false
+         },
+         {
+            name: 'TEXT',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'NCHAR',
+            length: true,
+            unsigned: false
+         },
+         {
+            name: 'NVARCHAR',
+            length: true,
+            unsigned: false
+         },
+         {
+            name: 'NTEXT',
+            length: false,
+            unsigned: false
+         }
+      ]
+   },
+   {
+      group: 'binary',
+      types: [
+         {
+            name: 'BINARY',
+            length: true,
+            unsigned: false
+         },
+         {
+            name: 'VARBINARY',
+            length: true,
+            unsigned: false
+         },
+         {
+            name: 'IMAGE',
+            length: false,
+            unsigned: false
+         }
+      ]
+   },
+   {
+      group: 'time',
+      types: [
+         {
+            name: 'DATE',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'TIME',
+            length: true,
+            unsigned: false
+         },
+         {
+            name: 'SMALLDATETIME',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'DATETIME',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'DATETIME2',
+            length: true,
+            unsigned: false
+         },
+         {
+            name: 'DATETIMEOFFSET',
+            length: true,
+            unsigned: false
+         }
+      ]
+   },
+   {
+      group: 'boolean',
+      types: [
+         {
+            name: 'BIT',
+            length: false,
+            unsigned: false
+         }
+      ]
+   },
+   {
+      group: 'spatial',
+      types: [
+         {
+            name: 'GEOMETRY',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'GEOGRAPHY',
+            length: false,
+            unsigned: false
+         }
+      ]
+   },
+   {
+      group: 'other',
+      types: [
+         {
+            name: 'UNIQUEIDENTIFIER',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'XML',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'SQL_VARIANT',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'HIERARCHYID',
+            length: false,
+            unsigned: false
+         },
+         {
+            name: 'ROWVERSION',
+            length: false,
+            unsigned: false
+         }
+      ]
+   }
+];
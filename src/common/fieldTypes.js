@@ -2,13 +2,17 @@ export const TEXT = [
    'CHAR',
    'VARCHAR',
    'CHARACTER',
-   'CHARACTER VARYING'
+   'CHARACTER VARYING',
+   'NCHAR',
+   'NVARCHAR',
+   'UNIQUEIDENTIFIER'
 ];
 
 export const LONG_TEXT = [
    'TEXT',
    'MEDIUMTEXT',
    'LONGTEXT',
+   'NTEXT',
    'JSON',
    'VARBINARY'
 ];
@@ -29,6 +33,11 @@ export const NUMBER = [
    'SMALLINT',
    'MEDIUMINT',
    'BIGINT',
+   'HUGEINT',
+   'UTINYINT',
+   'USMALLINT',
+   'UINTEGER',
+   'UBIGINT',
    'DECIMAL',
    'NUMERIC',
    'INTEGER',
@@ -45,7 +54,8 @@ export const FLOAT = [
    'DOUBLE',
    'REAL',
    'DOUBLE PRECISION',
-   'MONEY'
+   'MONEY',
+   'SMALLMONEY'
 ];
 
 export const BOOLEAN = [
@@ -64,13 +74,17 @@ export const DATETIME = [
    'DATETIME',
    'TIMESTAMP',
    'TIMESTAMP WITHOUT TIME ZONE',
-   'TIMESTAMP WITH TIME ZONE'
+   'TIMESTAMP WITH TIME ZONE',
+   'SMALLDATETIME',
+   'DATETIME2',
+   'DATETIMEOFFSET'
 ];
 
 // Used to check datetime fields only
 export const HAS_TIMEZONE = [
    'TIMESTAMP WITH TIME ZONE',
-   'TIME WITH TIME ZONE'
+   'TIME WITH TIME ZONE',
+   'DATETIMEOFFSET'
 ];
 
 export const BLOB = [
@@ -78,7 +92,8 @@ export const BLOB = [
    'TINYBLOB',
    'MEDIUMBLOB',
    'LONGBLOB',
-   'BYTEA'
+   'BYTEA',
+   'IMAGE'
 ];
 
 export const BIT = [
@@ -0,0 +1,5 @@
+module.exports = [
+   'PRIMARY',
+   'INDEX',
+   'UNIQUE'
+];
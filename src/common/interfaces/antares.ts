@@ -2,17 +2,26 @@ import * as mysql from 'mysql2/promise';
 import * as pg from 'pg';
 import MysqlExporter from 'src/main/libs/exporters/sql/MysqlExporter';
 import PostgreSQLExporter from 'src/main/libs/exporters/sql/PostgreSQLExporter';
+import SqliteExporter from 'src/main/libs/exporters/sql/SqliteExporter';
+import CsvExporter from 'src/main/libs/exporters/csv/CsvExporter';
+import JsonExporter from 'src/main/libs/exporters/json/JsonExporter';
+import XlsxExporter from 'src/main/libs/exporters/xlsx/XlsxExporter';
+import ConversionExporter from 'src/main/libs/exporters/sql/ConversionExporter';
 import MySQLImporter from 'src/main/libs/importers/sql/MySQLlImporter';
 import PostgreSQLImporter from 'src/main/libs/importers/sql/PostgreSQLImporter';
+import SQLiteImporter from 'src/main/libs/importers/sql/SQLiteImporter';
+import CsvImporter from 'src/main/libs/importers/csv/CsvImporter';
 import SSHConfig from 'ssh2-promise/lib/sshConfig';
+import { DuckDBClient } from '../../main/libs/clients/DuckDBClient';
 import { MySQLClient } from '../../main/libs/clients/MySQLClient';
+import { MSSQLClient } from '../../main/libs/clients/MSSQLClient';
 import { PostgreSQLClient } from '../../main/libs/clients/PostgreSQLClient';
 import { SQLiteClient } from '../../main/libs/clients/SQLiteClient';
 
-export type Client = MySQLClient | PostgreSQLClient | SQLiteClient
-export type ClientCode = 'mysql' | 'maria' | 'pg' | 'sqlite'
-export type Exporter = MysqlExporter | PostgreSQLExporter
-export type Importer = MySQLImporter | PostgreSQLImporter
+export type Client = MySQLClient | PostgreSQLClient | SQLiteClient | MSSQLClient | DuckDBClient
+export type ClientCode = 'mysql' | 'maria' | 'pg' | 'sqlite' | 'mssql' | 'duckdb'
+export type Exporter = MysqlExporter | PostgreSQLExporter | SqliteExporter | CsvExporter | JsonExporter | XlsxExporter | ConversionExporter
+export type Importer = MySQLImporter | PostgreSQLImporter | SQLiteImporter | CsvImporter
 
 /**
  * Pasameters needed to create a new Antares connection to a database
@@ -264,6 +273,12 @@ export interface QueryBuilderObject {
    // eslint-disable-next-line @typescript-eslint/no-explicit-any
    insert: {[key: string]: any}[];
    delete: boolean;
+   params: unknown[];
+}
+
+export interface QueryStatement {
+   sql: string;
+   params: unknown[];
 }
 
 export interface QueryParams {
@@ -274,6 +289,8 @@ export interface QueryParams {
    autocommit?: boolean;
    schema?: string;
    tabUid?: string;
+   /** Values bound to the placeholders of a single statement */
+   params?: unknown[];
 }
 
 export interface QueryField {
@@ -310,3 +327,21 @@ export interface QueryResult<T = any> {
    keys: QueryForeign[];
    duration: number;
 }
+
+/** Error of a statement run by a raw call with a list of statements */
+export interface StatementsError extends Error {
+   /** Results of each statement run before the failing one */
+   results: QueryResult[][];
+}
+
+export interface ExplainNode {
+   label: string;
+   detail?: string;
+   condition?: string;
+   cost?: number;
+   rows?: number;
+   actualRows?: number;
+   actualTime?: number;
+   fullScan: boolean;
+   children: ExplainNode[];
+}
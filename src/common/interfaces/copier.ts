@@ -0,0 +1,28 @@
+import * as antares from './antares';
+
+export interface CopyClient {
+   name: antares.ClientCode;
+   // eslint-disable-next-line @typescript-eslint/no-explicit-any
+   config: any;
+}
+
+export interface CopyOptions {
+   schema: string;
+   table: string;
+   targetSchema: string;
+   targetTable: string;
+   /**
+    * - drop: drops the target table if exists and creates it again
+    * - truncate: empties the target table if exists, creates it otherwise
+    * - append: inserts rows in the target table, creating it if doesn't exist
+    */
+   mode: 'drop' | 'truncate' | 'append';
+   batchSize: number;
+}
+
+export interface CopyState {
+   totalRows?: number;
+   rowCount?: number;
+   percentage?: number;
+   op?: string;
+}
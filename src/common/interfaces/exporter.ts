@@ -5,6 +5,15 @@ export interface TableParams {
    includeDropStatement: boolean;
 }
 
+export interface CsvOptions {
+   delimiter: string;
+   quote: string;
+   quoteAll: boolean;
+   header: boolean;
+   nullValue: string;
+   lineEnding: '\n' | '\r\n';
+}
+
 export interface ExportOptions {
    schema: string;
    includes: {
@@ -14,10 +23,12 @@ export interface ExportOptions {
       routines: boolean;
       schedulers: boolean;
    };
-   outputFormat: 'sql' | 'sql.zip';
+   outputFormat: 'sql' | 'sql.zip' | 'csv' | 'csv.zip' | 'json' | 'json.zip' | 'ndjson' | 'ndjson.zip' | 'xlsx';
    outputFile: string;
    sqlInsertAfter: number;
    sqlInsertDivider: 'bytes' | 'rows';
+   csv?: CsvOptions;
+   targetClient?: 'mysql' | 'pg';
 }
 
 export interface ExportState {
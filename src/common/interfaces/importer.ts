@@ -7,10 +7,22 @@ export interface ImportOptions {
    file: string;
 }
 
+export interface CsvImportOptions extends ImportOptions {
+   table: string;
+   delimiter: string;
+   quote: string;
+   header: boolean;
+   encoding: BufferEncoding;
+   nullMarker: string;
+   /** Table field name as key and CSV column index as value */
+   mapping: {[field: string]: number};
+}
+
 export interface ImportState {
    fileSize?: number;
    readPosition?: number;
    percentage?: number;
    queryCount?: number;
+   rowCount?: number;
    op?: string;
 }
@@ -0,0 +1,37 @@
+export type SearchColumnType = 'text' | 'number' | 'date' | 'other';
+
+export interface SearchOptions {
+   schema: string;
+   /** Base tables of the schema */
+   tables: string[];
+   term: string;
+   /**
+    * - contains: the term is searched inside the values
+    * - pattern: the values have to match the term, where % and _ are wildcards
+    */
+   mode: 'contains' | 'pattern';
+   /** Table names to search, where * and ? are wildcards */
+   tablePattern?: string;
+   columnTypes: SearchColumnType[];
+   /** Hits reported for each table */
+   maxHits: number;
+}
+
+export interface SearchHit {
+   table: string;
+   /** Null when the matching column can't be told from the returned values */
+   column: string;
+   value: unknown;
+   /** Values of the primary or unique key columns, null for tables without keys */
+   keys: {[key: string]: unknown};
+}
+
+export interface SearchState {
+   totalTables?: number;
+   searchedTables?: number;
+   hitCount?: number;
+   percentage?: number;
+   currentTable?: string;
+   /** Tables that couldn't be searched, with the reason */
+   errors?: string[];
+}
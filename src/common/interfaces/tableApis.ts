@@ -18,3 +18,97 @@ export interface InsertRowsParams {
    fields: {[key: string]: string};
    locale: UsableLocale;
 }
+
+export interface InsertValuesParams {
+   uid: string;
+   schema: string;
+   table: string;
+   row: {[key: string]: unknown};
+   repeat: number;
+   fields: {[key: string]: string};
+}
+
+export interface UpdateCellParams {
+   uid: string;
+   schema: string;
+   table: string;
+   field: string;
+   type: string;
+   content: unknown;
+   /** Values of the primary or unique key columns of the row */
+   keys?: {[key: string]: unknown};
+   orgRow: {[key: string]: unknown};
+   row?: {[key: string]: unknown};
+}
+
+export interface DeleteRowsParams {
+   uid: string;
+   schema: string;
+   table: string;
+   /** Values of the primary or unique key columns of every row */
+   keys?: {[key: string]: unknown}[];
+   /** Whole rows, matched by all their values when the table has no keys */
+   rows?: {[key: string]: unknown}[];
+}
+
+export interface TableChange {
+   action: 'insert' | 'update' | 'delete';
+   /** Inserted rows */
+   rows?: {[key: string]: unknown}[];
+   fields?: {[key: string]: string};
+   /** Updated cell */
+   field?: string;
+   type?: string;
+   content?: unknown;
+   /** Updated or deleted row */
+   keys?: {[key: string]: unknown};
+   orgRow?: {[key: string]: unknown};
+}
+
+export interface TableChangesParams {
+   uid: string;
+   schema: string;
+   table: string;
+   changes: TableChange[];
+}
+
+export interface ForeignListParams {
+   uid: string;
+   schema: string;
+   table: string;
+   /** Referenced column */
+   column: string;
+   /** Text column shown next to the values */
+   description?: string;
+   /** Matched against both the column and the description */
+   search?: string;
+   limit: number;
+   offset: number;
+}
+
+export type FilterOperator = '=' | '!=' | '>' | '<' | '>=' | '<=' | 'IN' | 'NOT IN' | 'LIKE' | 'NOT LIKE' | 'ILIKE' | 'CONTAINS' | 'STARTS WITH' | 'BETWEEN' | 'IS NULL' | 'IS NOT NULL';
+
+export interface FilterRule {
+   type: 'rule';
+   field: string;
+   op: FilterOperator;
+   /** Bound values: none for IS NULL, two for BETWEEN, the list for IN */
+   values: unknown[];
+}
+
+export interface FilterGroup {
+   type: 'group';
+   operator: 'AND' | 'OR';
+   not?: boolean;
+   children: (FilterGroup | FilterRule)[];
+}
+
+export interface TableDataParams {
+   uid: string;
+   schema: string;
+   table: string;
+   limit: number;
+   page: number;
+   sortParams?: { field?: string; dir?: 'asc' | 'desc' };
+   filters?: FilterGroup;
+}
@@ -1,4 +1,4 @@
-export type WorkerEvent = 'export-progress' | 'import-progress' | 'query-error' | 'end' | 'cancel' | 'error'
+export type WorkerEvent = 'export-progress' | 'import-progress' | 'copy-progress' | 'search-progress' | 'search-hits' | 'query-error' | 'end' | 'cancel' | 'error'
 
 export interface WorkerIpcMessage {
    type: WorkerEvent;
@@ -0,0 +1,19 @@
+'use strict';
+
+/**
+ * Columns that identify a row, the primary key or the first unique key without nullable columns
+ *
+ * @param {{name: string; column: string; type: string}[]} indexes Indexes of the table, an item for each column
+ * @param {{name: string; nullable?: boolean}[]} columns Columns of the table
+ * @returns {string[]} Key columns, empty when no key identifies a row
+ */
+export default function getRowKeys (indexes, columns) {
+   const nullables = columns.filter(column => column.nullable).map(column => column.name);
+   const primary = indexes.filter(index => index.type === 'PRIMARY');
+   const unique = indexes.filter(index => index.type === 'UNIQUE');
+   const uniqueName = [...new Set(unique.map(index => index.name))]
+      .find(name => unique.every(index => index.name !== name || !nullables.includes(index.column)));
+   const keys = primary.length ? primary : unique.filter(index => index.name === uniqueName);
+
+   return keys.map(index => index.column);
+}
@@ -1,4 +1,6 @@
 import { app, ipcMain, dialog } from 'electron';
+import { PassThrough } from 'stream';
+import { XlsxWriter } from '../libs/exporters/XlsxWriter';
 
 export default () => {
    ipcMain.on('close-app', () => {
@@ -17,4 +19,32 @@ export default () => {
    ipcMain.handle('get-download-dir-path', () => {
       return app.getPath('downloads');
    });
+
+   ipcMain.handle('get-xlsx-file', async (event, { sheets }) => {
+      try {
+         const output = new PassThrough();
+         const chunks: Buffer[] = [];
+         const xlsx = new XlsxWriter(output);
+
+         output.on('data', chunk => chunks.push(chunk));
+
+         for (const sheet of sheets) {
+            xlsx.addSheet(sheet.name, sheet.columns);
+            for (const row of sheet.rows)
+               await xlsx.addRow(row);
+            await xlsx.endSheet();
+         }
+
+         await xlsx.finalize();
+         await new Promise(resolve => {
+            output.once('end', resolve);
+            output.end();
+         });
+
+         return { status: 'success', response: Buffer.concat(chunks) };
+      }
+      catch (err) {
+         return { status: 'error', response: err.toString() };
+      }
+   });
 };
@@ -1,15 +1,20 @@
 import * as antares from 'common/interfaces/antares';
+import { ImportOptions } from 'common/interfaces/importer';
+import { SearchOptions } from 'common/interfaces/searcher';
 import * as workers from 'common/interfaces/workers';
 import * as fs from 'fs';
 import * as path from 'path';
 import { ChildProcess, fork } from 'child_process';
 import { ipcMain, dialog } from 'electron';
+import CSVParser from '../libs/parsers/CSVParser';
 
 const isDevelopment = process.env.NODE_ENV !== 'production';
 
 export default (connections: {[key: string]: antares.Client}) => {
    let exporter: ChildProcess = null;
    let importer: ChildProcess = null;
+   let copier: ChildProcess = null;
+   let searcher: ChildProcess = null;
 
    ipcMain.handle('create-schema', async (event, params) => {
       try {
@@ -151,8 +156,14 @@ export default (connections: {[key: string]: antares.Client}) => {
       }
    });
 
+   /**
+    * A `query` string is split in statements by the client.
+    * `query` can be a list of statements, run in order on the same connection without further splitting,
+    * as the query tab does with the statements of the renderer splitter.
+    * Their response holds the results of each statement run and the error of the failing one
+    */
    ipcMain.handle('raw-query', async (event, { uid, query, schema, tabUid, autocommit }) => {
-      if (!query) return;
+      if (!query || !query.length) return;
 
       try {
          const result = await connections[uid].raw(query, {
@@ -164,6 +175,19 @@ export default (connections: {[key: string]: antares.Client}) => {
             comments: false
          });
 
+         return { status: 'success', response: Array.isArray(query) ? { results: result, error: null } : result };
+      }
+      catch (err) {
+         if (Array.isArray(query) && err.results)
+            return { status: 'success', response: { results: err.results, error: err.toString() } };
+
+         return { status: 'error', response: err.toString() };
+      }
+   });
+
+   ipcMain.handle('explain-query', async (event, { uid, query, schema, analyze }) => {
+      try {
+         const result = await connections[uid].explain(query, { schema, analyze });
          return { status: 'success', response: result };
       }
       catch (err) {
@@ -176,7 +200,8 @@ export default (connections: {[key: string]: antares.Client}) => {
 
       return new Promise((resolve/*, reject */) => {
          (async () => {
-            if (fs.existsSync(rest.outputFile)) { // If file exists ask for replace
+            // If file exists ask for replace, directory outputs are created with a new name instead
+            if (fs.existsSync(rest.outputFile) && !fs.statSync(rest.outputFile).isDirectory()) {
                const result = await dialog.showMessageBox({
                   type: 'warning',
                   message: `File ${rest.outputFile} already exists. Do you want to replace it?`,
@@ -264,9 +289,7 @@ export default (connections: {[key: string]: antares.Client}) => {
       return { status: 'success', response: { willAbort } };
    });
 
-   ipcMain.handle('import-sql', async (event, options) => {
-      if (importer !== null) return;
-
+   const startImporter = (event: Electron.IpcMainInvokeEvent, format: 'sql' | 'csv', options: ImportOptions) => {
       return new Promise((resolve/*, reject */) => {
          (async () => {
             const dbConfig = await connections[options.uid].getDbConfig();
@@ -277,6 +300,7 @@ export default (connections: {[key: string]: antares.Client}) => {
             });
             importer.send({
                type: 'init',
+               format,
                dbConfig,
                options
             });
@@ -311,6 +335,50 @@ export default (connections: {[key: string]: antares.Client}) => {
             });
          })();
       });
+   };
+
+   ipcMain.handle('import-sql', async (event, options) => {
+      if (importer !== null) return;
+
+      return startImporter(event, 'sql', options);
+   });
+
+   ipcMain.handle('import-csv', async (event, options) => {
+      if (importer !== null) return;
+
+      return startImporter(event, 'csv', options);
+   });
+
+   ipcMain.handle('get-csv-preview', async (event, { file, delimiter, quote, encoding, rows }) => {
+      try {
+         const records = await new Promise<string[][]>((resolve, reject) => {
+            const preview: string[][] = [];
+            const fileHandler = fs.createReadStream(file);
+            const parser = new CSVParser({ delimiter, quote, encoding });
+
+            const done = () => {
+               fileHandler.destroy();
+               resolve(preview);
+            };
+
+            parser.on('data', (record: string[]) => {
+               preview.push(record);
+               if (preview.length >= rows) {
+                  parser.removeAllListeners('data');
+                  done();
+               }
+            });
+            parser.on('end', done);
+            parser.on('error', reject);
+            fileHandler.on('error', reject);
+            fileHandler.pipe(parser);
+         });
+
+         return { status: 'success', response: records };
+      }
+      catch (err) {
+         return { status: 'error', response: err.toString() };
+      }
    });
 
    ipcMain.handle('abort-import-sql', async () => {
@@ -334,6 +402,141 @@ export default (connections: {[key: string]: antares.Client}) => {
       return { status: 'success', response: { willAbort } };
    });
 
+   ipcMain.handle('copy-table', (event, { uid, targetUid, ...options }) => {
+      if (copier !== null) return;
+
+      return new Promise((resolve/*, reject */) => {
+         (async () => {
+            // Init copier process
+            copier = fork(isDevelopment ? './dist/copier.js' : path.resolve(__dirname, './copier.js'), [], {
+               execArgv: isDevelopment ? ['--inspect=9224'] : undefined
+            });
+            copier.send({
+               type: 'init',
+               source: {
+                  name: connections[uid]._client,
+                  config: await connections[uid].getDbConfig()
+               },
+               target: {
+                  name: connections[targetUid]._client,
+                  config: await connections[targetUid].getDbConfig()
+               },
+               options
+            });
+
+            // Copier message listener
+            copier.on('message', ({ type, payload }: workers.WorkerIpcMessage) => {
+               switch (type) {
+                  case 'copy-progress':
+                     event.sender.send('copy-progress', payload);
+                     break;
+                  case 'end':
+                     copier?.kill();
+                     copier = null;
+                     resolve({ status: 'success', response: payload });
+                     break;
+                  case 'cancel':
+                     copier.kill();
+                     copier = null;
+                     resolve({ status: 'error', response: 'Operation cancelled' });
+                     break;
+                  case 'error':
+                     copier.kill();
+                     copier = null;
+                     resolve({ status: 'error', response: payload });
+                     break;
+               }
+            });
+
+            copier.on('exit', code => {
+               copier = null;
+               resolve({ status: 'error', response: `Operation ended with code: ${code}` });
+            });
+         })();
+      });
+   });
+
+   ipcMain.handle('abort-copy-table', async () => {
+      let willAbort = false;
+
+      if (copier) {
+         const result = await dialog.showMessageBox({
+            type: 'warning',
+            message: 'Are you sure you want to abort the copy',
+            buttons: ['Cancel', 'Abort'],
+            defaultId: 0,
+            cancelId: 0
+         });
+
+         if (result.response === 1) {
+            willAbort = true;
+            copier.send({ type: 'cancel' });
+         }
+      }
+
+      return { status: 'success', response: { willAbort } };
+   });
+
+   ipcMain.handle('search-schema-data', (event, { uid, ...options }: SearchOptions & { uid: string }) => {
+      if (searcher !== null) return;
+
+      return new Promise((resolve/*, reject */) => {
+         (async () => {
+            // Init searcher process
+            searcher = fork(isDevelopment ? './dist/searcher.js' : path.resolve(__dirname, './searcher.js'), [], {
+               execArgv: isDevelopment ? ['--inspect=9224'] : undefined
+            });
+            searcher.send({
+               type: 'init',
+               client: {
+                  name: connections[uid]._client,
+                  config: await connections[uid].getDbConfig()
+               },
+               options
+            });
+
+            // Searcher message listener
+            searcher.on('message', ({ type, payload }: workers.WorkerIpcMessage) => {
+               switch (type) {
+                  case 'search-progress':
+                     event.sender.send('search-progress', payload);
+                     break;
+                  case 'search-hits':
+                     event.sender.send('search-hits', payload);
+                     break;
+                  case 'end':
+                     searcher?.kill();
+                     searcher = null;
+                     resolve({ status: 'success', response: payload });
+                     break;
+                  case 'cancel': // The running query is stopped with the process
+                     searcher.kill();
+                     searcher = null;
+                     resolve({ status: 'success', response: { cancelled: true } });
+                     break;
+                  case 'error':
+                     searcher.kill();
+                     searcher = null;
+                     resolve({ status: 'error', response: payload });
+                     break;
+               }
+            });
+
+            searcher.on('exit', code => {
+               searcher = null;
+               resolve({ status: 'error', response: `Operation ended with code: ${code}` });
+            });
+         })();
+      });
+   });
+
+   ipcMain.handle('abort-search-schema-data', () => {
+      if (searcher)
+         searcher.send({ type: 'cancel' });
+
+      return { status: 'success' };
+   });
+
    ipcMain.handle('kill-tab-query', async (event, { uid, tabUid }) => {
       if (!tabUid) return;
 
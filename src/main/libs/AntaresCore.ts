@@ -1,7 +1,14 @@
 import * as antares from 'common/interfaces/antares';
+import { DeleteRowsParams, FilterGroup, FilterRule, ForeignListParams, InsertRowsParams, InsertValuesParams, TableChangesParams, UpdateCellParams } from 'common/interfaces/tableApis';
+import * as customizations from 'common/customizations';
+import { BIT, BLOB } from 'common/fieldTypes';
+import { uidGen } from 'common/libs/uidGen';
 import mysql from 'mysql2/promise';
 import * as pg from 'pg';
 import SSH2Promise from 'ssh2-promise';
+import { faker } from '@faker-js/faker';
+import moment from 'moment';
+import fs from 'fs';
 
 const queryLogger = (sql: string) => {
    // Remove comments, newlines and multiple spaces
@@ -20,6 +27,7 @@ export class AntaresCore {
    protected _logger: (sql: string) => void;
    protected _queryDefaults: antares.QueryBuilderObject;
    protected _query: antares.QueryBuilderObject;
+   protected _inlineParams = false;
 
    constructor (args: antares.ClientParams) {
       this._client = args.client;
@@ -39,7 +47,8 @@ export class AntaresCore {
          join: [],
          update: [],
          insert: [],
-         delete: false
+         delete: false,
+         params: []
       };
       this._query = Object.assign({}, this._queryDefaults);
    }
@@ -101,6 +110,25 @@ export class AntaresCore {
       return this;
    }
 
+   /**
+    * Adds the conditions of a structured filter, binding its values
+    */
+   filter (filters: FilterGroup) {
+      let conditions: string;
+
+      try {
+         conditions = this._filterConditions(filters);
+      }
+      catch (err) { // Values already bound would end up in the next query
+         this._resetQuery();
+         throw err;
+      }
+
+      if (conditions)
+         this._query.where = [...this._query.where, conditions];
+      return this;
+   }
+
    // eslint-disable-next-line @typescript-eslint/no-explicit-any
    groupBy (...args: any) {
       this._query.groupBy = [...this._query.groupBy, ...args];
@@ -135,19 +163,537 @@ export class AntaresCore {
       return this;
    }
 
+   /**
+    * Binds a value to the query
+    * @returns the placeholder to use in place of the value
+    */
+   param (value: unknown) {
+      if (this._inlineParams)
+         return this._literal(value);
+
+      this._query.params = [...this._query.params, value];
+      return this._placeholder(this._query.params.length);
+   }
+
+   /**
+    * @param index 1-based position of the bound value
+    */
+   // eslint-disable-next-line @typescript-eslint/no-unused-vars
+   protected _placeholder (index: number) {
+      return '?';
+   }
+
    getSQL (): string {
       throw new Error('Client must implement the "getSQL" method');
    }
 
+   /**
+    * Runs a query, or a list of statements already split that are run in order on the same connection.
+    * For a list of statements it returns the results of each statement, and a failing statement throws
+    * an error with the results of the statements run before it
+    */
    // eslint-disable-next-line @typescript-eslint/no-unused-vars
-   raw<T = antares.QueryResult> (_sql: string, _args?: antares.QueryParams): Promise<T> {
+   raw<T = antares.QueryResult> (_sql: string | string[], _args?: antares.QueryParams): Promise<T> {
       throw new Error('Client must implement the "raw" method');
    }
 
+   /**
+    * Groups the results of a raw call by statement
+    * @param starts index of the first result of each statement
+    */
+   protected _groupStatementsResults (results: antares.QueryResult[], starts: number[]) {
+      return starts.map((start, i) => results.slice(start, i + 1 < starts.length ? starts[i + 1] : results.length));
+   }
+
+   /**
+    * Adds to the error of a failing statement the results of the statements run before it
+    */
+   protected _statementsError (err: Error, results: antares.QueryResult[], starts: number[]): antares.StatementsError {
+      return Object.assign(err, { results: this._groupStatementsResults(results, starts.slice(0, -1)) });
+   }
+
    run<RowType> (args?: antares.QueryParams) {
-      const rawQuery = this.getSQL();
+      const { sql, params } = this._getStatement();
+
+      if (params.length)
+         args = { ...args, params, split: false };
+
+      return this.raw<antares.QueryResult<RowType>>(sql, args);
+   }
+
+   /**
+    * Returns the SQL and the bound values of the built query, then resets the builder
+    */
+   protected _getStatement (): antares.QueryStatement {
+      const sql = this.getSQL();
+      const { params } = this._query;
       this._resetQuery();
-      return this.raw<antares.QueryResult<RowType>>(rawQuery, args);
+
+      return { sql, params };
+   }
+
+   /**
+    * Formats a value as SQL literal, used to show statements with bound values inlined
+    */
+   protected _literal (value: unknown): string {
+      if (value === null || value === undefined)
+         return 'NULL';
+      else if (typeof value === 'number' || typeof value === 'bigint')
+         return String(value);
+      else if (typeof value === 'boolean')
+         return value ? 'TRUE' : 'FALSE';
+      else if (Buffer.isBuffer(value))
+         return `X'${value.toString('hex')}'`;
+      else if (typeof value === 'object')
+         value = JSON.stringify(value);
+
+      return `'${String(value).replaceAll('\'', '\'\'')}'`;
+   }
+
+   /**
+    * Casts an expression to a string type, to search in columns of any type
+    */
+   protected _castToText (expression: string) {
+      return `CAST(${expression} AS TEXT)`;
+   }
+
+   /**
+    * Quotes a column name
+    */
+   _wrapIdentifier (name: string) {
+      const { elementsWrapper: ew } = customizations[this._client];
+      return `${ew}${name.replaceAll(ew, `${ew}${ew}`)}${ew}`;
+   }
+
+   /**
+    * Translates a filter group or rule to a condition, empty for groups without rules
+    */
+   protected _filterConditions (filter: FilterGroup | FilterRule): string {
+      if (filter.type === 'group') {
+         const conditions = filter.children
+            .map(child => this._filterConditions(child))
+            .filter(condition => condition);
+
+         if (!conditions.length) return '';
+
+         return `${filter.not ? 'NOT ' : ''}(${conditions.join(filter.operator === 'OR' ? ' OR ' : ' AND ')})`;
+      }
+
+      const column = this._wrapIdentifier(filter.field);
+      const values = filter.values || [];
+      const caseInsensitive = (pattern: string) => (customizations[this._client] as { ilike?: boolean }).ilike
+         ? `${this._castToText(column)} ILIKE ${this.param(pattern)}`
+         : `LOWER(${this._castToText(column)}) LIKE LOWER(${this.param(pattern)})`;
+
+      switch (filter.op) {
+         case '=':
+         case '!=':
+         case '>':
+         case '<':
+         case '>=':
+         case '<=':
+            return `${column} ${filter.op} ${this.param(values[0])}`;
+         case 'IN':
+         case 'NOT IN':
+            if (!values.length) throw new Error(`No values for the ${filter.op} filter of "${filter.field}"`);
+            return `${column} ${filter.op} (${values.map(value => this.param(value)).join(', ')})`;
+         case 'BETWEEN':
+            return `${column} BETWEEN ${this.param(values[0])} AND ${this.param(values[1])}`;
+         case 'LIKE':
+         case 'NOT LIKE':
+            return `${this._castToText(column)} ${filter.op} ${this.param(values[0])}`;
+         case 'ILIKE':
+            return caseInsensitive(String(values[0]));
+         case 'CONTAINS':
+            return caseInsensitive(`%${values[0]}%`);
+         case 'STARTS WITH':
+            return caseInsensitive(`${values[0]}%`);
+         case 'IS NULL':
+         case 'IS NOT NULL':
+            return `${column} ${filter.op}`;
+         default:
+            throw new Error(`Unknown filter operator "${(filter as FilterRule).op}"`);
+      }
+   }
+
+   /**
+    * Converts a value coming from the editors to the value to bind for a field of the given type
+    */
+   _parseParam (value: unknown, type: string): unknown {
+      if (value === null || value === undefined)
+         return null;
+      else if (value instanceof Uint8Array && !Buffer.isBuffer(value)) // Binary values coming from the renderer
+         return Buffer.from(value);
+      else if (BLOB.includes(type) && typeof value === 'string') // File path
+         return value ? fs.readFileSync(value) : Buffer.alloc(0);
+      else if (value instanceof Date)
+         return moment(value).format('YYYY-MM-DD HH:mm:ss.SSSSSS');
+
+      return value;
+   }
+
+   /**
+    * Builds the WHERE object that matches a row by all its values
+    */
+   protected _rowConditions (row: {[key: string]: unknown}) {
+      const conditions: {[key: string]: string} = {};
+
+      for (const key in row) {
+         if (row[key] === null)
+            conditions[key] = 'IS NULL';
+         else if (row[key] instanceof Uint8Array)
+            conditions[key] = `= ${this.param(Buffer.from(row[key] as Uint8Array))}`;
+         else
+            conditions[key] = `= ${this.param(row[key])}`;
+      }
+
+      return conditions;
+   }
+
+   /**
+    * Builds the WHERE object that matches at most one row by all its values, for tables without keys.
+    * Clients not supporting LIMIT in UPDATE and DELETE statements have to narrow it down by themselves
+    */
+   protected _singleRowConditions (schema: string, table: string, row: {[key: string]: unknown}) {
+      return this._rowConditions(row);
+   }
+
+   protected _updateCellStatement (params: Omit<UpdateCellParams, 'uid'>) {
+      const value = this.param(this._parseParam(params.content, params.type));
+
+      if (params.keys && Object.keys(params.keys).length) {
+         this.update({ [params.field]: `= ${value}` })
+            .schema(params.schema)
+            .from(params.table)
+            .where(this._rowConditions(params.keys));
+      }
+      else {
+         const orgRow = { ...params.orgRow };
+         delete orgRow._antares_id;
+
+         this.update({ [params.field]: `= ${value}` })
+            .schema(params.schema)
+            .from(params.table)
+            .where(this._singleRowConditions(params.schema, params.table, orgRow))
+            .limit(1);
+      }
+
+      return this._getStatement();
+   }
+
+   /**
+    * Builds one statement for each group of conditions needed to match the given rows,
+    * `build` receives the conditions and completes the query
+    */
+   protected _matchRowsStatements (params: Omit<DeleteRowsParams, 'uid'>, build: (conditions: {[key: string]: string}, isSingleRow: boolean) => void) {
+      const statements: antares.QueryStatement[] = [];
+
+      if (params.keys && params.keys.length) {
+         const fields = Object.keys(params.keys[0]);
+
+         if (fields.length === 1) {
+            const placeholders = params.keys.map(key => this.param(key[fields[0]])).join(',');
+
+            build({ [fields[0]]: `IN (${placeholders})` }, false);
+            statements.push(this._getStatement());
+         }
+         else {
+            for (const key of params.keys) {
+               build(this._rowConditions(key), false);
+               statements.push(this._getStatement());
+            }
+         }
+      }
+      else {
+         for (const row of params.rows) {
+            const orgRow = { ...row };
+            delete orgRow._antares_id;
+
+            build(this._singleRowConditions(params.schema, params.table, orgRow), true);
+            statements.push(this._getStatement());
+         }
+      }
+
+      return statements;
+   }
+
+   protected _selectRowsStatements (params: Omit<DeleteRowsParams, 'uid'>) {
+      return this._matchRowsStatements(params, (conditions, isSingleRow) => {
+         this.select('*')
+            .schema(params.schema)
+            .from(params.table)
+            .where(conditions);
+
+         if (isSingleRow)
+            this.limit(1);
+      });
+   }
+
+   protected _deleteRowsStatements (params: Omit<DeleteRowsParams, 'uid'>) {
+      return this._matchRowsStatements(params, (conditions, isSingleRow) => {
+         this.schema(params.schema)
+            .delete(params.table)
+            .where(conditions);
+
+         if (isSingleRow)
+            this.limit(1);
+      });
+   }
+
+   /**
+    * Returns the current values of the given rows, read before changing them to be able to revert the change
+    */
+   protected async _getOriginalRows (params: Omit<DeleteRowsParams, 'uid'>) {
+      let rows: {[key: string]: unknown}[] = [];
+
+      for (const { sql, params: values } of this._selectRowsStatements(params)) {
+         const result = await this.raw(sql, { params: values, split: false });
+         rows = [...rows, ...result.rows as {[key: string]: unknown}[]];
+      }
+
+      return rows;
+   }
+
+   /**
+    * Rows inserted by each statement, few enough to stay below the bound parameters limit of every client
+    * and the 1000 rows accepted by SQL Server for each INSERT
+    */
+   insertBatchSize (fieldsCount: number) {
+      return Math.max(Math.min(Math.floor(2000 / (fieldsCount || 1)), 1000), 1);
+   }
+
+   /**
+    * Splits the rows in batches small enough to stay below the bound parameters limit of every client
+    */
+   protected _insertRowsStatements (schema: string, table: string, rows: {[key: string]: unknown}[], fields: {[key: string]: string}) {
+      const statements: antares.QueryStatement[] = [];
+      const fieldsCount = rows.length ? Object.keys(rows[0]).length : 0;
+      const batchSize = this.insertBatchSize(fieldsCount);
+
+      for (let i = 0; i < rows.length; i += batchSize) {
+         const batch = rows.slice(i, i + batchSize).map(row => {
+            const values: {[key: string]: string} = {};
+            for (const key in row)
+               values[key] = this.param(this._parseParam(row[key], fields[key]));
+            return values;
+         });
+
+         this.schema(schema)
+            .into(table)
+            .insert(batch);
+         statements.push(this._getStatement());
+      }
+
+      return statements;
+   }
+
+   protected _tableChangesStatements (params: TableChangesParams) {
+      const { schema, table } = params;
+
+      return params.changes.reduce((acc: antares.QueryStatement[], change) => {
+         switch (change.action) {
+            case 'insert':
+               return [...acc, ...this._insertRowsStatements(schema, table, change.rows, change.fields)];
+            case 'update':
+               return [...acc, this._updateCellStatement({
+                  schema,
+                  table,
+                  field: change.field,
+                  type: change.type,
+                  content: change.content,
+                  keys: change.keys,
+                  orgRow: change.orgRow
+               })];
+            case 'delete':
+               return [...acc, ...this._deleteRowsStatements({
+                  schema,
+                  table,
+                  keys: change.keys ? [change.keys] : null,
+                  rows: [change.orgRow]
+               })];
+         }
+
+         return acc;
+      }, []);
+   }
+
+   /**
+    * @returns the values of the row before the update
+    */
+   async updateTableCell (params: UpdateCellParams) {
+      const hasKeys = params.keys && Object.keys(params.keys).length;
+      const [original] = await this._getOriginalRows({
+         schema: params.schema,
+         table: params.table,
+         keys: hasKeys ? [params.keys] : null,
+         rows: [params.orgRow]
+      });
+
+      const { sql, params: values } = this._updateCellStatement(params);
+      await this.raw(sql, { params: values, split: false });
+
+      const reload = !hasKeys || (BLOB.includes(params.type) && !!params.content) || BIT.includes(params.type);
+
+      return { reload, original };
+   }
+
+   /**
+    * @returns the deleted rows
+    */
+   async deleteTableRows (params: DeleteRowsParams) {
+      const rows = await this._getOriginalRows(params);
+
+      for (const { sql, params: values } of this._deleteRowsStatements(params))
+         await this.raw(sql, { params: values, split: false });
+
+      return { rows };
+   }
+
+   /**
+    * @returns the inserted rows
+    */
+   async insertTableRows (params: InsertValuesParams) {
+      const rows = new Array(+params.repeat).fill(params.row);
+
+      for (const { sql, params: values } of this._insertRowsStatements(params.schema, params.table, rows, params.fields))
+         await this.raw(sql, { params: values, split: false });
+
+      return rows;
+   }
+
+   /**
+    * Generates the values of the rows to insert, faker methods are resolved while manual values are left as they are
+    */
+   getFakeRows (params: InsertRowsParams) {
+      const rows: {[key: string]: unknown}[] = [];
+
+      if (params.locale)
+         faker.locale = params.locale;
+
+      for (let i = 0; i < +params.repeat; i++) {
+         const row: {[key: string]: unknown} = {};
+
+         for (const key in params.row) {
+            if (!('group' in params.row[key]) || params.row[key].group === 'manual') { // Manual value
+               row[key] = params.row[key].value;
+               continue;
+            }
+
+            // eslint-disable-next-line @typescript-eslint/no-explicit-any
+            const parsedParams: {[key: string]: any} = {};
+            let fakeValue;
+
+            if (Object.keys(params.row[key].params).length) {
+               Object.keys(params.row[key].params).forEach(param => {
+                  if (!isNaN(params.row[key].params[param]))
+                     parsedParams[param] = +params.row[key].params[param];
+               });
+               // eslint-disable-next-line @typescript-eslint/no-explicit-any
+               fakeValue = (faker as any)[params.row[key].group][params.row[key].method](parsedParams);
+            }
+            else
+               // eslint-disable-next-line @typescript-eslint/no-explicit-any
+               fakeValue = (faker as any)[params.row[key].group][params.row[key].method]();
+
+            if (typeof fakeValue === 'string' && params.row[key].length)
+               fakeValue = fakeValue.substr(0, params.row[key].length);
+
+            row[key] = fakeValue;
+         }
+
+         rows.push(row);
+      }
+
+      return rows;
+   }
+
+   /**
+    * @returns the inserted rows
+    */
+   async insertTableFakeRows (params: InsertRowsParams) {
+      const rows = this.getFakeRows(params);
+
+      for (const { sql, params: values } of this._insertRowsStatements(params.schema, params.table, rows, params.fields))
+         await this.raw(sql, { params: values, split: false });
+
+      return rows;
+   }
+
+   /**
+    * Returns a page of the values of a referenced column, optionally filtered by a term searched in the values and in their description
+    */
+   async getForeignList (params: ForeignListParams) {
+      /* eslint-disable camelcase */
+      interface ForeignResult {
+         foreign_column: unknown;
+         foreign_description?: string;
+      }
+      /* eslint-enable camelcase */
+
+      const { schema, table, search, limit, offset } = params;
+      const column = this._wrapIdentifier(params.column);
+      const description = params.description ? this._wrapIdentifier(params.description) : null;
+
+      this.select(`${column} AS foreign_column`)
+         .schema(schema)
+         .from(table)
+         .orderBy('foreign_column ASC')
+         .limit(limit)
+         .offset(offset);
+
+      if (description)
+         this.select(`SUBSTRING(${description}, 1, 20) AS foreign_description`);
+
+      if (search) {
+         const term = `%${search.toLowerCase()}%`;
+         const conditions = [`LOWER(${this._castToText(column)}) LIKE ${this.param(term)}`];
+
+         if (description)
+            conditions.push(`LOWER(${this._castToText(description)}) LIKE ${this.param(term)}`);
+
+         this.where(`(${conditions.join(' OR ')})`);
+      }
+
+      const { rows } = await this.run<ForeignResult>();
+
+      return rows;
+   }
+
+   /**
+    * Returns the statements of the staged changes, with their values inlined
+    */
+   getTableChangesSQL (params: TableChangesParams) {
+      this._inlineParams = true;
+
+      try {
+         return this._tableChangesStatements(params).map(({ sql }) => `${sql.trim()};`);
+      }
+      finally {
+         this._inlineParams = false;
+         this._resetQuery();
+      }
+   }
+
+   /**
+    * Runs the staged changes in a single transaction
+    */
+   async applyTableChanges (params: TableChangesParams) {
+      const statements = this._tableChangesStatements(params);
+      const tabUid = uidGen('changes');
+
+      try {
+         for (const { sql, params: values } of statements)
+            await this.raw(sql, { params: values, split: false, autocommit: false, tabUid });
+
+         await this.commitTab(tabUid);
+      }
+      catch (err) {
+         await this.rollbackTab(tabUid);
+         throw err;
+      }
+      finally {
+         await this.destroyConnectionToCommit(tabUid);
+      }
    }
 
    /* eslint-disable @typescript-eslint/no-unused-vars */
@@ -244,6 +790,22 @@ export class AntaresCore {
       throw new Error('Method "disableEvent" not implemented');
    }
 
+   getTriggerInformations (...args: any) {
+      throw new Error('Method "getTriggerInformations" not implemented');
+   }
+
+   dropTrigger (...args: any) {
+      throw new Error('Method "dropTrigger" not implemented');
+   }
+
+   alterTrigger (...args: any) {
+      throw new Error('Method "alterTrigger" not implemented');
+   }
+
+   createTrigger (...args: any) {
+      throw new Error('Method "createTrigger" not implemented');
+   }
+
    enableTrigger (...args: any) {
       throw new Error('Method "enableTrigger" not implemented');
    }
@@ -255,6 +817,22 @@ export class AntaresCore {
    killTabQuery (...args: any) {
       throw new Error('Method "killTabQuery" not implemented');
    }
+
+   commitTab (...args: any) {
+      throw new Error('Method "commitTab" not implemented');
+   }
+
+   rollbackTab (...args: any) {
+      throw new Error('Method "rollbackTab" not implemented');
+   }
+
+   destroyConnectionToCommit (...args: any) {
+      throw new Error('Method "destroyConnectionToCommit" not implemented');
+   }
+
+   explain (...args: any) {
+      throw new Error('Method "explain" not implemented');
+   }
    /* eslint-enable @typescript-eslint/no-unused-vars */
    /* eslint-enable @typescript-eslint/no-explicit-any */
 }
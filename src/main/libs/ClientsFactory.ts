@@ -1,5 +1,7 @@
 import * as antares from 'common/interfaces/antares';
+import { DuckDBClient } from './clients/DuckDBClient';
 import { MySQLClient } from './clients/MySQLClient';
+import { MSSQLClient } from './clients/MSSQLClient';
 import { PostgreSQLClient } from './clients/PostgreSQLClient';
 import { SQLiteClient } from './clients/SQLiteClient';
 
@@ -13,6 +15,10 @@ export class ClientsFactory {
             return new PostgreSQLClient(args);
          case 'sqlite':
             return new SQLiteClient(args);
+         case 'mssql':
+            return new MSSQLClient(args);
+         case 'duckdb':
+            return new DuckDBClient(args);
          default:
             throw new Error(`Unknown database client: ${args.client}`);
       }
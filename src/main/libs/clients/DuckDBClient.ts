@@ -0,0 +1,839 @@
+import * as fs from 'fs';
+import * as antares from 'common/interfaces/antares';
+import * as duckdb from 'duckdb';
+import { AntaresCore } from '../AntaresCore';
+import * as dataTypes from 'common/data-types/duckdb';
+import { DATE, TIME } from 'common/fieldTypes';
+
+export class DuckDBClient extends AntaresCore {
+   private _schema?: string;
+   private _connectionsToCommit: Map<string, duckdb.Connection>;
+   private _database?: duckdb.Database;
+   protected _connection?: duckdb.Connection;
+   _params: { databasePath: string; readonly: boolean};
+
+   constructor (args: antares.ClientParams) {
+      super(args);
+
+      this._schema = null;
+      this._connectionsToCommit = new Map();
+   }
+
+   _getTypeInfo (type: string) {
+      return dataTypes
+         .reduce((acc, group) => [...acc, ...group.types], [])
+         .filter(_type => _type.name === type.toUpperCase())[0];
+   }
+
+   /**
+    * Splits a type definition like DECIMAL(18,3) in type name, length and scale
+    */
+   _parseType (type: string): [string, number?, number?] {
+      if (!type.includes('(')) return [type.trim(), null, null];
+
+      const [name, args] = type.replace(')', '').split('(');
+      const [length, scale] = args.split(',').map(Number);
+
+      return [name.trim(), length, scale !== undefined ? scale : null];
+   }
+
+   /**
+    * Converts values not serializable by the renderer (BigInt, Date, LIST, STRUCT, ...)
+    */
+   // eslint-disable-next-line @typescript-eslint/no-explicit-any
+   _parseValue (value: any, type?: string): any {
+      if (value === null || value === undefined) return value;
+
+      if (typeof value === 'bigint')
+         return Number.isSafeInteger(Number(value)) ? Number(value) : value.toString();
+
+      if (value instanceof Date) {
+         const isoString = value.toISOString();
+
+         if (type && DATE.includes(type))
+            return isoString.substring(0, 10);
+         else if (type && TIME.includes(type))
+            return isoString.substring(11, 23);
+
+         return isoString.replace('T', ' ').replace('Z', '');
+      }
+
+      if (typeof value === 'object' && !Buffer.isBuffer(value))
+         return JSON.stringify(value, (key, val) => typeof val === 'bigint' ? val.toString() : val);
+
+      return value;
+   }
+
+   /**
+    * Extracts the first table referenced in the FROM clause of a query
+    */
+   _getFromTable (query: string) {
+      const identifier = '("[^"]+"|[\\w$]+)';
+      const fromRegex = new RegExp(`\\bFROM\\s+(?:${identifier}\\.)?${identifier}(?:\\s+(?:AS\\s+)?(?!(?:WHERE|ORDER|GROUP|HAVING|JOIN|INNER|LEFT|RIGHT|FULL|CROSS|OUTER|NATURAL|POSITIONAL|ASOF|UNION|EXCEPT|INTERSECT|LIMIT|OFFSET|USING|QUALIFY|WINDOW)\\b)([\\w$]+))?`, 'i');
+      const match = query.match(fromRegex);
+
+      if (!match) return null;
+
+      const unquote = (str: string) => str ? str.replace(/^"|"$/g, '') : null;
+
+      return {
+         schema: unquote(match[1]) || this._schema || 'main',
+         table: unquote(match[2]),
+         alias: match[3] || null
+      };
+   }
+
+   _runQuery (connection: duckdb.Connection, sql: string, params: unknown[] = []) {
+      return new Promise<duckdb.TableData>((resolve, reject) => {
+         connection.all(sql, ...params, (err: duckdb.DuckDbError, res: duckdb.TableData) => {
+            if (err) reject(err);
+            else resolve(res);
+         });
+      });
+   }
+
+   protected _literal (value: unknown) {
+      if (Buffer.isBuffer(value))
+         return `'${value.toString('hex').replace(/(..)/g, '\\x$1')}'::BLOB`;
+
+      return super._literal(value);
+   }
+
+   protected _singleRowConditions (schema: string, table: string, row: {[key: string]: unknown}) {
+      // UPDATE and DELETE don't support LIMIT
+      const conditions = [this._rowConditions(row)].reduce(this._reducer, []).join(' AND ');
+      return { rowid: `= (SELECT rowid FROM ${this._wrapIdentifier(schema)}.${this._wrapIdentifier(table)} WHERE ${conditions} LIMIT 1)` };
+   }
+
+   getDbConfig () {
+      return this._params;
+   }
+
+   async connect () {
+      this._database = await this.getDatabase();
+      this._connection = this._database.connect();
+   }
+
+   getDatabase () {
+      return new Promise<duckdb.Database>((resolve, reject) => {
+         if (!fs.existsSync(this._params.databasePath))
+            return reject(new Error(`Unable to open database file "${this._params.databasePath}"`));
+
+         const database = new duckdb.Database(this._params.databasePath, {
+            // eslint-disable-next-line camelcase
+            access_mode: this._params.readonly ? 'READ_ONLY' : 'READ_WRITE'
+         }, err => {
+            if (err) reject(err);
+            else resolve(database);
+         });
+      });
+   }
+
+   getConnection () {
+      return this._database.connect();
+   }
+
+   destroy (): void {
+      this._database.close();
+   }
+
+   use (schema: string): void {
+      this._schema = schema;
+   }
+
+   async getStructure (schemas: Set<string>) {
+      /* eslint-disable camelcase */
+      interface ShowTableResult {
+         schema_name: string;
+         table_name: string;
+         table_type: string;
+         estimated_size: number;
+      }
+      /* eslint-enable camelcase */
+
+      const { rows: databases } = await this.raw<antares.QueryResult<{ name: string }>>(`
+         SELECT DISTINCT schema_name AS name FROM duckdb_schemas()
+         WHERE schema_name NOT IN ('information_schema', 'pg_catalog')
+         ORDER BY schema_name
+      `);
+
+      const { rows: tables } = await this.raw<antares.QueryResult<ShowTableResult>>(`
+         SELECT schema_name, table_name, 'table' AS table_type, estimated_size FROM duckdb_tables() WHERE NOT internal
+         UNION ALL
+         SELECT schema_name, view_name AS table_name, 'view' AS table_type, NULL AS estimated_size FROM duckdb_views() WHERE NOT internal
+         ORDER BY table_name
+      `);
+
+      return databases.map(db => {
+         if (schemas.has(db.name)) {
+            // TABLES
+            const remappedTables = tables.filter(table => table.schema_name === db.name).map(table => {
+               return {
+                  name: table.table_name,
+                  type: table.table_type,
+                  rows: table.table_type === 'table' ? table.estimated_size : false,
+                  size: false
+               };
+            });
+
+            return {
+               name: db.name,
+               size: 0,
+               tables: remappedTables,
+               functions: [],
+               procedures: [],
+               triggers: [],
+               schedulers: []
+            };
+         }
+         else {
+            return {
+               name: db.name,
+               size: 0,
+               tables: [],
+               functions: [],
+               procedures: [],
+               triggers: [],
+               schedulers: []
+            };
+         }
+      });
+   }
+
+   async getTableColumns ({ schema, table }: { schema: string; table: string }) {
+      /* eslint-disable camelcase */
+      interface TableColumnsResult {
+         column_name: string;
+         column_index: number;
+         column_default: string;
+         is_nullable: boolean;
+         data_type: string;
+         character_maximum_length: number;
+         numeric_precision: number;
+         numeric_scale: number;
+      }
+      /* eslint-enable camelcase */
+
+      const { rows: fields } = await this.raw<antares.QueryResult<TableColumnsResult>>(`
+         SELECT * FROM duckdb_columns()
+         WHERE schema_name = '${schema}' AND table_name = '${table}'
+         ORDER BY column_index
+      `);
+
+      return fields.map(field => {
+         const isArray = field.data_type.endsWith('[]');
+         const [type, length, scale] = this._parseType(field.data_type.replace('[]', ''));
+
+         return {
+            name: field.column_name,
+            key: null as string,
+            type,
+            isArray,
+            schema: schema,
+            table: table,
+            numPrecision: field.numeric_precision,
+            numLength: type === 'DECIMAL' ? length : null,
+            numScale: scale !== null ? scale : field.numeric_scale,
+            datePrecision: null as number,
+            charLength: field.character_maximum_length,
+            nullable: field.is_nullable,
+            unsigned: null as boolean,
+            zerofill: null as boolean,
+            order: field.column_index,
+            default: field.column_default,
+            charset: null as string,
+            collation: null as string,
+            autoIncrement: !!field.column_default?.startsWith('nextval('),
+            onUpdate: null as string,
+            comment: ''
+         };
+      });
+   }
+
+   async getTableApproximateCount ({ schema, table }: { schema: string; table: string }): Promise<number> {
+      const { rows } = await this.raw(`SELECT COUNT(*) AS count FROM "${schema}"."${table}"`);
+
+      return rows.length ? rows[0].count : 0;
+   }
+
+   async getTableOptions ({ table }: { table: string }) {
+      return { name: table };
+   }
+
+   async getTableIndexes ({ schema, table }: { schema: string; table: string }) {
+      /* eslint-disable camelcase */
+      interface ShowConstraintsResult {
+         constraint_index: number;
+         constraint_type: string;
+         constraint_column_names: string[];
+      }
+
+      interface ShowIndexesResult {
+         index_name: string;
+         is_unique: boolean;
+         sql: string;
+      }
+      /* eslint-enable camelcase */
+
+      const remappedIndexes = [];
+
+      const { rows: constraints } = await this.raw<antares.QueryResult<ShowConstraintsResult>>(`
+         SELECT constraint_index, constraint_type, constraint_column_names FROM duckdb_constraints()
+         WHERE schema_name = '${schema}' AND table_name = '${table}' AND constraint_type IN ('PRIMARY KEY', 'UNIQUE')
+         ORDER BY constraint_index
+      `);
+
+      for (const constraint of constraints) {
+         const isPrimary = constraint.constraint_type === 'PRIMARY KEY';
+         const columns: string[] = typeof constraint.constraint_column_names === 'string'
+            ? JSON.parse(constraint.constraint_column_names)
+            : constraint.constraint_column_names;
+
+         for (const column of columns) {
+            remappedIndexes.push({
+               name: isPrimary ? 'PRIMARY' : `${table}_${columns.join('_')}_key`,
+               column,
+               indexType: null as never,
+               type: isPrimary ? 'PRIMARY' : 'UNIQUE',
+               cardinality: null as never,
+               comment: '',
+               indexComment: ''
+            });
+         }
+      }
+
+      const { rows: indexes } = await this.raw<antares.QueryResult<ShowIndexesResult>>(`
+         SELECT index_name, is_unique, sql FROM duckdb_indexes()
+         WHERE schema_name = '${schema}' AND table_name = '${table}'
+      `);
+
+      for (const index of indexes) {
+         const columnsMatch = index.sql ? index.sql.match(/\(([^()]*)\)\s*;?\s*$/) : null;
+         const columns = columnsMatch ? columnsMatch[1].split(',').map(column => column.trim().replace(/^"|"$/g, '')) : [];
+
+         for (const column of columns) {
+            remappedIndexes.push({
+               name: index.index_name,
+               column,
+               indexType: null as never,
+               type: index.is_unique ? 'UNIQUE' : 'INDEX',
+               cardinality: null as never,
+               comment: '',
+               indexComment: ''
+            });
+         }
+      }
+
+      return remappedIndexes;
+   }
+
+   /**
+    * Parses the foreign keys from the constraints definitions, not exposed as columns by DuckDB
+    */
+   private async _getForeignKeys (where: string) {
+      /* eslint-disable camelcase */
+      interface KeyResult {
+         schema_name: string;
+         table_name: string;
+         constraint_index: number;
+         constraint_text: string;
+      }
+      /* eslint-enable camelcase */
+
+      const { rows } = await this.raw<antares.QueryResult<KeyResult>>(`
+         SELECT schema_name, table_name, constraint_index, constraint_text FROM duckdb_constraints()
+         WHERE ${where} AND constraint_type = 'FOREIGN KEY'
+      `);
+
+      const unquote = (str: string) => str.trim().replace(/^"|"$/g, '');
+
+      return rows.reduce((acc, row) => {
+         const match = row.constraint_text.match(/FOREIGN KEY\s*\((.+?)\)\s*REFERENCES\s+(?:("?[^".(]+"?)\.)?("?[^"(]+"?)\s*\((.+?)\)/i);
+         if (!match) return acc;
+
+         const schema = row.schema_name;
+         const table = row.table_name;
+         const fields = match[1].split(',').map(unquote);
+         const refFields = match[4].split(',').map(unquote);
+
+         fields.forEach((field, i) => {
+            acc.push({
+               schema,
+               table,
+               field,
+               position: i + 1,
+               constraintPosition: i + 1,
+               constraintName: `${table}_${fields.join('_')}_fkey`,
+               refSchema: match[2] ? unquote(match[2]) : schema,
+               refTable: unquote(match[3]),
+               refField: refFields[i],
+               onUpdate: 'RESTRICT',
+               onDelete: 'RESTRICT'
+            });
+         });
+
+         return acc;
+      }, [] as antares.QueryForeign[]);
+   }
+
+   async getKeyUsage ({ schema, table }: { schema: string; table: string }) {
+      return this._getForeignKeys(`schema_name = '${schema}' AND table_name = '${table}'`);
+   }
+
+   /**
+    * Returns the foreign keys of other tables referencing the given table
+    */
+   async getReferencingKeys ({ schema, table }: { schema: string; table: string }) {
+      const keys = await this._getForeignKeys(`constraint_text ILIKE '%REFERENCES%${table}%'`);
+      return keys.filter(key => key.refSchema === schema && key.refTable === table);
+   }
+
+   async getUsers (): Promise<void> {
+      return null;
+   }
+
+   async createSchema (params: {name: string}) {
+      return await this.raw(`CREATE SCHEMA "${params.name}"`);
+   }
+
+   async dropSchema (params: { database: string }) {
+      return await this.raw(`DROP SCHEMA "${params.database}" CASCADE`);
+   }
+
+   async createTable (params: antares.CreateTableParams) {
+      const {
+         schema,
+         fields,
+         foreigns,
+         indexes,
+         options
+      } = params;
+      const newColumns: string[] = [];
+      const newIndexes: string[] = [];
+      const manageIndexes: string[] = [];
+      const newForeigns: string[] = [];
+
+      let sql = `CREATE TABLE "${schema}"."${options.name}"`;
+
+      // ADD FIELDS
+      fields.forEach(field => {
+         const typeInfo = this._getTypeInfo(field.type);
+         const length = typeInfo?.length ? field.numLength || field.charLength : false;
+
+         newColumns.push(`"${field.name}"
+            ${field.type.toUpperCase()}${length ? `(${length}${field.numScale !== null && field.numScale !== undefined ? `,${field.numScale}` : ''})` : ''}${field.isArray ? '[]' : ''}
+            ${field.nullable ? 'NULL' : 'NOT NULL'}
+            ${field.default ? `DEFAULT ${field.default}` : ''}`);
+      });
+
+      // ADD INDEX
+      indexes.forEach(index => {
+         const fields = index.fields.map(field => `"${field}"`).join(',');
+         const type = index.type;
+
+         if (type === 'PRIMARY')
+            newIndexes.push(`PRIMARY KEY (${fields})`);
+         else if (type === 'UNIQUE')
+            newIndexes.push(`UNIQUE (${fields})`);
+         else
+            manageIndexes.push(`CREATE INDEX "${index.name}" ON "${schema}"."${options.name}" (${fields})`);
+      });
+
+      // ADD FOREIGN KEYS
+      foreigns.forEach(foreign => {
+         newForeigns.push(`FOREIGN KEY ("${foreign.field}") REFERENCES "${schema}"."${foreign.refTable}" ("${foreign.refField}")`);
+      });
+
+      sql = `${sql} (${[...newColumns, ...newIndexes, ...newForeigns].join(', ')})`;
+      if (manageIndexes.length) sql = `${sql}; ${manageIndexes.join(';')}`;
+
+      return await this.raw(sql);
+   }
+
+   async alterTable (params: antares.AlterTableParams) {
+      const {
+         table,
+         schema,
+         additions,
+         deletions,
+         changes,
+         indexChanges,
+         options
+      } = params;
+
+      const tableName = `"${schema}"."${table}"`;
+      const alterColumns: string[] = [];
+      const manageIndexes: string[] = [];
+
+      const getType = (field: antares.TableField) => {
+         const typeInfo = this._getTypeInfo(field.type);
+         const length = typeInfo?.length ? field.numLength || field.charLength : false;
+         return `${field.type.toUpperCase()}${length ? `(${length}${field.numScale !== null && field.numScale !== undefined ? `,${field.numScale}` : ''})` : ''}${field.isArray ? '[]' : ''}`;
+      };
+
+      // ADD FIELDS
+      additions.forEach(addition => {
+         alterColumns.push(`ALTER TABLE ${tableName} ADD COLUMN "${addition.name}" ${getType(addition)} ${addition.default ? `DEFAULT ${addition.default}` : ''}`);
+      });
+
+      // CHANGE FIELDS
+      changes.forEach(change => {
+         if (change.orgName !== change.name)
+            alterColumns.push(`ALTER TABLE ${tableName} RENAME COLUMN "${change.orgName}" TO "${change.name}"`);
+
+         alterColumns.push(`ALTER TABLE ${tableName} ALTER COLUMN "${change.name}" TYPE ${getType(change)}`);
+         alterColumns.push(`ALTER TABLE ${tableName} ALTER COLUMN "${change.name}" ${change.nullable ? 'DROP NOT NULL' : 'SET NOT NULL'}`);
+         alterColumns.push(`ALTER TABLE ${tableName} ALTER COLUMN "${change.name}" ${change.default ? `SET DEFAULT ${change.default}` : 'DROP DEFAULT'}`);
+      });
+
+      // DROP FIELDS
+      deletions.forEach(deletion => {
+         alterColumns.push(`ALTER TABLE ${tableName} DROP COLUMN "${deletion.name}"`);
+      });
+
+      // Primary and unique keys can't be altered after table creation, only plain indexes are managed
+      // ADD INDEX
+      indexChanges.additions.filter(addition => addition.type === 'INDEX').forEach(addition => {
+         const fields = addition.fields.map(field => `"${field}"`).join(',');
+         manageIndexes.push(`CREATE INDEX "${addition.name}" ON ${tableName} (${fields})`);
+      });
+
+      // CHANGE INDEX
+      indexChanges.changes.filter(change => change.type === 'INDEX' && change.oldType === 'INDEX').forEach(change => {
+         const fields = change.fields.map(field => `"${field}"`).join(',');
+         manageIndexes.push(`DROP INDEX "${schema}"."${change.oldName}"`);
+         manageIndexes.push(`CREATE INDEX "${change.name}" ON ${tableName} (${fields})`);
+      });
+
+      // DROP INDEX
+      indexChanges.deletions.filter(deletion => deletion.type === 'INDEX').forEach(deletion => {
+         manageIndexes.push(`DROP INDEX "${schema}"."${deletion.name}"`);
+      });
+
+      const statements = [...manageIndexes, ...alterColumns];
+
+      // RENAME
+      if (options.name) statements.push(`ALTER TABLE ${tableName} RENAME TO "${options.name}"`);
+
+      if (!statements.length) return;
+
+      try {
+         await this.raw('BEGIN TRANSACTION');
+         await this.raw(statements.join(';'));
+         await this.raw('COMMIT');
+      }
+      catch (err) {
+         await this.raw('ROLLBACK');
+         return Promise.reject(err);
+      }
+   }
+
+   async duplicateTable (params: { schema: string; table: string }) {
+      const sql = `CREATE TABLE "${params.schema}"."${params.table}_copy" AS SELECT * FROM "${params.schema}"."${params.table}"`;
+      return await this.raw(sql);
+   }
+
+   async truncateTable (params: { schema: string; table: string }) {
+      const sql = `DELETE FROM "${params.schema}"."${params.table}"`;
+      return await this.raw(sql);
+   }
+
+   async dropTable (params: { schema: string; table: string }) {
+      const sql = `DROP TABLE "${params.schema}"."${params.table}"`;
+      return await this.raw(sql);
+   }
+
+   async getViewInformations ({ schema, view }: { schema: string; view: string }) {
+      const sql = `SELECT sql FROM duckdb_views() WHERE schema_name = '${schema}' AND view_name = '${view}'`;
+      const results = await this.raw(sql);
+
+      return results.rows.map(row => {
+         return {
+            sql: row.sql.match(/(?<=\bAS\s).*?$/is)[0].replace(/;\s*$/, ''),
+            name: view
+         };
+      })[0];
+   }
+
+   async dropView (params: { schema: string; view: string }) {
+      const sql = `DROP VIEW "${params.schema}"."${params.view}"`;
+      return await this.raw(sql);
+   }
+
+   async alterView ({ view }: { view: antares.AlterViewParams }) {
+      let sql = `CREATE OR REPLACE VIEW "${view.schema}"."${view.oldName}" AS ${view.sql}`;
+
+      if (view.name !== view.oldName)
+         sql += `; ALTER VIEW "${view.schema}"."${view.oldName}" RENAME TO "${view.name}"`;
+
+      return await this.raw(sql);
+   }
+
+   async createView (params: antares.CreateViewParams) {
+      const sql = `CREATE VIEW "${params.schema}"."${params.name}" AS ${params.sql}`;
+      return await this.raw(sql);
+   }
+
+   async getEngines () {
+      return {
+         name: 'DuckDB',
+         support: 'YES',
+         comment: '',
+         isDefault: true
+      };
+   }
+
+   async getVersion () {
+      const os = require('os');
+      const sql = 'SELECT version() AS version';
+      const { rows } = await this.raw(sql);
+
+      return {
+         number: rows[0].version.replace(/^v/, ''),
+         name: 'DuckDB',
+         arch: process.arch,
+         os: `${os.type()} ${os.release()}`
+      };
+   }
+
+   async getProcesses (): Promise<void> {
+      return null;
+   }
+
+   async killProcess (): Promise<void> {
+      return null;
+   }
+
+   async commitTab (tabUid: string) {
+      const connection = this._connectionsToCommit.get(tabUid);
+      if (connection) {
+         await this._runQuery(connection, 'COMMIT');
+         return this.destroyConnectionToCommit(tabUid);
+      }
+   }
+
+   async rollbackTab (tabUid: string) {
+      const connection = this._connectionsToCommit.get(tabUid);
+      if (connection) {
+         await this._runQuery(connection, 'ROLLBACK');
+         return this.destroyConnectionToCommit(tabUid);
+      }
+   }
+
+   destroyConnectionToCommit (tabUid: string) {
+      this._connectionsToCommit.delete(tabUid);
+   }
+
+   getSQL () {
+      // SELECT
+      const selectArray = this._query.select.reduce(this._reducer, []);
+      let selectRaw = '';
+
+      if (selectArray.length)
+         selectRaw = selectArray.length ? `SELECT ${selectArray.join(', ')} ` : 'SELECT * ';
+
+      // FROM
+      let fromRaw = '';
+
+      if (!this._query.update.length && !Object.keys(this._query.insert).length && !!this._query.from)
+         fromRaw = 'FROM';
+      else if (Object.keys(this._query.insert).length)
+         fromRaw = 'INTO';
+
+      fromRaw += this._query.from ? ` ${this._query.schema ? `"${this._query.schema}".` : ''}"${this._query.from}" ` : '';
+
+      // WHERE
+      const whereArray = this._query.where
+         .reduce(this._reducer, [])
+         ?.map(clausole => clausole.replace('= null', 'IS NULL'));
+      const whereRaw = whereArray.length ? `WHERE ${whereArray.join(' AND ')} ` : '';
+
+      // UPDATE
+      const updateArray = this._query.update.reduce(this._reducer, []);
+      const updateRaw = updateArray.length ? `SET ${updateArray.join(', ')} ` : '';
+
+      // INSERT
+      let insertRaw = '';
+
+      if (this._query.insert.length) {
+         const fieldsList = Object.keys(this._query.insert[0]).map(f => `"${f}"`);
+         const rowsList = this._query.insert.map(el => `(${Object.values(el).join(', ')})`);
+
+         insertRaw = `(${fieldsList.join(', ')}) VALUES ${rowsList.join(', ')} `;
+      }
+
+      // GROUP BY
+      const groupByArray = this._query.groupBy.reduce(this._reducer, []);
+      const groupByRaw = groupByArray.length ? `GROUP BY ${groupByArray.join(', ')} ` : '';
+
+      // ORDER BY
+      const orderByArray = this._query.orderBy.reduce(this._reducer, []);
+      const orderByRaw = orderByArray.length ? `ORDER BY ${orderByArray.join(', ')} ` : '';
+
+      // LIMIT
+      const limitRaw = selectArray.length && this._query.limit ? `LIMIT ${this._query.limit} ` : '';
+
+      // OFFSET
+      const offsetRaw = selectArray.length && this._query.offset ? `OFFSET ${this._query.offset} ` : '';
+
+      return `${selectRaw}${updateRaw ? 'UPDATE' : ''}${insertRaw ? 'INSERT ' : ''}${this._query.delete ? 'DELETE ' : ''}${fromRaw}${updateRaw}${whereRaw}${groupByRaw}${orderByRaw}${limitRaw}${offsetRaw}${insertRaw}`;
+   }
+
+   async raw<T = antares.QueryResult> (sql: string | string[], args?: antares.QueryParams) {
+      if (process.env.NODE_ENV === 'development') this._logger(Array.isArray(sql) ? sql.join('\n') : sql);
+
+      args = {
+         nest: false,
+         details: false,
+         split: true,
+         comments: true,
+         autocommit: true,
+         ...args
+      };
+
+      if (!args.comments && !Array.isArray(sql))
+         sql = sql.replace(/(\/\*(.|[\r\n])*?\*\/)|(--(.*|[\r\n]))/gm, '');// Remove comments
+
+      if (args.schema)
+         this.use(args.schema);
+
+      const resultsArr: antares.QueryResult[] = [];
+      const statementStarts: number[] = [];
+      let paramsArr = [];
+      const queries = args.split && !Array.isArray(sql)
+         ? sql.split(/((?:[^;'"]*(?:"(?:\\.|[^"])*"|'(?:\\.|[^'])*')[^;'"]*)+)|;/gm)
+            .filter(Boolean)
+            .map(q => q.trim())
+         : Array.isArray(sql) ? sql : [sql];
+
+      let connection: duckdb.Connection;
+
+      if (!args.autocommit && args.tabUid) { // autocommit OFF
+         if (this._connectionsToCommit.has(args.tabUid))
+            connection = this._connectionsToCommit.get(args.tabUid);
+         else {
+            connection = this.getConnection();
+            await this._runQuery(connection, 'BEGIN TRANSACTION');
+            this._connectionsToCommit.set(args.tabUid, connection);
+         }
+      }
+      else// autocommit ON
+         connection = this._connection;
+
+      for (const query of queries) {
+         statementStarts.push(resultsArr.length);
+         if (!query) continue;
+
+         const timeStart = new Date();
+         const isReader = /^\s*\(?\s*(SELECT|WITH|FROM|VALUES|TABLE|SHOW|DESCRIBE|DESC|SUMMARIZE|PRAGMA|EXPLAIN|CALL)\b/i.test(query);
+         const queryResult = await this._runQuery(connection, query, args.params).catch(err => {
+            throw Array.isArray(sql) ? this._statementsError(err, resultsArr, statementStarts) : err;
+         });
+         const timeStop = new Date();
+         let keysArr: antares.QueryForeign[] = [];
+
+         if (!isReader) {
+            const affectedRows = queryResult.length && 'Count' in queryResult[0] ? Number(queryResult[0].Count) : 0;
+
+            resultsArr.push({
+               duration: timeStop.getTime() - timeStart.getTime(),
+               rows: false as unknown as [],
+               report: { affectedRows },
+               fields: [],
+               keys: []
+            });
+            continue;
+         }
+
+         let columns: { name: string; type: string }[] = [];
+
+         try { // Result columns types
+            const description = await this._runQuery(connection, `DESCRIBE ${query}`);
+            columns = description.map(column => ({ name: column.column_name, type: column.column_type }));
+         }
+         catch (err) {
+            if (queryResult.length) {
+               columns = Object.keys(queryResult[0]).map(name => {
+                  return { name, type: typeof queryResult[0][name] };
+               });
+            }
+         }
+
+         const rows = queryResult.map(row => {
+            for (const column of columns)
+               row[column.name] = this._parseValue(row[column.name], this._parseType(column.type)[0]);
+
+            return row;
+         });
+
+         const fromTable = this._getFromTable(query);
+
+         let remappedFields = columns.map(column => {
+            const isArray = column.type.endsWith('[]');
+            const [type, length] = this._parseType(column.type.replace('[]', ''));
+
+            return {
+               name: column.name,
+               alias: column.name,
+               orgName: column.name,
+               schema: fromTable ? fromTable.schema : this._schema,
+               table: fromTable ? fromTable.table : null,
+               tableAlias: fromTable ? fromTable.alias : null,
+               orgTable: fromTable ? fromTable.table : null,
+               type,
+               isArray,
+               length,
+               key: undefined as string
+            };
+         });
+
+         if (args.details && fromTable) {
+            paramsArr = [{ table: fromTable.table, schema: fromTable.schema }];
+
+            for (const paramObj of paramsArr) {
+               try {
+                  const indexes = await this.getTableIndexes(paramObj);
+
+                  remappedFields = remappedFields.map(field => {
+                     const fieldIndex = indexes.find(i => i.column === field.name);
+                     if (field.table === paramObj.table && field.schema === paramObj.schema) {
+                        if (fieldIndex) {
+                           const key = fieldIndex.type === 'PRIMARY' ? 'pri' : fieldIndex.type === 'UNIQUE' ? 'uni' : 'mul';
+                           field = { ...field, key };
+                        }
+                     }
+
+                     return field;
+                  });
+
+                  keysArr = [...keysArr, ...await this.getKeyUsage(paramObj)];
+               }
+               catch (err) {} // Not a table, e.g. a table function or a file
+            }
+         }
+
+         resultsArr.push({
+            duration: timeStop.getTime() - timeStart.getTime(),
+            rows,
+            report: null,
+            fields: remappedFields,
+            keys: keysArr
+         });
+      }
+
+      if (Array.isArray(sql))
+         return this._groupStatementsResults(resultsArr, statementStarts) as unknown as T;
+
+      const result = resultsArr.length === 1 ? resultsArr[0] : resultsArr;
+
+      return result as unknown as T;
+   }
+
+   getVariables (): null[] {
+      return [];
+   }
+
+   getCollations (): null[] {
+      return [];
+   }
+}
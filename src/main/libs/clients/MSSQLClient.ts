@@ -0,0 +1,1489 @@
+import * as antares from 'common/interfaces/antares';
+import * as mssql from 'mssql';
+import * as tls from 'tls';
+import { AntaresCore } from '../AntaresCore';
+import * as dataTypes from 'common/data-types/mssql';
+import { BLOB } from 'common/fieldTypes';
+import SSH2Promise from 'ssh2-promise';
+import SSHConfig from 'ssh2-promise/lib/sshConfig';
+
+/**
+ * Value bound with the SQL type of its column, for values whose type can't be inferred
+ */
+class TypedParam {
+   type: mssql.ISqlType;
+   value: unknown;
+
+   constructor (type: mssql.ISqlType, value: unknown) {
+      this.type = type;
+      this.value = value;
+   }
+}
+
+export class MSSQLClient extends AntaresCore {
+   private _schema?: string;
+   private _runningConnections: Map<string, mssql.Request>;
+   private _connectionsToCommit: Map<string, mssql.Transaction>;
+   protected _connection?: mssql.ConnectionPool;
+
+   _params: {
+      host: string;
+      port: number;
+      user: string;
+      password: string;
+      database?: string;
+      schema: string;
+      ssl?: tls.ConnectionOptions;
+      ssh?: SSHConfig;
+      readonly: boolean;
+   };
+
+   constructor (args: antares.ClientParams) {
+      super(args);
+
+      this._schema = null;
+      this._runningConnections = new Map();
+      this._connectionsToCommit = new Map();
+   }
+
+   // eslint-disable-next-line @typescript-eslint/no-explicit-any
+   _reducer (acc: string[], curr: any) {
+      const type = typeof curr;
+
+      switch (type) {
+         case 'number':
+         case 'string':
+            return [...acc, curr];
+         case 'object':
+            if (Array.isArray(curr))
+               return [...acc, ...curr];
+            else {
+               const clausoles = [];
+               for (const key in curr)
+                  clausoles.push(`[${key}] ${curr[key]}`);
+
+               return clausoles;
+            }
+      }
+   }
+
+   protected _placeholder (index: number) {
+      return `@p${index}`;
+   }
+
+   _parseParam (value: unknown, type: string) {
+      if (type === 'BIT' && typeof value === 'string') // Bound as boolean, BIT columns hold a single bit
+         return /[1-9]/.test(value);
+      else if ([...BLOB, 'BINARY', 'VARBINARY'].includes(type)) // NULL as NVARCHAR can't be converted to binary types
+         return new TypedParam(mssql.VarBinary(mssql.MAX), super._parseParam(value, type));
+
+      return super._parseParam(value, type);
+   }
+
+   /**
+    * SQL type of a bound value, null values are bound as NVARCHAR
+    */
+   protected _paramType (value: unknown) {
+      if (Buffer.isBuffer(value))
+         return mssql.VarBinary(mssql.MAX);
+      else if (typeof value === 'boolean')
+         return mssql.Bit();
+      else if (typeof value === 'number') {
+         if (!Number.isInteger(value))
+            return mssql.Float();
+         return Math.abs(value) > 2147483647 ? mssql.BigInt() : mssql.Int();
+      }
+      else if (value instanceof Date)
+         return mssql.DateTime2();
+
+      return mssql.NVarChar(mssql.MAX);
+   }
+
+   protected _literal (value: unknown): string {
+      if (value instanceof TypedParam)
+         return this._literal(value.value);
+      else if (typeof value === 'boolean')
+         return value ? '1' : '0';
+      else if (Buffer.isBuffer(value))
+         return `0x${value.toString('hex')}`;
+      else if (typeof value === 'string')
+         return `N${super._literal(value)}`;
+
+      return super._literal(value);
+   }
+
+   protected _castToText (expression: string) {
+      return `CAST(${expression} AS NVARCHAR(MAX))`;
+   }
+
+   _getTypeInfo (type: string) {
+      return dataTypes
+         .reduce((acc, group) => [...acc, ...group.types], [])
+         .filter(_type => _type.name === type.toUpperCase())[0];
+   }
+
+   /**
+    * Returns the column type definition, SQL Server reports MAX lengths as -1
+    */
+   _getTypeDefinition (field: antares.TableField) {
+      const typeInfo = this._getTypeInfo(field.type);
+      let length: number | string = typeInfo && typeInfo.length ? field.numLength || field.charLength || field.datePrecision : false as null;
+
+      if (length === -1) length = 'MAX';
+
+      return `${field.type.toUpperCase()}${length ? `(${length}${typeInfo.scale && field.numScale !== null ? `,${field.numScale}` : ''})` : ''}`;
+   }
+
+   /**
+    * SQL Server wraps columns default values in parentheses, e.g. ((0)) or (getdate())
+    */
+   _unwrapDefault (value: string) {
+      if (value === null) return null;
+
+      const isWrapped = (str: string) => {
+         if (!str.startsWith('(') || !str.endsWith(')')) return false;
+
+         let depth = 0;
+         for (let i = 0; i < str.length; i++) {
+            if (str[i] === '(') depth++;
+            else if (str[i] === ')') depth--;
+            if (depth === 0 && i < str.length - 1) return false;
+         }
+
+         return true;
+      };
+
+      while (isWrapped(value))
+         value = value.slice(1, -1);
+
+      return value;
+   }
+
+   /**
+    * Extracts the first table referenced in the FROM clause of a query
+    */
+   _getFromTable (query: string) {
+      const identifier = '(\\[[^\\]]+\\]|"[^"]+"|[\\w#@$]+)';
+      const fromRegex = new RegExp(`\\bFROM\\s+(?:${identifier}\\.)?${identifier}(?:\\s+(?:AS\\s+)?(?!(?:WHERE|ORDER|GROUP|HAVING|JOIN|INNER|LEFT|RIGHT|FULL|CROSS|OUTER|UNION|EXCEPT|INTERSECT|OPTION|FOR|WITH)\\b)([\\w#@$]+))?`, 'i');
+      const match = query.match(fromRegex);
+
+      if (!match) return null;
+
+      const unquote = (str: string) => str ? str.replace(/^[["]|[\]"]$/g, '') : null;
+
+      return {
+         schema: unquote(match[1]) || this._schema,
+         table: unquote(match[2]),
+         alias: match[3] || null
+      };
+   }
+
+   async getDbConfig () {
+      const dbConfig = {
+         host: this._params.host,
+         port: this._params.port,
+         user: this._params.user,
+         password: this._params.password,
+         database: undefined as string | undefined,
+         ssl: null as tls.ConnectionOptions
+      };
+
+      if (this._params.database?.length) dbConfig.database = this._params.database;
+
+      if (this._params.ssl) dbConfig.ssl = this._params.ssl;
+
+      if (this._params.ssh) {
+         try {
+            this._ssh = new SSH2Promise({ ...this._params.ssh });
+
+            const tunnel = await this._ssh.addTunnel({
+               remoteAddr: this._params.host,
+               remotePort: this._params.port
+            });
+
+            dbConfig.host = (this._ssh.config as SSHConfig[] & { host: string }).host;
+            dbConfig.port = tunnel.localPort;
+         }
+         catch (err) {
+            if (this._ssh) this._ssh.close();
+            throw err;
+         }
+      }
+
+      return dbConfig;
+   }
+
+   /**
+    * Converts the connection parameters to the configuration object of the mssql package
+    */
+   async _getPoolConfig () {
+      const { host, ssl, ...dbConfig } = await this.getDbConfig();
+      const poolConfig: mssql.config = {
+         ...dbConfig,
+         server: host,
+         options: {
+            appName: 'Antares SQL',
+            encrypt: false,
+            trustServerCertificate: true
+         }
+      };
+
+      if (ssl) {
+         const { rejectUnauthorized, ...cryptoCredentialsDetails } = ssl;
+
+         poolConfig.options.encrypt = true;
+         poolConfig.options.trustServerCertificate = !rejectUnauthorized;
+         poolConfig.options.cryptoCredentialsDetails = cryptoCredentialsDetails;
+      }
+
+      return poolConfig;
+   }
+
+   /**
+    * @memberof MSSQLClient
+    */
+   async connect () {
+      if (!this._poolSize)
+         this._connection = await this.getConnection();
+      else
+         this._connection = await this.getConnectionPool();
+   }
+
+   async getConnection () {
+      const poolConfig = await this._getPoolConfig();
+      const connection = new mssql.ConnectionPool({ ...poolConfig, pool: { max: 1 } });
+      await connection.connect();
+
+      return connection;
+   }
+
+   async getConnectionPool () {
+      const poolConfig = await this._getPoolConfig();
+      const connection = new mssql.ConnectionPool({ ...poolConfig, pool: { max: this._poolSize } });
+      await connection.connect();
+
+      return connection;
+   }
+
+   destroy () {
+      this._connection.close();
+      if (this._ssh) this._ssh.close();
+   }
+
+   /**
+    * SQL Server has no session level default schema, so the selected one is only stored to qualify unqualified names.
+    * The database is set in the pool configuration, to be used by every connection of the pool
+    */
+   use (schema: string) {
+      this._schema = schema;
+   }
+
+   getCollations (): null[] {
+      return [];
+   }
+
+   async getStructure (schemas: Set<string>) {
+      /* eslint-disable camelcase */
+      interface ShowTableResult {
+         Db?: string;
+         table_name: string;
+         table_type: string;
+         table_rows: number;
+         table_size: number;
+         comment: string;
+      }
+
+      interface ShowRoutinesResult {
+         routine_schema: string;
+         routine_name: string;
+         routine_type: string;
+      }
+
+      interface ShowTriggersResult {
+         trigger_schema: string;
+         table_name: string;
+         trigger_name: string;
+         is_disabled: boolean;
+      }
+      /* eslint-enable camelcase */
+
+      const { rows: databases } = await this.raw<antares.QueryResult<{ database: string }>>(`
+         SELECT name AS [database] FROM sys.schemas
+         WHERE schema_id < 16384 AND name NOT IN ('sys', 'INFORMATION_SCHEMA', 'guest')
+         ORDER BY name
+      `);
+
+      const { rows: routines } = await this.raw<antares.QueryResult<ShowRoutinesResult>>(`
+         SELECT s.name AS routine_schema, o.name AS routine_name, o.type AS routine_type
+         FROM sys.objects o
+         JOIN sys.schemas s ON s.schema_id = o.schema_id
+         WHERE o.type IN ('P', 'FN', 'IF', 'TF') AND o.is_ms_shipped = 0
+         ORDER BY o.name
+      `);
+
+      const { rows: triggers } = await this.raw<antares.QueryResult<ShowTriggersResult>>(`
+         SELECT s.name AS trigger_schema, o.name AS table_name, t.name AS trigger_name, t.is_disabled
+         FROM sys.triggers t
+         JOIN sys.objects o ON o.object_id = t.parent_id
+         JOIN sys.schemas s ON s.schema_id = o.schema_id
+         WHERE t.parent_class = 1
+         ORDER BY o.name
+      `);
+
+      const tablesArr: ShowTableResult[] = [];
+
+      for (const db of databases) {
+         if (!schemas.has(db.database)) continue;
+
+         let { rows: tables } = await this.raw<antares.QueryResult<ShowTableResult>>(`
+            SELECT
+               o.name AS table_name,
+               o.type AS table_type,
+               (SELECT SUM(p.rows) FROM sys.partitions p WHERE p.object_id = o.object_id AND p.index_id IN (0, 1)) AS table_rows,
+               (SELECT SUM(a.total_pages) * 8192 FROM sys.partitions p JOIN sys.allocation_units a ON a.container_id = p.partition_id WHERE p.object_id = o.object_id) AS table_size,
+               CAST(ep.value AS NVARCHAR(MAX)) AS comment
+            FROM sys.objects o
+            JOIN sys.schemas s ON s.schema_id = o.schema_id
+            LEFT JOIN sys.extended_properties ep ON ep.major_id = o.object_id AND ep.minor_id = 0 AND ep.name = 'MS_Description'
+            WHERE o.type IN ('U', 'V') AND s.name = '${db.database}'
+            ORDER BY o.name
+         `);
+
+         if (tables.length) {
+            tables = tables.map(table => {
+               table.Db = db.database;
+               return table;
+            });
+            tablesArr.push(...tables);
+         }
+      }
+
+      return databases.map(db => {
+         if (schemas.has(db.database)) {
+            let schemaSize = 0;
+
+            // TABLES
+            const remappedTables = tablesArr.filter(table => table.Db === db.database).map(table => {
+               const tableSize = Number(table.table_size);
+               schemaSize += tableSize;
+
+               return {
+                  name: table.table_name,
+                  type: table.table_type.trim() === 'V' ? 'view' : 'table',
+                  rows: table.table_rows,
+                  size: tableSize,
+                  collation: null as null,
+                  comment: table.comment,
+                  engine: ''
+               };
+            });
+
+            // PROCEDURES
+            const remappedProcedures = routines.filter(routine => routine.routine_schema === db.database && routine.routine_type.trim() === 'P').map(procedure => {
+               return {
+                  name: procedure.routine_name,
+                  type: 'PROCEDURE',
+                  security: ''
+               };
+            });
+
+            // FUNCTIONS
+            const remappedFunctions = routines.filter(routine => routine.routine_schema === db.database && routine.routine_type.trim() !== 'P').map(func => {
+               return {
+                  name: func.routine_name,
+                  type: 'FUNCTION',
+                  security: ''
+               };
+            });
+
+            // TRIGGERS
+            const remappedTriggers = triggers.filter(trigger => trigger.trigger_schema === db.database).map(trigger => {
+               return {
+                  name: `${trigger.table_name}.${trigger.trigger_name}`,
+                  orgName: trigger.trigger_name,
+                  definer: '',
+                  table: trigger.table_name,
+                  sqlMode: '',
+                  enabled: !trigger.is_disabled
+               };
+            });
+
+            return {
+               name: db.database,
+               size: schemaSize,
+               tables: remappedTables,
+               functions: remappedFunctions,
+               procedures: remappedProcedures,
+               triggers: remappedTriggers,
+               schedulers: []
+            };
+         }
+         else {
+            return {
+               name: db.database,
+               size: 0,
+               tables: [],
+               functions: [],
+               procedures: [],
+               triggers: [],
+               schedulers: []
+            };
+         }
+      });
+   }
+
+   async getTableColumns ({ schema, table }: { schema: string; table: string }) {
+      /* eslint-disable camelcase */
+      interface TableColumnsResult {
+         column_name: string;
+         data_type: string;
+         table_schema: string;
+         table_name: string;
+         numeric_scale: number;
+         numeric_precision: number;
+         datetime_precision: number;
+         character_maximum_length: number;
+         is_nullable: string;
+         ordinal_position: number;
+         column_default: string;
+         character_set_name: string;
+         collation_name: string;
+         is_identity: number;
+         column_comment: string;
+      }
+      /* eslint-enable camelcase */
+
+      const { rows } = await this.raw<antares.QueryResult<TableColumnsResult>>(`
+         SELECT
+            c.COLUMN_NAME AS column_name,
+            c.DATA_TYPE AS data_type,
+            c.TABLE_SCHEMA AS table_schema,
+            c.TABLE_NAME AS table_name,
+            c.NUMERIC_SCALE AS numeric_scale,
+            c.NUMERIC_PRECISION AS numeric_precision,
+            c.DATETIME_PRECISION AS datetime_precision,
+            c.CHARACTER_MAXIMUM_LENGTH AS character_maximum_length,
+            c.IS_NULLABLE AS is_nullable,
+            c.ORDINAL_POSITION AS ordinal_position,
+            c.COLUMN_DEFAULT AS column_default,
+            c.CHARACTER_SET_NAME AS character_set_name,
+            c.COLLATION_NAME AS collation_name,
+            COLUMNPROPERTY(OBJECT_ID(QUOTENAME(c.TABLE_SCHEMA) + '.' + QUOTENAME(c.TABLE_NAME)), c.COLUMN_NAME, 'IsIdentity') AS is_identity,
+            CAST(ep.value AS NVARCHAR(MAX)) AS column_comment
+         FROM INFORMATION_SCHEMA.COLUMNS c
+         LEFT JOIN sys.extended_properties ep
+            ON ep.major_id = OBJECT_ID(QUOTENAME(c.TABLE_SCHEMA) + '.' + QUOTENAME(c.TABLE_NAME))
+            AND ep.minor_id = COLUMNPROPERTY(OBJECT_ID(QUOTENAME(c.TABLE_SCHEMA) + '.' + QUOTENAME(c.TABLE_NAME)), c.COLUMN_NAME, 'ColumnId')
+            AND ep.name = 'MS_Description'
+         WHERE c.TABLE_SCHEMA = '${schema}' AND c.TABLE_NAME = '${table}'
+         ORDER BY c.ORDINAL_POSITION
+      `);
+
+      return rows.map(field => {
+         return {
+            name: field.column_name,
+            key: null as string,
+            type: field.data_type.toUpperCase(),
+            schema: field.table_schema,
+            table: field.table_name,
+            numScale: field.numeric_scale,
+            numPrecision: field.numeric_precision,
+            datePrecision: field.datetime_precision,
+            charLength: field.character_maximum_length,
+            nullable: field.is_nullable.includes('YES'),
+            unsigned: null as boolean,
+            zerofill: null as boolean,
+            order: field.ordinal_position,
+            default: this._unwrapDefault(field.column_default),
+            charset: field.character_set_name,
+            collation: field.collation_name,
+            autoIncrement: !!field.is_identity,
+            onUpdate: null as string,
+            comment: field.column_comment || ''
+         };
+      });
+   }
+
+   async getTableApproximateCount ({ schema, table }: { schema: string; table: string }): Promise<number> {
+      const { rows } = await this.raw(`
+         SELECT SUM(rows) AS count FROM sys.partitions
+         WHERE object_id = OBJECT_ID('[${schema}].[${table}]') AND index_id IN (0, 1)
+      `);
+
+      return rows.length ? rows[0].count : 0;
+   }
+
+   async getTableOptions ({ schema, table }: { schema: string; table: string }) {
+      /* eslint-disable camelcase */
+      interface TableOptionsResult {
+         table_name: string;
+         table_type: string;
+         table_rows: number;
+         table_size: number;
+         comment: string;
+      }
+      /* eslint-enable camelcase */
+
+      const { rows } = await this.raw<antares.QueryResult<TableOptionsResult>>(`
+         SELECT
+            o.name AS table_name,
+            o.type AS table_type,
+            (SELECT SUM(p.rows) FROM sys.partitions p WHERE p.object_id = o.object_id AND p.index_id IN (0, 1)) AS table_rows,
+            (SELECT SUM(a.total_pages) * 8192 FROM sys.partitions p JOIN sys.allocation_units a ON a.container_id = p.partition_id WHERE p.object_id = o.object_id) AS table_size,
+            CAST(ep.value AS NVARCHAR(MAX)) AS comment
+         FROM sys.objects o
+         LEFT JOIN sys.extended_properties ep ON ep.major_id = o.object_id AND ep.minor_id = 0 AND ep.name = 'MS_Description'
+         WHERE o.object_id = OBJECT_ID('[${schema}].[${table}]')
+      `);
+
+      if (rows.length) {
+         return {
+            name: rows[0].table_name,
+            type: rows[0].table_type.trim() === 'V' ? 'view' : 'table',
+            rows: rows[0].table_rows,
+            size: +rows[0].table_size,
+            collation: null as null,
+            comment: rows[0].comment,
+            engine: ''
+         };
+      }
+      return {};
+   }
+
+   async getTableIndexes ({ schema, table }: { schema: string; table: string }) {
+      /* eslint-disable camelcase */
+      interface ShowIndexesResult {
+         index_name: string;
+         column_name: string;
+         is_primary_key: boolean;
+         is_unique: boolean;
+         type_desc: string;
+      }
+      /* eslint-enable camelcase */
+
+      const { rows } = await this.raw<antares.QueryResult<ShowIndexesResult>>(`
+         SELECT i.name AS index_name, c.name AS column_name, i.is_primary_key, i.is_unique, i.type_desc
+         FROM sys.indexes i
+         JOIN sys.index_columns ic ON ic.object_id = i.object_id AND ic.index_id = i.index_id
+         JOIN sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id
+         WHERE i.object_id = OBJECT_ID('[${schema}].[${table}]') AND ic.is_included_column = 0
+         ORDER BY i.name, ic.key_ordinal
+      `);
+
+      return rows.map(row => {
+         return {
+            name: row.index_name,
+            column: row.column_name,
+            indexType: row.type_desc,
+            type: row.is_primary_key ? 'PRIMARY' : row.is_unique ? 'UNIQUE' : 'INDEX',
+            cardinality: null as null,
+            comment: '',
+            indexComment: ''
+         };
+      });
+   }
+
+   async getKeyUsage ({ schema, table }: { schema: string; table: string }) {
+      /* eslint-disable camelcase */
+      interface KeyResult {
+         table_schema: string;
+         table_name: string;
+         column_name: string;
+         ordinal_position: number;
+         constraint_name: string;
+         foreign_table_schema: string;
+         foreign_table_name: string;
+         foreign_column_name: string;
+         update_rule: string;
+         delete_rule: string;
+      }
+      /* eslint-enable camelcase */
+
+      const { rows } = await this.raw<antares.QueryResult<KeyResult>>(`
+         SELECT
+            SCHEMA_NAME(tp.schema_id) AS table_schema,
+            tp.name AS table_name,
+            cp.name AS column_name,
+            fkc.constraint_column_id AS ordinal_position,
+            fk.name AS constraint_name,
+            SCHEMA_NAME(tr.schema_id) AS foreign_table_schema,
+            tr.name AS foreign_table_name,
+            cr.name AS foreign_column_name,
+            fk.update_referential_action_desc AS update_rule,
+            fk.delete_referential_action_desc AS delete_rule
+         FROM sys.foreign_keys fk
+         JOIN sys.foreign_key_columns fkc ON fkc.constraint_object_id = fk.object_id
+         JOIN sys.tables tp ON tp.object_id = fk.parent_object_id
+         JOIN sys.columns cp ON cp.object_id = fkc.parent_object_id AND cp.column_id = fkc.parent_column_id
+         JOIN sys.tables tr ON tr.object_id = fk.referenced_object_id
+         JOIN sys.columns cr ON cr.object_id = fkc.referenced_object_id AND cr.column_id = fkc.referenced_column_id
+         WHERE SCHEMA_NAME(tp.schema_id) = '${schema}' AND tp.name = '${table}'
+      `);
+
+      return rows.map(field => {
+         return {
+            schema: field.table_schema,
+            table: field.table_name,
+            field: field.column_name,
+            position: field.ordinal_position,
+            constraintPosition: field.ordinal_position,
+            constraintName: field.constraint_name,
+            refSchema: field.foreign_table_schema,
+            refTable: field.foreign_table_name,
+            refField: field.foreign_column_name,
+            onUpdate: field.update_rule.replace('_', ' '),
+            onDelete: field.delete_rule.replace('_', ' ')
+         };
+      });
+   }
+
+   /**
+    * Returns the foreign keys of other tables referencing the given table
+    */
+   async getReferencingKeys ({ schema, table }: { schema: string; table: string }) {
+      /* eslint-disable camelcase */
+      interface KeyResult {
+         table_schema: string;
+         table_name: string;
+         column_name: string;
+         ordinal_position: number;
+         constraint_name: string;
+         foreign_table_schema: string;
+         foreign_table_name: string;
+         foreign_column_name: string;
+         update_rule: string;
+         delete_rule: string;
+      }
+      /* eslint-enable camelcase */
+
+      const { rows } = await this.raw<antares.QueryResult<KeyResult>>(`
+         SELECT
+            SCHEMA_NAME(tp.schema_id) AS table_schema,
+            tp.name AS table_name,
+            cp.name AS column_name,
+            fkc.constraint_column_id AS ordinal_position,
+            fk.name AS constraint_name,
+            SCHEMA_NAME(tr.schema_id) AS foreign_table_schema,
+            tr.name AS foreign_table_name,
+            cr.name AS foreign_column_name,
+            fk.update_referential_action_desc AS update_rule,
+            fk.delete_referential_action_desc AS delete_rule
+         FROM sys.foreign_keys fk
+         JOIN sys.foreign_key_columns fkc ON fkc.constraint_object_id = fk.object_id
+         JOIN sys.tables tp ON tp.object_id = fk.parent_object_id
+         JOIN sys.columns cp ON cp.object_id = fkc.parent_object_id AND cp.column_id = fkc.parent_column_id
+         JOIN sys.tables tr ON tr.object_id = fk.referenced_object_id
+         JOIN sys.columns cr ON cr.object_id = fkc.referenced_object_id AND cr.column_id = fkc.referenced_column_id
+         WHERE SCHEMA_NAME(tr.schema_id) = '${schema}' AND tr.name = '${table}'
+      `);
+
+      return rows.map(field => {
+         return {
+            schema: field.table_schema,
+            table: field.table_name,
+            field: field.column_name,
+            position: field.ordinal_position,
+            constraintPosition: field.ordinal_position,
+            constraintName: field.constraint_name,
+            refSchema: field.foreign_table_schema,
+            refTable: field.foreign_table_name,
+            refField: field.foreign_column_name,
+            onUpdate: field.update_rule.replace('_', ' '),
+            onDelete: field.delete_rule.replace('_', ' ')
+         };
+      });
+   }
+
+   async getUsers () {
+      const { rows } = await this.raw('SELECT name FROM sys.server_principals WHERE type IN (\'S\', \'U\') ORDER BY name');
+
+      return rows.map(row => {
+         return {
+            name: row.name,
+            host: '',
+            password: ''
+         } as {name: string; host: string; password: string};
+      });
+   }
+
+   async createSchema (params: {name: string}) {
+      return await this.raw(`CREATE SCHEMA [${params.name}]`);
+   }
+
+   // eslint-disable-next-line @typescript-eslint/no-unused-vars
+   async alterSchema (params: {name: string}): Promise<void> {
+      return null;
+   }
+
+   async dropSchema (params: { database: string }) {
+      return await this.raw(`DROP SCHEMA [${params.database}]`);
+   }
+
+   async createTable (params: antares.CreateTableParams) {
+      const {
+         schema,
+         fields,
+         foreigns,
+         indexes,
+         options
+      } = params;
+      const newColumns: string[] = [];
+      const newIndexes: string[] = [];
+      const manageIndexes: string[] = [];
+      const newForeigns: string[] = [];
+
+      let sql = `CREATE TABLE [${schema}].[${options.name}]`;
+
+      // ADD FIELDS
+      fields.forEach(field => {
+         newColumns.push(`[${field.name}]
+            ${this._getTypeDefinition(field)}
+            ${field.autoIncrement ? 'IDENTITY(1,1)' : ''}
+            ${field.nullable ? 'NULL' : 'NOT NULL'}
+            ${field.default ? `DEFAULT ${field.default}` : ''}`);
+      });
+
+      // ADD INDEX
+      indexes.forEach(index => {
+         const fields = index.fields.map(field => `[${field}]`).join(',');
+         const type = index.type;
+
+         if (type === 'PRIMARY')
+            newIndexes.push(`PRIMARY KEY (${fields})`);
+         else if (type === 'UNIQUE')
+            newIndexes.push(`CONSTRAINT [${index.name}] UNIQUE (${fields})`);
+         else
+            manageIndexes.push(`CREATE INDEX [${index.name}] ON [${schema}].[${options.name}] (${fields})`);
+      });
+
+      // ADD FOREIGN KEYS
+      foreigns.forEach(foreign => {
+         newForeigns.push(`CONSTRAINT [${foreign.constraintName}] FOREIGN KEY ([${foreign.field}]) REFERENCES [${schema}].[${foreign.refTable}] ([${foreign.refField}]) ON UPDATE ${foreign.onUpdate} ON DELETE ${foreign.onDelete}`);
+      });
+
+      sql = `${sql} (${[...newColumns, ...newIndexes, ...newForeigns].join(', ')})`;
+      if (manageIndexes.length) sql = `${sql}; ${manageIndexes.join(';')}`;
+
+      return await this.raw(sql);
+   }
+
+   async alterTable (params: antares.AlterTableParams) {
+      const {
+         table,
+         schema,
+         additions,
+         deletions,
+         changes,
+         indexChanges,
+         foreignChanges,
+         options
+      } = params;
+
+      const tableName = `[${schema}].[${table}]`;
+      const renameColumns: string[] = [];
+      const dropIndexes: string[] = [];
+      const alterColumns: string[] = [];
+      const createIndexes: string[] = [];
+
+      // Default values are constraints, they must be dropped before changing or deleting a column
+      const dropDefault = (column: string) => {
+         const variable = `@df_${column.replace(/\W/g, '_')}`;
+         return `DECLARE ${variable} NVARCHAR(256) = (SELECT dc.name FROM sys.default_constraints dc JOIN sys.columns c ON c.object_id = dc.parent_object_id AND c.column_id = dc.parent_column_id WHERE dc.parent_object_id = OBJECT_ID('${tableName}') AND c.name = '${column}');
+            IF ${variable} IS NOT NULL EXEC('ALTER TABLE ${tableName} DROP CONSTRAINT [' + ${variable} + ']')`;
+      };
+
+      const addIndex = (index: { name: string; type: string; fields: string[] }) => {
+         const fields = index.fields.map(field => `[${field}]`).join(',');
+
+         if (index.type === 'PRIMARY')
+            createIndexes.push(`ALTER TABLE ${tableName} ADD PRIMARY KEY (${fields})`);
+         else if (index.type === 'UNIQUE')
+            createIndexes.push(`ALTER TABLE ${tableName} ADD CONSTRAINT [${index.name}] UNIQUE (${fields})`);
+         else
+            createIndexes.push(`CREATE INDEX [${index.name}] ON ${tableName} (${fields})`);
+      };
+
+      const dropIndex = (name: string, type: string) => {
+         if (['PRIMARY', 'UNIQUE'].includes(type))
+            dropIndexes.push(`ALTER TABLE ${tableName} DROP CONSTRAINT [${name}]`);
+         else
+            dropIndexes.push(`DROP INDEX [${name}] ON ${tableName}`);
+      };
+
+      // ADD FIELDS
+      additions.forEach(addition => {
+         alterColumns.push(`ALTER TABLE ${tableName} ADD [${addition.name}]
+            ${this._getTypeDefinition(addition)}
+            ${addition.autoIncrement ? 'IDENTITY(1,1)' : ''}
+            ${addition.nullable ? 'NULL' : 'NOT NULL'}
+            ${addition.default ? `DEFAULT ${addition.default}` : ''}`);
+      });
+
+      // ADD INDEX
+      indexChanges.additions.forEach(addition => {
+         addIndex(addition);
+      });
+
+      // ADD FOREIGN KEYS
+      foreignChanges.additions.forEach(addition => {
+         createIndexes.push(`ALTER TABLE ${tableName} ADD CONSTRAINT [${addition.constraintName}] FOREIGN KEY ([${addition.field}]) REFERENCES [${schema}].[${addition.refTable}] ([${addition.refField}]) ON UPDATE ${addition.onUpdate} ON DELETE ${addition.onDelete}`);
+      });
+
+      // CHANGE FIELDS
+      changes.forEach(change => {
+         if (change.orgName !== change.name)
+            renameColumns.push(`EXEC sp_rename '${schema}.${table}.${change.orgName}', '${change.name}', 'COLUMN'`);
+
+         alterColumns.push(dropDefault(change.name));
+         alterColumns.push(`ALTER TABLE ${tableName} ALTER COLUMN [${change.name}] ${this._getTypeDefinition(change)} ${change.nullable ? 'NULL' : 'NOT NULL'}`);
+
+         if (change.default)
+            alterColumns.push(`ALTER TABLE ${tableName} ADD DEFAULT ${change.default} FOR [${change.name}]`);
+      });
+
+      // CHANGE INDEX
+      indexChanges.changes.forEach(change => {
+         dropIndex(change.oldName, change.oldType);
+         addIndex(change);
+      });
+
+      // CHANGE FOREIGN KEYS
+      foreignChanges.changes.forEach(change => {
+         dropIndexes.push(`ALTER TABLE ${tableName} DROP CONSTRAINT [${change.oldName}]`);
+         createIndexes.push(`ALTER TABLE ${tableName} ADD CONSTRAINT [${change.constraintName}] FOREIGN KEY ([${change.field}]) REFERENCES [${schema}].[${change.refTable}] ([${change.refField}]) ON UPDATE ${change.onUpdate} ON DELETE ${change.onDelete}`);
+      });
+
+      // DROP FIELDS
+      deletions.forEach(deletion => {
+         alterColumns.push(dropDefault(deletion.name));
+         alterColumns.push(`ALTER TABLE ${tableName} DROP COLUMN [${deletion.name}]`);
+      });
+
+      // DROP INDEX
+      indexChanges.deletions.forEach(deletion => {
+         dropIndex(deletion.name, deletion.type);
+      });
+
+      // DROP FOREIGN KEYS
+      foreignChanges.deletions.forEach(deletion => {
+         dropIndexes.push(`ALTER TABLE ${tableName} DROP CONSTRAINT [${deletion.constraintName}]`);
+      });
+
+      // Indexes and constraints are dropped before the columns they reference change, and created after the columns exist
+      const statements = [...renameColumns, ...dropIndexes, ...alterColumns, ...createIndexes];
+
+      // RENAME
+      if (options.name) statements.push(`EXEC sp_rename '${schema}.${table}', '${options.name}'`);
+
+      if (!statements.length) return;
+
+      return await this.raw(`BEGIN TRANSACTION; ${statements.join(';\n')}; COMMIT TRANSACTION`, { split: false });
+   }
+
+   async duplicateTable (params: { schema: string; table: string }) {
+      const sql = `SELECT * INTO [${params.schema}].[${params.table}_copy] FROM [${params.schema}].[${params.table}]`;
+      return await this.raw(sql);
+   }
+
+   async truncateTable (params: { schema: string; table: string }) {
+      const sql = `TRUNCATE TABLE [${params.schema}].[${params.table}]`;
+      return await this.raw(sql);
+   }
+
+   async dropTable (params: { schema: string; table: string }) {
+      const sql = `DROP TABLE [${params.schema}].[${params.table}]`;
+      return await this.raw(sql);
+   }
+
+   async getViewInformations ({ schema, view }: { schema: string; view: string }) {
+      const sql = `SELECT definition FROM sys.sql_modules WHERE object_id = OBJECT_ID('[${schema}].[${view}]')`;
+      const results = await this.raw(sql);
+
+      return results.rows.map(row => {
+         return {
+            algorithm: '',
+            definer: '',
+            security: '',
+            updateOption: '',
+            sql: row.definition.match(/\bAS\b\s+([\s\S]*)$/i)[1],
+            name: view
+         };
+      })[0];
+   }
+
+   async dropView (params: { schema: string; view: string }) {
+      const sql = `DROP VIEW [${params.schema}].[${params.view}]`;
+      return await this.raw(sql);
+   }
+
+   async alterView ({ view }: { view: antares.AlterViewParams }) {
+      // ALTER VIEW must be the only statement in its batch
+      await this.raw(`ALTER VIEW [${view.schema}].[${view.oldName}] AS ${view.sql}`, { split: false });
+
+      if (view.name !== view.oldName)
+         return await this.raw(`EXEC sp_rename '${view.schema}.${view.oldName}', '${view.name}'`);
+   }
+
+   async createView (params: antares.CreateViewParams) {
+      const sql = `CREATE VIEW [${params.schema}].[${params.name}] AS ${params.sql}`;
+      return await this.raw(sql, { split: false });
+   }
+
+   async getTriggerInformations ({ schema, trigger }: { schema: string; trigger: string }) {
+      const [table, triggerName] = trigger.split('.');
+
+      const results = await this.raw(`
+         SELECT
+            t.name AS trigger_name,
+            OBJECT_NAME(t.parent_id) AS table_name,
+            t.is_instead_of_trigger,
+            m.definition,
+            (SELECT STRING_AGG(te.type_desc, ',') FROM sys.trigger_events te WHERE te.object_id = t.object_id) AS event
+         FROM sys.triggers t
+         JOIN sys.sql_modules m ON m.object_id = t.object_id
+         WHERE t.parent_id = OBJECT_ID('[${schema}].[${table}]') AND t.name = '${triggerName}'
+      `);
+
+      return results.rows.map(row => {
+         return {
+            sql: row.definition.match(/(?:\bFOR|\bAFTER|\bINSTEAD\s+OF)\s+[\w\s,]+?\s+AS\s+([\s\S]*)$/i)[1],
+            name: row.trigger_name,
+            table: row.table_name,
+            event: row.event.split(','),
+            // BEFORE is the closest activation offered by the trigger editor to INSTEAD OF
+            activation: row.is_instead_of_trigger ? 'BEFORE' : 'AFTER'
+         };
+      })[0];
+   }
+
+   async dropTrigger (params: { schema: string; trigger: string }) {
+      const triggerParts = params.trigger.split('.');
+      const sql = `DROP TRIGGER [${params.schema}].[${triggerParts[1]}]`;
+      return await this.raw(sql);
+   }
+
+   async alterTrigger ({ trigger } : {trigger: antares.AlterTriggerParams}) {
+      const tempTrigger = Object.assign({}, trigger);
+      tempTrigger.name = `Antares_${tempTrigger.name}_tmp`;
+
+      try {
+         await this.createTrigger(tempTrigger);
+         await this.dropTrigger({ schema: trigger.schema, trigger: `${tempTrigger.table}.${tempTrigger.name}` });
+         await this.dropTrigger({ schema: trigger.schema, trigger: `${trigger.table}.${trigger.oldName}` });
+         await this.createTrigger(trigger);
+      }
+      catch (err) {
+         return Promise.reject(err);
+      }
+   }
+
+   async createTrigger (params: antares.CreateTriggerParams) {
+      const eventsString = Array.isArray(params.event) ? params.event.join(', ') : params.event;
+      const activation = params.activation === 'BEFORE' ? 'INSTEAD OF' : params.activation;
+      const sql = `CREATE TRIGGER [${params.schema}].[${params.name}] ON [${params.schema}].[${params.table}] ${activation} ${eventsString} AS ${params.sql}`;
+      return await this.raw(sql, { split: false });
+   }
+
+   async enableTrigger ({ schema, trigger }: { schema: string; trigger: string }) {
+      const [table, triggerName] = trigger.split('.');
+      const sql = `ENABLE TRIGGER [${schema}].[${triggerName}] ON [${schema}].[${table}]`;
+      return await this.raw(sql, { split: false });
+   }
+
+   async disableTrigger ({ schema, trigger }: { schema: string; trigger: string }) {
+      const [table, triggerName] = trigger.split('.');
+      const sql = `DISABLE TRIGGER [${schema}].[${triggerName}] ON [${schema}].[${table}]`;
+      return await this.raw(sql, { split: false });
+   }
+
+   async _getModuleParameters (schema: string, name: string) {
+      /* eslint-disable camelcase */
+      interface ModuleParamsResult {
+         parameter_name: string;
+         data_type: string;
+         max_length: number;
+         is_output: boolean;
+      }
+      /* eslint-enable camelcase */
+
+      const { rows } = await this.raw<antares.QueryResult<ModuleParamsResult>>(`
+         SELECT p.name AS parameter_name, TYPE_NAME(p.user_type_id) AS data_type, p.max_length, p.is_output
+         FROM sys.parameters p
+         WHERE p.object_id = OBJECT_ID('[${schema}].[${name}]')
+         ORDER BY p.parameter_id
+      `);
+
+      return rows.map(row => {
+         const type = row.data_type.toUpperCase();
+         const typeInfo = this._getTypeInfo(type);
+         let length = null;
+
+         if (typeInfo && typeInfo.length && ['CHAR', 'VARCHAR', 'NCHAR', 'NVARCHAR', 'BINARY', 'VARBINARY'].includes(type))
+            length = row.max_length === -1 ? 'MAX' : type.startsWith('N') ? row.max_length / 2 : row.max_length;
+
+         return {
+            name: row.parameter_name.replace('@', ''),
+            type,
+            length,
+            context: row.is_output ? 'OUT' : 'IN'
+         };
+      });
+   }
+
+   _getParametersString (parameters: antares.FunctionParam[] = []) {
+      return parameters.map(param => {
+         return `@${param.name} ${param.type}${param.length ? `(${param.length})` : ''}${param.context && param.context !== 'IN' ? ' OUTPUT' : ''}`;
+      }).join(', ');
+   }
+
+   async getRoutineInformations ({ schema, routine }: { schema: string; routine: string }) {
+      const sql = `SELECT definition FROM sys.sql_modules WHERE object_id = OBJECT_ID('[${schema}].[${routine}]')`;
+      const results = await this.raw(sql);
+
+      if (!results.rows.length) {
+         return {
+            definer: null as null,
+            sql: '',
+            parameters: [] as antares.FunctionParam[],
+            name: routine,
+            comment: '',
+            security: '',
+            deterministic: false,
+            dataAccess: ''
+         };
+      }
+
+      const parameters = await this._getModuleParameters(schema, routine);
+
+      return {
+         definer: '',
+         sql: results.rows[0].definition.match(/\bAS\b\s+([\s\S]*)$/i)[1],
+         parameters,
+         name: routine,
+         comment: '',
+         security: '',
+         deterministic: null as null,
+         dataAccess: null as null
+      };
+   }
+
+   async dropRoutine (params: { schema: string; routine: string }) {
+      const sql = `DROP PROCEDURE [${params.schema}].[${params.routine}]`;
+      return await this.raw(sql);
+   }
+
+   async alterRoutine ({ routine }: {routine: antares.AlterRoutineParams}) {
+      const tempProcedure = Object.assign({}, routine);
+      tempProcedure.name = `Antares_${tempProcedure.name}_tmp`;
+
+      try {
+         await this.createRoutine(tempProcedure);
+         await this.dropRoutine({ schema: routine.schema, routine: tempProcedure.name });
+         await this.dropRoutine({ schema: routine.schema, routine: routine.oldName });
+         await this.createRoutine(routine);
+      }
+      catch (err) {
+         return Promise.reject(err);
+      }
+   }
+
+   async createRoutine (routine: antares.CreateRoutineParams) {
+      const parameters = this._getParametersString(routine.parameters);
+
+      const sql = `CREATE PROCEDURE [${routine.schema}].[${routine.name}] ${parameters}
+         AS ${routine.sql}`;
+
+      return await this.raw(sql, { split: false });
+   }
+
+   async getFunctionInformations ({ schema, func }: { schema: string; func: string }) {
+      const sql = `
+         SELECT m.definition, o.type, TYPE_NAME(p.user_type_id) AS returns, p.max_length
+         FROM sys.sql_modules m
+         JOIN sys.objects o ON o.object_id = m.object_id
+         LEFT JOIN sys.parameters p ON p.object_id = m.object_id AND p.parameter_id = 0
+         WHERE m.object_id = OBJECT_ID('[${schema}].[${func}]')
+      `;
+      const results = await this.raw(sql);
+
+      if (!results.rows.length) {
+         return {
+            definer: null as null,
+            sql: '',
+            parameters: [] as antares.FunctionParam[],
+            name: func,
+            comment: '',
+            security: '',
+            deterministic: false,
+            dataAccess: ''
+         };
+      }
+
+      const row = results.rows[0];
+      const parameters = (await this._getModuleParameters(schema, func)).filter(param => param.name);
+      const returns = row.returns ? row.returns.toUpperCase() : 'TABLE';
+      const returnsLength = row.returns && ['CHAR', 'VARCHAR', 'NCHAR', 'NVARCHAR', 'BINARY', 'VARBINARY'].includes(returns)
+         ? row.max_length === -1 ? 'MAX' : returns.startsWith('N') ? row.max_length / 2 : row.max_length
+         : null;
+
+      return {
+         definer: '',
+         sql: row.definition.match(/\bAS\b\s+([\s\S]*)$/i)[1],
+         parameters,
+         name: func,
+         comment: '',
+         security: '',
+         deterministic: null as null,
+         dataAccess: null as null,
+         returns,
+         returnsLength
+      };
+   }
+
+   async dropFunction (params: { schema: string; func: string }) {
+      const sql = `DROP FUNCTION [${params.schema}].[${params.func}]`;
+      return await this.raw(sql);
+   }
+
+   async alterFunction ({ func }: { func: antares.AlterFunctionParams }) {
+      const tempProcedure = Object.assign({}, func);
+      tempProcedure.name = `Antares_${tempProcedure.name}_tmp`;
+
+      try {
+         await this.createFunction(tempProcedure);
+         await this.dropFunction({ schema: func.schema, func: tempProcedure.name });
+         await this.dropFunction({ schema: func.schema, func: func.oldName });
+         await this.createFunction(func);
+      }
+      catch (err) {
+         return Promise.reject(err);
+      }
+   }
+
+   async createFunction (func: antares.CreateFunctionParams) {
+      const parameters = this._getParametersString(func.parameters);
+      const returns = func.returns || 'INT';
+
+      const sql = `CREATE FUNCTION [${func.schema}].[${func.name}] (${parameters})
+         RETURNS ${returns}${func.returnsLength ? `(${func.returnsLength})` : ''}
+         AS ${func.sql}`;
+
+      return await this.raw(sql, { split: false });
+   }
+
+   async getVariables () {
+      const sql = 'SELECT name, value_in_use AS value FROM sys.configurations ORDER BY name';
+      const results = await this.raw<antares.QueryResult<{ name: string; value: string }>>(sql);
+
+      return results.rows.map(row => {
+         return {
+            name: row.name,
+            value: row.value
+         };
+      });
+   }
+
+   async getEngines () {
+      return {
+         name: 'SQL Server',
+         support: 'YES',
+         comment: '',
+         isDefault: true
+      };
+   }
+
+   async getVersion () {
+      const sql = 'SELECT SERVERPROPERTY(\'ProductVersion\') AS version, SERVERPROPERTY(\'Edition\') AS edition, @@VERSION AS full_version';
+      const { rows } = await this.raw(sql);
+      const osMatch = rows[0].full_version.match(/ on (.*)$/m);
+
+      return {
+         number: rows[0].version,
+         name: `SQL Server ${rows[0].edition}`,
+         arch: rows[0].full_version.includes('X64') ? 'x86_64' : '',
+         os: osMatch ? osMatch[1] : ''
+      };
+   }
+
+   async getProcesses () {
+      const sql = `
+         SELECT
+            s.session_id,
+            s.login_name,
+            s.host_name,
+            DB_NAME(s.database_id) AS db,
+            r.command,
+            DATEDIFF(SECOND, COALESCE(r.start_time, s.last_request_start_time), GETDATE()) AS time,
+            s.status,
+            t.text
+         FROM sys.dm_exec_sessions s
+         LEFT JOIN sys.dm_exec_requests r ON r.session_id = s.session_id
+         OUTER APPLY sys.dm_exec_sql_text(r.sql_handle) t
+         WHERE s.is_user_process = 1
+      `;
+
+      const { rows } = await this.raw(sql);
+
+      return rows.map(row => {
+         return {
+            id: row.session_id,
+            user: row.login_name,
+            host: row.host_name,
+            db: row.db,
+            command: row.command,
+            time: row.time,
+            state: row.status,
+            info: row.text
+         };
+      });
+   }
+
+   async killProcess (id: number) {
+      return await this.raw(`KILL ${id}`);
+   }
+
+   async killTabQuery (tabUid: string) {
+      const request = this._runningConnections.get(tabUid);
+      if (request)
+         request.cancel();
+   }
+
+   async commitTab (tabUid: string) {
+      const transaction = this._connectionsToCommit.get(tabUid);
+      if (transaction) {
+         await transaction.commit();
+         this._connectionsToCommit.delete(tabUid);
+      }
+   }
+
+   async rollbackTab (tabUid: string) {
+      const transaction = this._connectionsToCommit.get(tabUid);
+      if (transaction) {
+         await transaction.rollback();
+         this._connectionsToCommit.delete(tabUid);
+      }
+   }
+
+   async destroyConnectionToCommit (tabUid: string) {
+      const transaction = this._connectionsToCommit.get(tabUid);
+      if (transaction) {
+         await transaction.rollback();
+         this._connectionsToCommit.delete(tabUid);
+      }
+   }
+
+   getSQL () {
+      const topRaw = this._query.limit && !this._query.offset ? `TOP (${this._query.limit}) ` : '';
+
+      // SELECT
+      const selectArray = this._query.select.reduce(this._reducer, []);
+      let selectRaw = '';
+
+      if (selectArray.length)
+         selectRaw = `SELECT ${topRaw}${selectArray.join(', ')} `;
+
+      // FROM
+      let fromRaw = '';
+
+      if (!this._query.update.length && !Object.keys(this._query.insert).length && !!this._query.from)
+         fromRaw = 'FROM';
+      else if (Object.keys(this._query.insert).length)
+         fromRaw = 'INTO';
+
+      fromRaw += this._query.from ? ` ${this._query.schema ? `[${this._query.schema}].` : ''}[${this._query.from}] ` : '';
+
+      // WHERE
+      const whereArray = this._query.where
+         .reduce(this._reducer, [])
+         ?.map(clausole => clausole.replace('= null', 'IS NULL'));
+      const whereRaw = whereArray.length ? `WHERE ${whereArray.join(' AND ')} ` : '';
+
+      // UPDATE
+      const updateArray = this._query.update.reduce(this._reducer, []);
+      const updateRaw = updateArray.length ? `SET ${updateArray.join(', ')} ` : '';
+
+      // INSERT
+      let insertRaw = '';
+
+      if (this._query.insert.length) {
+         const fieldsList = Object.keys(this._query.insert[0]).map(f => `[${f}]`);
+         const rowsList = this._query.insert.map(el => `(${Object.values(el).join(', ')})`);
+
+         insertRaw = `(${fieldsList.join(', ')}) VALUES ${rowsList.join(', ')} `;
+      }
+
+      // GROUP BY
+      const groupByArray = this._query.groupBy.reduce(this._reducer, []);
+      const groupByRaw = groupByArray.length ? `GROUP BY ${groupByArray.join(', ')} ` : '';
+
+      // ORDER BY
+      const orderByArray = this._query.orderBy.reduce(this._reducer, []);
+      let orderByRaw = orderByArray.length ? `ORDER BY ${orderByArray.join(', ')} ` : '';
+
+      // OFFSET
+      let offsetRaw = '';
+
+      if (selectArray.length && this._query.offset) {
+         if (!orderByRaw) orderByRaw = 'ORDER BY (SELECT NULL) ';// OFFSET requires an ORDER BY clause
+         offsetRaw = `OFFSET ${this._query.offset} ROWS ${this._query.limit ? `FETCH NEXT ${this._query.limit} ROWS ONLY ` : ''}`;
+      }
+
+      return `${selectRaw}${updateRaw ? `UPDATE ${topRaw}` : ''}${insertRaw ? 'INSERT ' : ''}${this._query.delete ? `DELETE ${topRaw}` : ''}${fromRaw}${updateRaw}${whereRaw}${groupByRaw}${orderByRaw}${offsetRaw}${insertRaw}`;
+   }
+
+   async raw<T = antares.QueryResult> (sql: string | string[], args?: antares.QueryParams) {
+      if (process.env.NODE_ENV === 'development') this._logger(Array.isArray(sql) ? sql.join('\n') : sql);
+
+      args = {
+         nest: false,
+         details: false,
+         split: true,
+         comments: true,
+         autocommit: true,
+         ...args
+      };
+
+      if (!args.comments && !Array.isArray(sql))
+         sql = sql.replace(/(\/\*(.|[\r\n])*?\*\/)|(--(.*|[\r\n]))/gm, '');// Remove comments
+
+      if (args.schema)
+         this.use(args.schema);
+
+      const resultsArr: antares.QueryResult[] = [];
+      const statementStarts: number[] = [];
+      let paramsArr = [];
+      // Batches are splitted by the GO separator, every batch can return multiple result sets
+      const queries = args.split && !Array.isArray(sql)
+         ? sql.split(/^\s*GO\s*;?\s*$/gim)
+            .filter(Boolean)
+            .map(q => q.trim())
+         : Array.isArray(sql) ? sql : [sql];
+
+      let transaction: mssql.Transaction;
+
+      if (!args.autocommit && args.tabUid) { // autocommit OFF
+         if (this._connectionsToCommit.has(args.tabUid))
+            transaction = this._connectionsToCommit.get(args.tabUid);
+         else {
+            transaction = new mssql.Transaction(this._connection);
+            await transaction.begin();
+            this._connectionsToCommit.set(args.tabUid, transaction);
+         }
+      }
+
+      for (const query of queries) {
+         statementStarts.push(resultsArr.length);
+         if (!query) continue;
+
+         const request = transaction ? new mssql.Request(transaction) : this._connection.request();
+
+         if (args.tabUid)
+            this._runningConnections.set(args.tabUid, request);
+
+         if (args.params) {
+            args.params.forEach((value, i) => value instanceof TypedParam
+               ? request.input(`p${i + 1}`, value.type, value.value)
+               : request.input(`p${i + 1}`, this._paramType(value), value));
+         }
+
+         const timeStart = new Date();
+         let res: mssql.IResult<unknown>;
+
+         try {
+            res = await request.query(query);
+         }
+         catch (err) {
+            throw Array.isArray(sql) ? this._statementsError(err, resultsArr, statementStarts) : err;
+         }
+         finally {
+            if (args.tabUid)
+               this._runningConnections.delete(args.tabUid);
+         }
+
+         const duration = new Date().getTime() - timeStart.getTime();
+         const fromTable = this._getFromTable(query);
+         let keysArr: antares.QueryForeign[] = [];
+
+         if (!res.recordsets.length) {
+            resultsArr.push({
+               rows: false as unknown as [],
+               report: { affectedRows: res.rowsAffected.reduce((acc, curr) => acc + curr, 0) },
+               fields: [],
+               keys: [],
+               duration
+            });
+            continue;
+         }
+
+         for (const recordset of res.recordsets) {
+            let remappedFields = Object.values(recordset.columns)
+               .sort((a, b) => a.index - b.index)
+               .map(column => {
+                  const type = (column.type as unknown as { declaration: string }).declaration;
+
+                  return {
+                     name: column.name,
+                     alias: column.name,
+                     orgName: column.name,
+                     schema: fromTable ? fromTable.schema : this._schema,
+                     table: fromTable ? fromTable.table : null,
+                     tableAlias: fromTable ? fromTable.alias : null,
+                     orgTable: fromTable ? fromTable.table : null,
+                     type: type ? type.toUpperCase() : 'UNKNOWN',
+                     length: column.length,
+                     key: undefined as string
+                  };
+               });
+
+            if (args.details && fromTable && remappedFields.length) {
+               paramsArr = [{ table: fromTable.table, schema: fromTable.schema }];
+
+               for (const paramObj of paramsArr) {
+                  if (!paramObj.table || !paramObj.schema) continue;
+
+                  // Column details
+                  const columns = await this.getTableColumns(paramObj);
+                  const indexes = await this.getTableIndexes(paramObj);
+
+                  remappedFields = remappedFields.map(field => {
+                     const detailedField = columns.find(f => f.name === field.name);
+                     const fieldIndex = indexes.find(i => i.column === field.name);
+                     if (field.table === paramObj.table && field.schema === paramObj.schema) {
+                        if (detailedField) {
+                           const length = detailedField.numPrecision || detailedField.charLength || detailedField.datePrecision || null;
+                           field = { ...field, ...detailedField, length };
+                        }
+
+                        if (fieldIndex) {
+                           const key = fieldIndex.type === 'PRIMARY' ? 'pri' : fieldIndex.type === 'UNIQUE' ? 'uni' : 'mul';
+                           field = { ...field, key };
+                        }
+                     }
+
+                     return field;
+                  });
+
+                  // Key usage (foreign keys)
+                  const response = await this.getKeyUsage(paramObj);
+                  keysArr = keysArr ? [...keysArr, ...response] : response;
+               }
+            }
+
+            resultsArr.push({
+               duration,
+               rows: [...recordset],
+               report: false as unknown as { affectedRows: number },
+               fields: remappedFields,
+               keys: keysArr
+            });
+         }
+      }
+
+      if (Array.isArray(sql))
+         return this._groupStatementsResults(resultsArr, statementStarts) as unknown as T;
+
+      const result = resultsArr.length === 1 ? resultsArr[0] : resultsArr;
+
+      return result as unknown as T;
+   }
+}
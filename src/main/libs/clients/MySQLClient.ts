@@ -1,7 +1,9 @@
 import * as antares from 'common/interfaces/antares';
 import * as mysql from 'mysql2/promise';
+import { escape as sqlEscape } from 'mysql2';
 import { AntaresCore } from '../AntaresCore';
 import * as dataTypes from 'common/data-types/mysql';
+import { BIT } from 'common/fieldTypes';
 import SSH2Promise from 'ssh2-promise';
 import SSHConfig from 'ssh2-promise/lib/sshConfig';
 
@@ -129,6 +131,23 @@ export class MySQLClient extends AntaresCore {
       }
    }
 
+   _parseParam (value: unknown, type: string) {
+      if (BIT.includes(type) && typeof value === 'string') // Bound as number, a string would be stored as its bytes
+         return { toSqlString: () => BigInt(`0b${value || 0}`).toString() };
+      else if (type === 'JSON' && value !== null && typeof value === 'object') // Parsed by the driver when read
+         return JSON.stringify(value);
+
+      return super._parseParam(value, type);
+   }
+
+   protected _literal (value: unknown) {
+      return sqlEscape(value);
+   }
+
+   protected _castToText (expression: string) {
+      return `CAST(${expression} AS CHAR)`;
+   }
+
    async getDbConfig (): Promise<mysql.ConnectionOptions> {
       const dbConfig = {
          host: this._params.host,
@@ -695,6 +714,61 @@ export class MySQLClient extends AntaresCore {
       });
    }
 
+   /**
+    * Returns the foreign keys of other tables referencing the given table
+    */
+   async getReferencingKeys ({ schema, table }: { schema: string; table: string }) {
+      interface KeyResult {
+         TABLE_SCHEMA: string;
+         TABLE_NAME: string;
+         COLUMN_NAME: string;
+         ORDINAL_POSITION: number;
+         POSITION_IN_UNIQUE_CONSTRAINT: number;
+         CONSTRAINT_NAME: string;
+         REFERENCED_TABLE_SCHEMA: string;
+         REFERENCED_TABLE_NAME: string;
+         REFERENCED_COLUMN_NAME: string;
+      }
+
+      interface KeyExtraResult {
+         CONSTRAINT_SCHEMA: string;
+         CONSTRAINT_NAME: string;
+         UPDATE_RULE: string;
+         DELETE_RULE: string;
+      }
+
+      const { rows } = await this
+         .select('*')
+         .schema('information_schema')
+         .from('KEY_COLUMN_USAGE')
+         .where({ REFERENCED_TABLE_SCHEMA: `= '${schema}'`, REFERENCED_TABLE_NAME: `= '${table}'` })
+         .run<KeyResult>();
+
+      const { rows: extras } = await this
+         .select('*')
+         .schema('information_schema')
+         .from('REFERENTIAL_CONSTRAINTS')
+         .where({ UNIQUE_CONSTRAINT_SCHEMA: `= '${schema}'`, REFERENCED_TABLE_NAME: `= '${table}'` })
+         .run<KeyExtraResult>();
+
+      return rows.map(field => {
+         const extra = extras.find(x => x.CONSTRAINT_SCHEMA === field.TABLE_SCHEMA && x.CONSTRAINT_NAME === field.CONSTRAINT_NAME);
+         return {
+            schema: field.TABLE_SCHEMA,
+            table: field.TABLE_NAME,
+            field: field.COLUMN_NAME,
+            position: field.ORDINAL_POSITION,
+            constraintPosition: field.POSITION_IN_UNIQUE_CONSTRAINT,
+            constraintName: field.CONSTRAINT_NAME,
+            refSchema: field.REFERENCED_TABLE_SCHEMA,
+            refTable: field.REFERENCED_TABLE_NAME,
+            refField: field.REFERENCED_COLUMN_NAME,
+            onUpdate: extra?.UPDATE_RULE,
+            onDelete: extra?.DELETE_RULE
+         } as antares.QueryForeign;
+      });
+   }
+
    async getUsers () {
       const { rows } = await this.raw('SELECT `user`, `host`, authentication_string AS `password` FROM `mysql`.`user`');
 
@@ -1457,6 +1531,58 @@ export class MySQLClient extends AntaresCore {
       }
    }
 
+   async explain (query: string, args: { schema?: string }) {
+      const { rows } = await this.raw(`EXPLAIN FORMAT=JSON ${query}`, { schema: args.schema, split: false });
+      const plan = JSON.parse(Object.values(rows[0])[0] as string);
+
+      return this._explainNode('query_block', plan.query_block);
+   }
+
+   /**
+    * Converts an operation of the JSON plan, the objects it contains are the child operations
+    */
+   // eslint-disable-next-line @typescript-eslint/no-explicit-any
+   protected _explainNode (key: string, plan: {[key: string]: any}): antares.ExplainNode {
+      const costInfo = plan.cost_info || {};
+      const cost = costInfo.prefix_cost ?? costInfo.query_cost ?? costInfo.sort_cost ?? plan.cost;
+      const rows = plan.rows_examined_per_scan ?? plan.rows;
+      const children: antares.ExplainNode[] = [];
+      const isOperation = (value: unknown) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+      for (const [childKey, value] of Object.entries(plan)) {
+         if (['cost_info', 'r_engine_stats'].includes(childKey)) continue;
+
+         if (isOperation(value))
+            children.push(this._explainNode(childKey, value));
+         else if (Array.isArray(value)) {
+            for (const item of value.filter(isOperation)) {
+               for (const [itemKey, itemValue] of Object.entries(item)) {
+                  if (isOperation(itemValue))
+                     children.push(this._explainNode(itemKey, itemValue));
+               }
+            }
+         }
+      }
+
+      let label = key.replace(/[_-]/g, ' ');
+      label = label.charAt(0).toUpperCase() + label.slice(1);
+
+      if (key === 'table')
+         label = plan.table_name;
+      else if (plan.select_id)
+         label += ` #${plan.select_id}`;
+
+      return {
+         label,
+         detail: plan.access_type ? `${plan.access_type}${plan.key ? ` (${plan.key})` : ''}` : plan.message,
+         condition: plan.attached_condition,
+         cost: cost !== undefined ? Number(cost) : undefined,
+         rows: rows !== undefined ? Number(rows) : undefined,
+         fullScan: plan.access_type === 'ALL',
+         children
+      };
+   }
+
    getSQL () {
       // SELECT
       const selectArray = this._query.select.reduce(this._reducer, []);
@@ -1510,8 +1636,8 @@ export class MySQLClient extends AntaresCore {
       return `${selectRaw}${updateRaw ? 'UPDATE' : ''}${insertRaw ? 'INSERT ' : ''}${this._query.delete ? 'DELETE ' : ''}${fromRaw}${updateRaw}${whereRaw}${groupByRaw}${orderByRaw}${limitRaw}${offsetRaw}${insertRaw}`;
    }
 
-   async raw<T = antares.QueryResult> (sql: string, args?: antares.QueryParams) {
-      if (process.env.NODE_ENV === 'development') this._logger(sql);
+   async raw<T = antares.QueryResult> (sql: string | string[], args?: antares.QueryParams) {
+      if (process.env.NODE_ENV === 'development') this._logger(Array.isArray(sql) ? sql.join('\n') : sql);
 
       args = {
          nest: false,
@@ -1522,17 +1648,18 @@ export class MySQLClient extends AntaresCore {
          ...args
       };
 
-      if (!args.comments)
+      if (!args.comments && !Array.isArray(sql))
          sql = sql.replace(/(\/\*(.|[\r\n])*?\*\/)|(--(.*|[\r\n]))/gm, '');// Remove comments
 
       const nestTables = args.nest ? '.' : false;
       const resultsArr: antares.QueryResult[] = [];
+      const statementStarts: number[] = [];
       let paramsArr = [];
-      const queries = args.split
+      const queries = args.split && !Array.isArray(sql)
          ? sql.split(/((?:[^;'"]*(?:"(?:\\.|[^"])*"|'(?:\\.|[^'])*')[^;'"]*)+)|;/gm)
             .filter(Boolean)
             .map(q => q.trim())
-         : [sql];
+         : Array.isArray(sql) ? sql : [sql];
 
       let connection: mysql.Connection | mysql.Pool | mysql.PoolConnection;
       const isPool = 'getConnection' in this._connection;
@@ -1558,13 +1685,14 @@ export class MySQLClient extends AntaresCore {
          await connection.query(`USE \`${args.schema}\``);
 
       for (const query of queries) {
+         statementStarts.push(resultsArr.length);
          if (!query) continue;
          const timeStart = new Date();
          let timeStop: Date;
          let keysArr: antares.QueryForeign[] = [];
 
          const { rows, report, fields, keys, duration } = await new Promise((resolve, reject) => {
-            connection.query({ sql: query, nestTables }).then(async ([response, fields]) => {
+            connection.query({ sql: query, nestTables, values: args.params }).then(async ([response, fields]) => {
                timeStop = new Date();
                const queryResult = response;
 
@@ -1650,6 +1778,8 @@ export class MySQLClient extends AntaresCore {
                }
                reject(err);
             });
+         }).catch(err => {
+            throw Array.isArray(sql) ? this._statementsError(err, resultsArr, statementStarts) : err;
          });
 
          resultsArr.push({
@@ -1666,6 +1796,9 @@ export class MySQLClient extends AntaresCore {
          this._runningConnections.delete(args.tabUid);
       }
 
+      if (Array.isArray(sql))
+         return this._groupStatementsResults(resultsArr, statementStarts) as unknown as T;
+
       const result = resultsArr.length === 1 ? resultsArr[0] : resultsArr;
 
       return result as unknown as T;
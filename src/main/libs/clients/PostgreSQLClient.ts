@@ -71,6 +71,23 @@ export class PostgreSQLClient extends AntaresCore {
       }
    }
 
+   protected _placeholder (index: number) {
+      return `$${index}`;
+   }
+
+   protected _literal (value: unknown) {
+      if (Buffer.isBuffer(value))
+         return `'\\x${value.toString('hex')}'::bytea`;
+
+      return super._literal(value);
+   }
+
+   protected _singleRowConditions (schema: string, table: string, row: {[key: string]: unknown}) {
+      // UPDATE and DELETE don't support LIMIT, the row is targeted by its physical location
+      const conditions = [this._rowConditions(row)].reduce(this._reducer, []).join(' AND ');
+      return { ctid: `= (SELECT ctid FROM ${this._wrapIdentifier(schema)}.${this._wrapIdentifier(table)} WHERE ${conditions} LIMIT 1)` };
+   }
+
    _getTypeInfo (type: string) {
       return dataTypes
          .reduce((acc, group) => [...acc, ...group.types], [])
@@ -562,6 +579,69 @@ export class PostgreSQLClient extends AntaresCore {
       });
    }
 
+   /**
+    * Returns the foreign keys of other tables referencing the given table
+    */
+   async getReferencingKeys ({ schema, table }: { schema: string; table: string }) {
+      /* eslint-disable camelcase */
+      interface KeyResult {
+         table_schema: string;
+         table_name: string;
+         column_name: string;
+         ordinal_position: number;
+         position_in_unique_constraint: number;
+         constraint_name: string;
+         foreign_table_schema: string;
+         foreign_table_name: string;
+         foreign_column_name: string;
+         update_rule: string;
+         delete_rule: string;
+      }
+      /* eslint-enable camelcase */
+
+      const { rows } = await this.raw<antares.QueryResult<KeyResult>>(`
+         SELECT 
+            tc.table_schema, 
+            tc.constraint_name, 
+            tc.table_name, 
+            kcu.column_name, 
+            kcu.position_in_unique_constraint, 
+            kcu.ordinal_position, 
+            ccu.table_schema AS foreign_table_schema,
+            ccu.table_name AS foreign_table_name,
+            ccu.column_name AS foreign_column_name,
+            rc.update_rule,
+            rc.delete_rule
+         FROM information_schema.table_constraints AS tc 
+         JOIN information_schema.key_column_usage AS kcu
+            ON tc.constraint_name = kcu.constraint_name
+            AND tc.table_schema = kcu.table_schema
+         JOIN information_schema.constraint_column_usage AS ccu
+            ON ccu.constraint_name = tc.constraint_name
+            AND ccu.table_schema = tc.table_schema
+         JOIN information_schema.referential_constraints AS rc 
+            ON rc.constraint_name = kcu.constraint_name
+         WHERE tc.constraint_type = 'FOREIGN KEY' AND ccu.table_schema = '${schema}'
+         AND ccu.table_name = '${table}'
+      `);
+
+      return rows.map(field => {
+         return {
+            schema: field.table_schema,
+            table: field.table_name,
+            field: field.column_name,
+            position: field.ordinal_position,
+            constraintPosition: field.position_in_unique_constraint,
+            constraintName: field.constraint_name,
+            refSchema: field.foreign_table_schema,
+            refTable: field.foreign_table_name,
+            refField: field.foreign_column_name,
+            onUpdate: field.update_rule,
+            onDelete: field.delete_rule
+         };
+      });
+   }
+
    async getUsers () {
       const { rows } = await this.raw('SELECT *  FROM pg_catalog.pg_user');
 
@@ -608,7 +688,7 @@ export class PostgreSQLClient extends AntaresCore {
          const length = typeInfo.length ? field.enumValues || field.numLength || field.charLength || field.datePrecision : false;
 
          newColumns.push(`"${field.name}" 
-            ${field.type.toUpperCase()}${length ? `(${length}${field.numScale !== null ? `,${field.numScale}` : ''})` : ''} 
+            ${field.type.toUpperCase()}${length ? `(${length}${field.numScale !== null ? `,${field.numScale}` : ''})` : ''}${field.isArray ? '[]' : ''} 
             ${field.unsigned ? 'UNSIGNED' : ''} 
             ${field.zerofill ? 'ZEROFILL' : ''}
             ${field.nullable ? 'NULL' : 'NOT NULL'}
@@ -618,7 +698,7 @@ export class PostgreSQLClient extends AntaresCore {
 
       // ADD INDEX
       indexes.forEach(index => {
-         const fields = index.fields.map(field => `${field}`).join(',');
+         const fields = index.fields.map(field => `"${field}"`).join(',');
          const type = index.type;
 
          if (type === 'PRIMARY')
@@ -1256,6 +1336,68 @@ export class PostgreSQLClient extends AntaresCore {
       }
    }
 
+   async explain (query: string, args: { schema?: string; analyze?: boolean }) {
+      const isPool = this._connection instanceof pg.Pool;
+
+      // On a shared connection the rolled back transaction would include the statements run by other requests meanwhile
+      if (args.analyze && !isPool)
+         throw new Error('EXPLAIN ANALYZE needs a pooled connection');
+
+      const connection = isPool ? await this._connection.connect() as pg.PoolClient : this._connection as pg.Client;
+
+      try {
+         if (args.schema && args.schema !== 'public')
+            await this.use(args.schema, connection);
+
+         if (args.analyze)// ANALYZE runs the statement, its changes are rolled back
+            await connection.query('BEGIN');
+
+         const { rows } = await connection.query(`EXPLAIN (FORMAT JSON${args.analyze ? ', ANALYZE' : ''}) ${query}`);
+         const value = rows[0]['QUERY PLAN'];
+         const [plan] = typeof value === 'string' ? JSON.parse(value) : value;
+
+         return this._explainNode(plan.Plan);
+      }
+      finally {
+         if (args.analyze)
+            await connection.query('ROLLBACK');
+
+         if (isPool)
+            (connection as pg.PoolClient).release();
+      }
+   }
+
+   /**
+    * Converts a node of the JSON plan, rows are the estimated and actual rows of a single loop
+    */
+   // eslint-disable-next-line @typescript-eslint/no-explicit-any
+   protected _explainNode (plan: {[key: string]: any}): antares.ExplainNode {
+      const relation = plan['Relation Name']
+         ? ` on ${plan['Relation Name']}${plan.Alias && plan.Alias !== plan['Relation Name'] ? ` ${plan.Alias}` : ''}`
+         : '';
+      const detail = [
+         plan['Join Type'] ? `${plan['Join Type']} join` : null,
+         plan.Strategy,
+         plan['Index Name'] ? `using ${plan['Index Name']}` : null
+      ].filter(Boolean).join(', ');
+      const condition = ['Index Cond', 'Recheck Cond', 'Hash Cond', 'Merge Cond', 'Join Filter', 'Filter']
+         .map(key => plan[key])
+         .filter(Boolean)
+         .join(' AND ');
+
+      return {
+         label: `${plan['Node Type']}${relation}`,
+         detail: detail || undefined,
+         condition: condition || undefined,
+         cost: plan['Total Cost'],
+         rows: plan['Plan Rows'],
+         actualRows: plan['Actual Rows'],
+         actualTime: plan['Actual Total Time'],
+         fullScan: plan['Node Type'] === 'Seq Scan',
+         children: (plan.Plans || []).map((child: {[key: string]: unknown}) => this._explainNode(child))
+      };
+   }
+
    getSQL () {
       // SELECT
       const selectArray = this._query.select.reduce(this._reducer, []);
@@ -1309,8 +1451,8 @@ export class PostgreSQLClient extends AntaresCore {
       return `${selectRaw}${updateRaw ? 'UPDATE' : ''}${insertRaw ? 'INSERT ' : ''}${this._query.delete ? 'DELETE ' : ''}${fromRaw}${updateRaw}${whereRaw}${groupByRaw}${orderByRaw}${limitRaw}${offsetRaw}${insertRaw}`;
    }
 
-   async raw<T = antares.QueryResult> (sql: string, args?: antares.QueryParams) {
-      if (process.env.NODE_ENV === 'development') this._logger(sql);
+   async raw<T = antares.QueryResult> (sql: string | string[], args?: antares.QueryParams) {
+      if (process.env.NODE_ENV === 'development') this._logger(Array.isArray(sql) ? sql.join('\n') : sql);
 
       args = {
          nest: false,
@@ -1321,16 +1463,17 @@ export class PostgreSQLClient extends AntaresCore {
          ...args
       };
 
-      if (!args.comments)
+      if (!args.comments && !Array.isArray(sql))
          sql = sql.replace(/(\/\*(.|[\r\n])*?\*\/)|(--(.*|[\r\n]))/gm, '');// Remove comments
 
       const resultsArr: antares.QueryResult[] = [];
+      const statementStarts: number[] = [];
       let paramsArr = [];
-      const queries = args.split
+      const queries = args.split && !Array.isArray(sql)
          ? sql.split(/(?!\B'[^']*);(?![^']*'\B)/gm)
             .filter(Boolean)
             .map(q => q.trim())
-         : [sql];
+         : Array.isArray(sql) ? sql : [sql];
 
       let connection: pg.Client | pg.PoolClient;
       const isPool = this._connection instanceof pg.Pool;
@@ -1355,6 +1498,7 @@ export class PostgreSQLClient extends AntaresCore {
          await this.use(args.schema, connection);
 
       for (const query of queries) {
+         statementStarts.push(resultsArr.length);
          if (!query) continue;
 
          const timeStart = new Date();
@@ -1364,7 +1508,7 @@ export class PostgreSQLClient extends AntaresCore {
          const { rows, report, fields, keys, duration } = await new Promise((resolve, reject) => {
             (async () => {
                try {
-                  const res = await connection.query({ rowMode: args.nest ? 'array' : null, text: query });
+                  const res = await connection.query({ rowMode: args.nest ? 'array' : null, text: query, values: args.params });
 
                   timeStop = new Date();
 
@@ -1497,6 +1641,8 @@ export class PostgreSQLClient extends AntaresCore {
                   reject(err);
                }
             })();
+         }).catch(err => {
+            throw Array.isArray(sql) ? this._statementsError(err, resultsArr, statementStarts) : err;
          });
 
          resultsArr.push({ rows, report, fields, keys, duration });
@@ -1507,6 +1653,9 @@ export class PostgreSQLClient extends AntaresCore {
          this._runningConnections.delete(args.tabUid);
       }
 
+      if (Array.isArray(sql))
+         return this._groupStatementsResults(resultsArr, statementStarts) as unknown as T;
+
       const result = resultsArr.length === 1 ? resultsArr[0] : resultsArr;
 
       return result as unknown as T;
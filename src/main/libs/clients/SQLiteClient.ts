@@ -17,12 +17,23 @@ export class SQLiteClient extends AntaresCore {
       this._connectionsToCommit = new Map();
    }
 
+   _parseParam (value: unknown, type: string) {
+      if (typeof value === 'boolean') // Not supported by bindings
+         return Number(value);
+
+      return super._parseParam(value, type);
+   }
+
    _getTypeInfo (type: string) {
       return dataTypes
          .reduce((acc, group) => [...acc, ...group.types], [])
          .filter(_type => _type.name === type.toUpperCase())[0];
    }
 
+   getDbConfig () {
+      return this._params;
+   }
+
    async connect () {
       this._connection = this.getConnection();
    }
@@ -277,6 +288,46 @@ export class SQLiteClient extends AntaresCore {
       });
    }
 
+   /**
+    * Returns the foreign keys of other tables referencing the given table
+    */
+   async getReferencingKeys ({ schema, table }: { schema: string; table: string }) {
+      /* eslint-disable camelcase */
+      interface KeyResult {
+         source_table: string;
+         from: string;
+         id: number;
+         table: string;
+         to: string;
+         on_update: string;
+         on_delete: string;
+      }
+      /* eslint-enable camelcase */
+
+      const { rows } = await this.raw<antares.QueryResult<KeyResult>>(`
+         SELECT m.name AS source_table, fk.*
+         FROM "${schema}".sqlite_master AS m
+         JOIN pragma_foreign_key_list(m.name, '${schema}') AS fk
+         WHERE m.type = 'table' AND fk."table" = '${table}'
+      `);
+
+      return rows.map(field => {
+         return {
+            schema: schema,
+            table: field.source_table,
+            field: field.from,
+            position: field.id + 1,
+            constraintPosition: null,
+            constraintName: `${field.source_table}_${field.id}`,
+            refSchema: schema,
+            refTable: field.table,
+            refField: field.to,
+            onUpdate: field.on_update,
+            onDelete: field.on_delete
+         };
+      });
+   }
+
    async getUsers (): Promise<void> {
       return null;
    }
@@ -530,6 +581,22 @@ export class SQLiteClient extends AntaresCore {
       }
    }
 
+   async explain (query: string) {
+      const { rows } = await this.raw<antares.QueryResult<{ id: number; parent: number; detail: string }>>(`EXPLAIN QUERY PLAN ${query}`, { split: false });
+
+      const toNode = (row: { id: number; detail: string }): antares.ExplainNode => ({
+         label: row.detail,
+         fullScan: /^SCAN\b/.test(row.detail) && !row.detail.includes(' INDEX '),
+         children: rows.filter(child => child.parent === row.id).map(toNode)
+      });
+
+      return {
+         label: 'QUERY PLAN',
+         fullScan: false,
+         children: rows.filter(row => row.parent === 0).map(toNode)
+      } as antares.ExplainNode;
+   }
+
    getSQL () {
       // SELECT
       const selectArray = this._query.select.reduce(this._reducer, []);
@@ -585,8 +652,8 @@ export class SQLiteClient extends AntaresCore {
       return `${selectRaw}${updateRaw ? 'UPDATE' : ''}${insertRaw ? 'INSERT ' : ''}${this._query.delete ? 'DELETE ' : ''}${fromRaw}${updateRaw}${whereRaw}${groupByRaw}${orderByRaw}${limitRaw}${offsetRaw}${insertRaw}`;
    }
 
-   async raw<T = antares.QueryResult> (sql: string, args?: antares.QueryParams) {
-      if (process.env.NODE_ENV === 'development') this._logger(sql);// TODO: replace BLOB content with a placeholder
+   async raw<T = antares.QueryResult> (sql: string | string[], args?: antares.QueryParams) {
+      if (process.env.NODE_ENV === 'development') this._logger(Array.isArray(sql) ? sql.join('\n') : sql);// TODO: replace BLOB content with a placeholder
 
       args = {
          nest: false,
@@ -597,16 +664,17 @@ export class SQLiteClient extends AntaresCore {
          ...args
       };
 
-      if (!args.comments)
+      if (!args.comments && !Array.isArray(sql))
          sql = sql.replace(/(\/\*(.|[\r\n])*?\*\/)|(--(.*|[\r\n]))/gm, '');// Remove comments
 
-      const resultsArr = [];
+      const resultsArr: antares.QueryResult[] = [];
+      const statementStarts: number[] = [];
       let paramsArr = [];
-      const queries = args.split
+      const queries = args.split && !Array.isArray(sql)
          ? sql.split(/((?:[^;'"]*(?:"(?:\\.|[^"])*"|'(?:\\.|[^'])*')[^;'"]*)+)|;/gm)
             .filter(Boolean)
             .map(q => q.trim())
-         : [sql];
+         : Array.isArray(sql) ? sql : [sql];
 
       let connection: sqlite.Database;
 
@@ -623,6 +691,7 @@ export class SQLiteClient extends AntaresCore {
          connection = this._connection;
 
       for (const query of queries) {
+         statementStarts.push(resultsArr.length);
          if (!query) continue;
          const timeStart = new Date();
          let timeStop;
@@ -641,7 +710,7 @@ export class SQLiteClient extends AntaresCore {
                   const stmt = connection.prepare(query);
 
                   if (stmt.reader) {
-                     queryAllResult = stmt.all();
+                     queryAllResult = stmt.all(...(args.params || []));
                      fields = stmt.columns();
 
                      if (queryAllResult.length) {
@@ -651,7 +720,7 @@ export class SQLiteClient extends AntaresCore {
                      }
                   }
                   else {
-                     queryRunResult = stmt.run();
+                     queryRunResult = stmt.run(...(args.params || []));
                      affectedRows = queryRunResult.changes;
                   }
                }
@@ -734,11 +803,16 @@ export class SQLiteClient extends AntaresCore {
                   keys: keysArr
                });
             })();
+         }).catch(err => {
+            throw Array.isArray(sql) ? this._statementsError(err, resultsArr, statementStarts) : err;
          });
 
          resultsArr.push({ rows, report, fields, keys, duration });
       }
 
+      if (Array.isArray(sql))
+         return this._groupStatementsResults(resultsArr, statementStarts) as unknown as T;
+
       const result = resultsArr.length === 1 ? resultsArr[0] : resultsArr;
 
       return result as unknown as T;
@@ -0,0 +1,637 @@
+import * as antares from 'common/interfaces/antares';
+import * as copier from 'common/interfaces/copier';
+import * as EventEmitter from 'events';
+import * as moment from 'moment';
+import * as customizations from 'common/customizations';
+import * as duckdbTypes from 'common/data-types/duckdb';
+import * as mssqlTypes from 'common/data-types/mssql';
+import * as mysqlTypes from 'common/data-types/mysql';
+import * as postgresqlTypes from 'common/data-types/postgresql';
+import * as sqliteTypes from 'common/data-types/sqlite';
+import { BIT, BLOB, BOOLEAN, DATE, DATETIME, FLOAT, HAS_TIMEZONE, NUMBER, SPATIAL, TEXT, TIME } from 'common/fieldTypes';
+import getRowKeys from 'common/libs/getRowKeys';
+import hexToBinary from 'common/libs/hexToBinary';
+import { MySQLClient } from '../clients/MySQLClient';
+import { PostgreSQLClient } from '../clients/PostgreSQLClient';
+import { SQLiteClient } from '../clients/SQLiteClient';
+import { queryStream } from '../exporters/queryStream';
+
+type ClientFamily = 'mysql' | 'pg' | 'sqlite' | 'mssql' | 'duckdb';
+type TypeCategory = 'BOOLEAN' | 'BIT' | 'NUMBER' | 'FLOAT' | 'DATE' | 'TIME' | 'DATETIME' | 'BLOB' | 'TEXT' | 'LONG_TEXT';
+
+interface SourceColumn {
+   name: string;
+   type: string;
+   numPrecision?: number;
+   numScale?: number;
+   numLength?: number;
+   charLength?: number;
+   datePrecision?: number;
+   nullable?: boolean;
+   unsigned?: boolean;
+   zerofill?: boolean;
+   default?: string | number;
+   enumValues?: string;
+   autoIncrement?: boolean;
+   isArray?: boolean;
+   comment?: string;
+   collation?: string;
+   onUpdate?: string;
+   generated?: boolean;
+}
+
+const getTypes = <T extends { types: { name: string; length?: unknown }[] }>(dataTypes: T[]) => dataTypes
+   .reduce((acc, group) => [...acc, ...group.types.map(type => ({ name: type.name.toUpperCase(), length: !!type.length }))], [] as { name: string; length: boolean }[]);
+
+const CLIENT_TYPES = {
+   mysql: getTypes(mysqlTypes),
+   pg: getTypes(postgresqlTypes),
+   sqlite: getTypes(sqliteTypes),
+   mssql: getTypes(mssqlTypes),
+   duckdb: getTypes(duckdbTypes)
+};
+
+/**
+ * Names used by different clients for the same type
+ */
+const SYNONYMS = [
+   ['INT', 'INTEGER'],
+   ['DECIMAL', 'NUMERIC'],
+   ['FLOAT', 'REAL'],
+   ['DOUBLE', 'DOUBLE PRECISION'],
+   ['CHAR', 'CHARACTER', 'NCHAR'],
+   ['VARCHAR', 'CHARACTER VARYING', 'NVARCHAR'],
+   ['BOOL', 'BOOLEAN'],
+   ['TIME', 'TIME WITHOUT TIME ZONE'],
+   ['DATETIME', 'DATETIME2', 'TIMESTAMP', 'TIMESTAMP WITHOUT TIME ZONE'],
+   ['TIMESTAMP WITH TIME ZONE', 'DATETIMEOFFSET'],
+   ['JSON', 'JSONB'],
+   ['UUID', 'UNIQUEIDENTIFIER']
+];
+
+/**
+ * Types used when the target client has no equivalent of the source type
+ */
+const CATEGORY_TYPES: {[client in ClientFamily]: {[category in TypeCategory]: string}} = {
+   mysql: { BOOLEAN: 'TINYINT', BIT: 'BIT', NUMBER: 'BIGINT', FLOAT: 'DOUBLE', DATE: 'DATE', TIME: 'TIME', DATETIME: 'DATETIME', BLOB: 'LONGBLOB', TEXT: 'VARCHAR', LONG_TEXT: 'LONGTEXT' },
+   pg: { BOOLEAN: 'BOOLEAN', BIT: 'BIT VARYING', NUMBER: 'BIGINT', FLOAT: 'DOUBLE PRECISION', DATE: 'DATE', TIME: 'TIME WITHOUT TIME ZONE', DATETIME: 'TIMESTAMP WITHOUT TIME ZONE', BLOB: 'BYTEA', TEXT: 'CHARACTER VARYING', LONG_TEXT: 'TEXT' },
+   sqlite: { BOOLEAN: 'BOOLEAN', BIT: 'INTEGER', NUMBER: 'INTEGER', FLOAT: 'REAL', DATE: 'DATE', TIME: 'TIME', DATETIME: 'DATETIME', BLOB: 'BLOB', TEXT: 'VARCHAR', LONG_TEXT: 'TEXT' },
+   mssql: { BOOLEAN: 'BIT', BIT: 'BIGINT', NUMBER: 'BIGINT', FLOAT: 'FLOAT', DATE: 'DATE', TIME: 'TIME', DATETIME: 'DATETIME2', BLOB: 'VARBINARY', TEXT: 'NVARCHAR', LONG_TEXT: 'NVARCHAR' },
+   duckdb: { BOOLEAN: 'BOOLEAN', BIT: 'BIGINT', NUMBER: 'BIGINT', FLOAT: 'DOUBLE', DATE: 'DATE', TIME: 'TIME', DATETIME: 'TIMESTAMP', BLOB: 'BLOB', TEXT: 'VARCHAR', LONG_TEXT: 'VARCHAR' }
+};
+
+/**
+ * Lengths of types stored as text by clients without an equivalent
+ */
+const FIXED_LENGTHS: {[type: string]: number} = {
+   UUID: 36,
+   UNIQUEIDENTIFIER: 36
+};
+
+const STREAMING_CLIENTS = ['mysql', 'maria', 'pg', 'sqlite'];
+
+/**
+ * Types that SQL Server can't sort by
+ */
+const MSSQL_UNSORTABLE = ['TEXT', 'NTEXT', 'IMAGE', 'XML', 'GEOGRAPHY', 'GEOMETRY'];
+
+const getFamily = (client: antares.ClientCode): ClientFamily => client === 'maria' ? 'mysql' : client;
+
+/**
+ * Copies structure and rows of a table between two connections, also of different clients
+ */
+export class TableCopier extends EventEmitter {
+   protected _source: antares.Client;
+   protected _target: antares.Client;
+   protected _options: copier.CopyOptions;
+   protected _isCancelled: boolean;
+   protected _state: copier.CopyState;
+   protected _isSameDatabase: boolean;
+
+   constructor (source: antares.Client, target: antares.Client, options: copier.CopyOptions, isSameDatabase = false) {
+      super();
+      this._source = source;
+      this._target = target;
+      this._options = options;
+      this._isCancelled = false;
+      this._state = {};
+      this._isSameDatabase = isSameDatabase;
+   }
+
+   get isCancelled () {
+      return this._isCancelled;
+   }
+
+   get sourceClient () {
+      return getFamily(this._source._client);
+   }
+
+   get targetClient () {
+      return getFamily(this._target._client);
+   }
+
+   get isSameClient () {
+      return this.sourceClient === this.targetClient;
+   }
+
+   async run () {
+      try {
+         this.emit('start', this);
+         await this.copy();
+      }
+      catch (err) {
+         this.emit('error', err);
+         throw err;
+      }
+      finally {
+         this.emit('end');
+      }
+   }
+
+   cancel () {
+      this._isCancelled = true;
+      this.emit('cancel');
+      this.emitUpdate({ op: 'CANCELLING' });
+   }
+
+   emitUpdate (state: copier.CopyState) {
+      this._state = { ...this._state, ...state };
+      this.emit('progress', this._state);
+   }
+
+   async copy () {
+      const { schema, table, targetSchema, targetTable, mode } = this._options;
+      const columns = (await this.getSourceColumns()).filter(column => !column.generated);
+      const totalRows = await this._source.getTableApproximateCount({ schema, table });
+      let targetColumns = await this._target.getTableColumns({ schema: targetSchema, table: targetTable }) as SourceColumn[];
+      let identities: string[] = [];
+
+      this.emitUpdate({ totalRows, rowCount: 0, percentage: 0, op: 'CREATE' });
+
+      if (targetColumns.length && mode === 'drop') {
+         await this._target.dropTable({ schema: targetSchema, table: targetTable });
+         targetColumns = [];
+      }
+      else if (targetColumns.length && mode === 'truncate')
+         await this._target.truncateTable({ schema: targetSchema, table: targetTable });
+
+      if (!targetColumns.length) {
+         identities = await this.createTargetTable(columns);
+         targetColumns = await this._target.getTableColumns({ schema: targetSchema, table: targetTable }) as SourceColumn[];
+      }
+
+      if (this.isCancelled) return;
+
+      // Only columns existing in both tables are copied when appending to an existing table
+      const copyColumns = columns
+         .map(column => ({ source: column, target: targetColumns.find(targetColumn => targetColumn.name === column.name) }))
+         .filter(column => column.target);
+
+      if (!copyColumns.length)
+         throw new Error(`No columns of "${table}" found in "${targetTable}"`);
+
+      // Every value is bound, so the batches stay below the bound parameters limit of the target
+      const batchSize = Math.min(this._options.batchSize, this._target.insertBatchSize(copyColumns.length));
+      let rowCount = 0;
+      let batch: {[key: string]: string}[] = [];
+
+      this.emitUpdate({ op: 'COPY' });
+
+      const insertBatch = async () => {
+         if (!batch.length) return;
+
+         await this._target
+            .schema(targetSchema)
+            .into(targetTable)
+            .insert(batch)
+            .run();
+
+         rowCount += batch.length;
+         batch = [];
+
+         this.emitUpdate({
+            rowCount,
+            percentage: totalRows ? Math.min(rowCount / totalRows * 100, 100) : 100
+         });
+      };
+
+      for await (const row of this.getSourceRows(copyColumns.map(column => column.source))) {
+         if (this.isCancelled) break;
+
+         const values: {[key: string]: string} = {};
+         for (const { source, target } of copyColumns)
+            values[target.name] = this.bindValue(row[source.name], target, source);
+
+         batch.push(values);
+
+         if (batch.length >= batchSize)
+            await insertBatch();
+      }
+
+      if (this.isCancelled) return;
+
+      await insertBatch();
+      this.emitUpdate({ percentage: 100 });
+
+      // Aligns identity sequences to the copied values
+      const tableName = `${this._target._wrapIdentifier(targetSchema)}.${this._target._wrapIdentifier(targetTable)}`;
+      for (const identity of identities) {
+         await this._target.raw(
+            'SELECT setval(pg_get_serial_sequence($1, $2), ' +
+            `COALESCE((SELECT MAX(${this._target._wrapIdentifier(identity)}) FROM ${tableName}), 0) + 1, false)`,
+            { params: [tableName, identity], split: false }
+         );
+      }
+   }
+
+   async getSourceColumns () {
+      const { schema, table } = this._options;
+      const columns = await this._source.getTableColumns({ schema, table }) as SourceColumn[];
+
+      // Serial and identity columns are not reported as auto increment by PostgreSQL client
+      if (this.sourceClient === 'pg') {
+         const { rows } = await this._source.raw(
+            'SELECT column_name AS name FROM information_schema.columns WHERE table_schema = $1 AND table_name = $2 AND is_identity = \'YES\'',
+            { params: [schema, table], split: false }
+         );
+         const identities = rows.map((row: { name: string }) => row.name);
+
+         for (const column of columns) {
+            if (identities.includes(column.name) || /^nextval\(/i.test(String(column.default))) {
+               column.autoIncrement = true;
+               column.default = null;
+            }
+         }
+      }
+
+      return columns.map(column => ({ ...column, type: column.type.toUpperCase() }));
+   }
+
+   /**
+    * Creates the target table from the source structure, foreign keys are not copied since referenced tables may not exist.
+    * Returns the columns that need an identity on PostgreSQL
+    */
+   async createTargetTable (columns: SourceColumn[]) {
+      const { schema, table, targetSchema, targetTable } = this._options;
+      const indexes: { name: string; column: string; type: string }[] = await this._source.getTableIndexes({ schema, table });
+
+      const groupedIndexes = indexes.reduce((acc, index) => {
+         if (!columns.some(column => column.name === index.column)) return acc;
+
+         if (!acc[index.name]) acc[index.name] = { name: index.name, type: index.type, fields: [] };
+         acc[index.name].fields.push(index.column);
+         return acc;
+      }, {} as {[name: string]: antares.TableIndex});
+
+      const targetIndexes = Object.values(groupedIndexes)
+         .filter(index => this.isSameClient || ['PRIMARY', 'UNIQUE', 'INDEX'].includes(index.type))
+         .map(index => {
+            // Index names are unique by schema except for MySQL
+            if (index.type !== 'PRIMARY' && this.targetClient !== 'mysql') {
+               index.name = index.name.startsWith(table)
+                  ? `${targetTable}${index.name.substring(table.length)}`
+                  : `${targetTable}_${index.name}`;
+            }
+
+            return index;
+         });
+
+      const primaryFields = targetIndexes.find(index => index.type === 'PRIMARY')?.fields || [];
+      const indexedFields = targetIndexes.reduce((acc, index) => [...acc, ...index.fields], [] as string[]);
+      const fields = columns.map(column => this.getTargetField(column, primaryFields.includes(column.name), indexedFields.includes(column.name)));
+
+      let options: antares.TableOptions = { name: targetTable };
+      if (this.targetClient === 'mysql') {
+         const target = this._target as MySQLClient;
+         const engines = await target.getEngines();
+         const sourceOptions = this.isSameClient
+            ? await (this._source as MySQLClient).getTableOptions({ schema, table })
+            : null;
+
+         options = {
+            ...options,
+            engine: sourceOptions?.engine || engines.find(engine => engine.isDefault)?.name || 'InnoDB',
+            comment: sourceOptions?.comment || '',
+            collation: sourceOptions?.collation || await target.getDatabaseCollation({ database: targetSchema })
+         };
+      }
+
+      await this._target.createTable({
+         schema: targetSchema,
+         fields,
+         indexes: targetIndexes,
+         foreigns: [],
+         options
+      });
+
+      const identities = this.targetClient === 'pg'
+         ? fields.filter(field => field.autoIncrement && ['SMALLINT', 'INTEGER', 'BIGINT'].includes(field.type)).map(field => field.name)
+         : [];
+
+      const tableName = `${this._target._wrapIdentifier(targetSchema)}.${this._target._wrapIdentifier(targetTable)}`;
+      for (const identity of identities)
+         await this._target.raw(`ALTER TABLE ${tableName} ALTER COLUMN ${this._target._wrapIdentifier(identity)} ADD GENERATED BY DEFAULT AS IDENTITY`);
+
+      return identities;
+   }
+
+   /**
+    * Returns the definition of a column in the target client
+    */
+   getTargetField (column: SourceColumn, isPrimary: boolean, isIndexed: boolean): antares.TableField {
+      const customization = customizations[this.targetClient] as { autoIncrement?: boolean; unsigned?: boolean };
+      // Values of identity columns of SQL Server can't be inserted without IDENTITY_INSERT
+      // PostgreSQL identities are added after the table creation
+      const autoIncrement = !!column.autoIncrement && isPrimary && (!!customization.autoIncrement || this.targetClient === 'pg') && this.targetClient !== 'mssql';
+
+      if (this.isSameClient) {
+         return {
+            ...column,
+            key: '',
+            schema: this._options.targetSchema,
+            numLength: column.numLength || (['DECIMAL', 'NUMERIC'].includes(column.type) ? column.numPrecision : null),
+            numScale: column.numScale ?? null,
+            autoIncrement
+         };
+      }
+
+      const field: antares.TableField = {
+         name: column.name,
+         key: '',
+         type: this.getTargetType(column),
+         schema: this._options.targetSchema,
+         numLength: null,
+         charLength: null,
+         datePrecision: null,
+         numScale: null,
+         nullable: column.nullable,
+         unsigned: !!customization.unsigned && !!column.unsigned,
+         zerofill: false,
+         default: null,
+         autoIncrement,
+         isArray: this.targetClient === 'pg' && !!column.isArray,
+         comment: '',
+         collation: null,
+         onUpdate: null
+      };
+
+      // Only INTEGER primary keys are auto incremented by SQLite
+      if (column.autoIncrement && isPrimary && this.targetClient === 'sqlite' && this.getCategory(column.type) === 'NUMBER')
+         field.type = 'INTEGER';
+
+      // Text and blob columns can't be MySQL keys without a prefix length
+      if (isIndexed && this.targetClient === 'mysql' && /(TEXT|BLOB)$/.test(field.type)) {
+         field.type = field.type.endsWith('TEXT') ? 'VARCHAR' : 'VARBINARY';
+         field.charLength = 255;
+      }
+
+      const typeInfo = CLIENT_TYPES[this.targetClient].find(type => type.name === field.type);
+
+      if (typeInfo?.length && !field.charLength) {
+         if (['DECIMAL', 'NUMERIC'].includes(field.type)) {
+            if (column.numPrecision || column.numLength) {
+               field.numLength = column.numPrecision || column.numLength;
+               field.numScale = column.numScale || 0;
+            }
+            else if (this.targetClient === 'mysql') {
+               field.numLength = 65;
+               field.numScale = 30;
+            }
+         }
+         else if (field.type === 'TINYINT' && this.getCategory(column.type) === 'BOOLEAN')
+            field.numLength = 1;
+         else if ([...TEXT, ...BIT, 'VARBINARY', 'BINARY'].includes(field.type)) {
+            const length = FIXED_LENGTHS[column.type] || column.charLength || column.numPrecision || column.numLength;
+            // SQL Server represents MAX length with -1
+            field.charLength = length > 0 ? length : this.targetClient === 'mssql' ? -1 : null;
+         }
+         else if ([...TIME, ...DATETIME].includes(field.type) && column.datePrecision)
+            field.datePrecision = Math.min(column.datePrecision, 6);
+      }
+
+      field.default = this.getTargetDefault(column, field);
+
+      return field;
+   }
+
+   getCategory (type: string): TypeCategory {
+      if (BOOLEAN.includes(type) || (type === 'BIT' && this.sourceClient === 'mssql'))
+         return 'BOOLEAN';
+      else if (BIT.includes(type))
+         return 'BIT';
+      else if (DATE.includes(type))
+         return 'DATE';
+      else if (TIME.includes(type))
+         return 'TIME';
+      else if (DATETIME.includes(type))
+         return 'DATETIME';
+      else if (BLOB.includes(type) || ['BINARY', 'VARBINARY'].includes(type))
+         return 'BLOB';
+      else if (FLOAT.includes(type))
+         return 'FLOAT';
+      else if (NUMBER.includes(type))
+         return 'NUMBER';
+      else if (TEXT.includes(type) || FIXED_LENGTHS[type])
+         return 'TEXT';
+
+      return 'LONG_TEXT';
+   }
+
+   /**
+    * Returns the same type or a synonym if supported by the target client, otherwise a type of the same category
+    */
+   getTargetType (column: SourceColumn) {
+      const targetTypes = CLIENT_TYPES[this.targetClient];
+      const category = this.getCategory(column.type);
+      const synonyms = SYNONYMS.find(group => group.includes(column.type)) || [];
+
+      // Arrays can be stored only by PostgreSQL, elsewhere are saved as JSON
+      if (column.isArray && this.targetClient !== 'pg')
+         return CATEGORY_TYPES[this.targetClient].LONG_TEXT;
+
+      // Text without a length would be truncated by types that need one
+      if (category === 'TEXT' && !(column.charLength > 0) && !FIXED_LENGTHS[column.type])
+         return CATEGORY_TYPES[this.targetClient].LONG_TEXT;
+
+      // Long text types have different sizes in every client and are always remapped
+      if (category !== 'LONG_TEXT' || synonyms.length) {
+         const supported = [column.type, ...synonyms]
+            .map(name => targetTypes.find(type => type.name === name))
+            .filter(Boolean);
+         // Synonyms that accept a length keep precision and size of the source
+         const type = supported.find(type => type.length) || supported[0];
+         if (type) return type.name;
+      }
+
+      return CATEGORY_TYPES[this.targetClient][category];
+   }
+
+   /**
+    * Translates a column default, expressions not portable between clients are discarded
+    */
+   getTargetDefault (column: SourceColumn, field: antares.TableField) {
+      if (column.default === null || column.default === undefined || field.autoIncrement) return null;
+
+      const value = String(column.default).trim()
+         .replace(/::[\w\s"]+(\[\])?$/, '')
+         .replace(/^\((.*)\)$/, '$1')
+         .replace(/^N'/, '\'');
+      const isBoolean = BOOLEAN.includes(field.type) || (field.type === 'BIT' && this.targetClient === 'mssql');
+      let targetDefault: string = null;
+
+      if (/^(CURRENT_TIMESTAMP|NOW|LOCALTIMESTAMP|GETDATE)(\(\d*\))?$/i.test(value) && DATETIME.includes(field.type)) {
+         // MySQL needs the same precision of the column
+         targetDefault = this.targetClient === 'mysql' && field.datePrecision
+            ? `CURRENT_TIMESTAMP(${field.datePrecision})`
+            : 'CURRENT_TIMESTAMP';
+      }
+      else if (isBoolean && /^('?)(TRUE|FALSE|0|1|t|f)\1$/i.test(value)) {
+         const isTrue = /^'?(TRUE|1|t)'?$/i.test(value);
+         targetDefault = ['mysql', 'mssql'].includes(this.targetClient)
+            ? (isTrue ? '1' : '0')
+            : (isTrue ? 'TRUE' : 'FALSE');
+      }
+      else if (/^[-+]?\d+(\.\d+)?$/.test(value) || /^'(?:[^']|'')*'$/.test(value))
+         targetDefault = value;
+
+      // MySQL accepts only expression defaults for text, blob and json columns
+      if (targetDefault !== null && this.targetClient === 'mysql' && /(TEXT|BLOB|JSON)$/.test(field.type))
+         targetDefault = `(${targetDefault})`;
+
+      return targetDefault;
+   }
+
+   /**
+    * Yields the source rows, streamed by clients that support it or read in pages
+    */
+   // eslint-disable-next-line @typescript-eslint/no-explicit-any
+   async * getSourceRows (columns: SourceColumn[]): AsyncGenerator<{[key: string]: any}> {
+      const { schema, table } = this._options;
+
+      // A SQLite database can't be written while is being read by another connection
+      if (STREAMING_CLIENTS.includes(this._source._client) && !this._isSameDatabase) {
+         const wrapper = customizations[this.sourceClient].elementsWrapper;
+         const fields = columns.map(column => {
+            const name = `${wrapper}${column.name}${wrapper}`;
+            // Spatial values are copied as WKT
+            return this.sourceClient === 'mysql' && SPATIAL.includes(column.type) ? `ST_AsText(${name}) AS ${name}` : name;
+         });
+
+         const stream = await queryStream(
+            this._source as MySQLClient | PostgreSQLClient | SQLiteClient,
+            `SELECT ${fields.join(', ')} FROM ${wrapper}${schema}${wrapper}.${wrapper}${table}${wrapper}`
+         );
+
+         for await (const row of stream)
+            yield row;
+      }
+      else {
+         const { batchSize } = this._options;
+         const indexes = await this._source.getTableIndexes({ schema, table });
+         // Pages need a stable order, by the row keys or by all the columns without keys
+         const keys: string[] = getRowKeys(indexes, columns);
+         const orderColumns = keys.length
+            ? keys
+            : columns
+               .filter(column => this.sourceClient !== 'mssql' || !MSSQL_UNSORTABLE.includes(column.type))
+               .map(column => column.name);
+
+         for (let offset = 0; ; offset += batchSize) {
+            const { rows } = await this._source
+               .schema(schema)
+               .select('*')
+               .from(table)
+               .orderBy(...orderColumns.map(name => this._source._wrapIdentifier(name)))
+               .limit(batchSize)
+               .offset(offset)
+               .run();
+
+            for (const row of rows)
+               yield row;
+
+            if (rows.length < batchSize || this.isCancelled) break;
+         }
+      }
+   }
+
+   /**
+    * Binds a value of the source to the insert of the target column
+    * @returns the placeholder to use in place of the value
+    */
+   bindValue (val: unknown, column: SourceColumn, sourceColumn: SourceColumn) {
+      const type = column.type.toUpperCase();
+      const placeholder = this._target.param(this._target._parseParam(this.formatValue(val, column, sourceColumn), type));
+
+      // Spatial values are copied as WKT
+      return SPATIAL.includes(type) && this.targetClient === 'mysql' && val !== null && val !== undefined
+         ? `ST_GeomFromText(${placeholder})`
+         : placeholder;
+   }
+
+   /**
+    * Converts a value returned by the source client in a value of the target column
+    */
+   formatValue (val: unknown, column: SourceColumn, sourceColumn: SourceColumn): unknown {
+      const type = column.type.toUpperCase();
+
+      if (val === null || val === undefined) return null;
+
+      if (column.isArray && Array.isArray(val))
+         return val.map(item => this.formatValue(item, { ...column, isArray: false }, sourceColumn));
+      else if (typeof val === 'boolean' || BOOLEAN.includes(type) || (type === 'BIT' && this.targetClient === 'mssql')) {
+         const isTrue = typeof val === 'boolean' ? val : ['1', 't', 'true', 'y', 'yes'].includes(String(val).toLowerCase());
+         return ['mysql', 'mssql'].includes(this.targetClient) ? Number(isTrue) : isTrue;
+      }
+      else if (BIT.includes(type))
+         return Buffer.isBuffer(val) ? hexToBinary(val.toString('hex')) : String(val);
+      else if (Buffer.isBuffer(val) || val instanceof Uint8Array) {
+         // Bit values copied in integer columns
+         if (NUMBER.includes(type))
+            return BigInt(`0x${Buffer.from(val).toString('hex') || '0'}`).toString();
+
+         return Buffer.from(val);
+      }
+      else if (val instanceof Date) {
+         if (DATE.includes(type))
+            return moment(val).format('YYYY-MM-DD');
+         else if (TIME.includes(type))
+            return moment(val).format('HH:mm:ss.SSS');
+         else if (HAS_TIMEZONE.includes(type))
+            return moment(val).format('YYYY-MM-DD HH:mm:ss.SSSZ');
+
+         return moment(val).format('YYYY-MM-DD HH:mm:ss.SSS');
+      }
+      else if (typeof val === 'number')
+         return isFinite(val) ? val : String(val);
+      else if (typeof val === 'bigint')
+         return val.toString();
+      else if (typeof val === 'string') {
+         const sourceType = sourceColumn.type;
+         const value = sourceType === 'MONEY' ? val.replace(/[^\d.-]/g, '') : val;
+
+         if ([...NUMBER, ...FLOAT].includes(type) && value.trim() !== '' && isFinite(Number(value)))
+            return value.trim();
+         else if (HAS_TIMEZONE.includes(sourceType) && !HAS_TIMEZONE.includes(type)) {
+            if (TIME.includes(type))
+               return value.replace(/[+-]\d{2}(:?\d{2})?$/, '');
+            else if (DATETIME.includes(type))
+               return moment(value).format('YYYY-MM-DD HH:mm:ss.SSS');
+         }
+         else if (BLOB.includes(type)) // Bound strings are read as file paths by the clients
+            return Buffer.from(value);
+
+         return this.formatText(value);
+      }
+      else if (type === 'POINT' && this.targetClient === 'pg' && typeof val === 'object' && 'x' in val) {
+         const { x, y } = val as { x: number; y: number };
+         return `(${x},${y})`;
+      }
+
+      return this.formatText(JSON.stringify(val));
+   }
+
+   formatText (val: string) {
+      // PostgreSQL strings can't contain NUL characters
+      return this.targetClient === 'pg' ? val.replaceAll('\0', '') : val;
+   }
+}
@@ -2,6 +2,7 @@ import * as exporter from 'common/interfaces/exporter';
 import * as fs from 'fs';
 import { createGzip, Gzip } from 'zlib';
 import * as path from 'path';
+import { Transform } from 'stream';
 import * as EventEmitter from 'events';
 
 export class BaseExporter extends EventEmitter {
@@ -9,17 +10,27 @@ export class BaseExporter extends EventEmitter {
    protected _options;
    protected _isCancelled;
    protected _outputFileStream: fs.WriteStream;
-   protected _processedStream: fs.WriteStream | Gzip;
+   protected _processedStream: fs.WriteStream | Gzip | Transform;
    protected _state;
+   protected _writtenFiles: string[];
 
    constructor (tables: exporter.TableParams[], options: exporter.ExportOptions) {
       super();
       this._tables = tables;
       this._options = options;
       this._isCancelled = false;
-      this._outputFileStream = fs.createWriteStream(this._options.outputFile, { flags: 'w' });
+      this._outputFileStream = null;
       this._processedStream = null;
       this._state = {};
+      this._writtenFiles = [];
+
+      // Output file is a directory where exporters write a file for each table
+      if (this.isDirectoryOutput) {
+         this._options.outputFile = this._createOutputDirectory(this._options.outputFile);
+         return;
+      }
+
+      this._outputFileStream = fs.createWriteStream(this._options.outputFile, { flags: 'w' });
 
       if (this._options.outputFormat === 'sql.zip') {
          const outputZipStream = createGzip();
@@ -45,7 +56,8 @@ export class BaseExporter extends EventEmitter {
          throw err;
       }
       finally {
-         this._processedStream.end();
+         if (this._processedStream)
+            this._processedStream.end();
          this.emit('end');
       }
    }
@@ -58,10 +70,63 @@ export class BaseExporter extends EventEmitter {
       return this._options.outputFile;
    }
 
+   get isDirectoryOutput () {
+      return ['csv', 'json', 'ndjson'].includes(this._options.outputFormat);
+   }
+
    outputFileExists () {
       return fs.existsSync(this._options.outputFile);
    }
 
+   /**
+    * Creates a new directory, adding a numeric suffix to the name if it already exists
+    * @returns the path of the created directory
+    */
+   protected _createOutputDirectory (dirPath: string) {
+      fs.mkdirSync(path.dirname(dirPath), { recursive: true });
+
+      for (let i = 1; ; i++) {
+         const candidate = i === 1 ? dirPath : `${dirPath}_${i}`;
+
+         try {
+            fs.mkdirSync(candidate);
+            return candidate;
+         }
+         catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+         }
+      }
+   }
+
+   /**
+    * Creates a file inside the output directory, keeping track of it to be able to remove it
+    */
+   protected _createOutputFile (fileName: string) {
+      const filePath = path.join(this._options.outputFile, fileName);
+      this._writtenFiles.push(filePath);
+
+      return fs.createWriteStream(filePath, { flags: 'w' });
+   }
+
+   /**
+    * Deletes the files written by the export, and the output directory if nothing else is left inside
+    */
+   removeOutput () {
+      if (!this.isDirectoryOutput) {
+         fs.rmSync(this._options.outputFile, { force: true });
+         return;
+      }
+
+      for (const file of this._writtenFiles)
+         fs.rmSync(file, { force: true });
+
+      try {
+         fs.rmdirSync(this._options.outputFile);
+      }
+      catch (err) { // Not empty
+      }
+   }
+
    cancel () {
       this._isCancelled = true;
       this.emit('cancel');
@@ -72,8 +137,11 @@ export class BaseExporter extends EventEmitter {
       this.emit('progress', { ...this._state, ...state });
    }
 
+   /**
+    * @returns false when the output buffer is full
+    */
    writeString (data: string) {
-      if (this._isCancelled) return;
+      if (this._isCancelled) return true;
 
       try {
          fs.accessSync(this._options.outputFile);
@@ -84,7 +152,7 @@ export class BaseExporter extends EventEmitter {
          const fileName = path.basename(this._options.outputFile);
          this.emit('error', `The file ${fileName} is not accessible`);
       }
-      this._processedStream.write(data);
+      return this._processedStream.write(data);
    }
 
    dump () {
@@ -0,0 +1,119 @@
+import * as exporter from 'common/interfaces/exporter';
+import { once } from 'events';
+import { Transform } from 'stream';
+import { MySQLClient } from '../clients/MySQLClient';
+import { PostgreSQLClient } from '../clients/PostgreSQLClient';
+import { SQLiteClient } from '../clients/SQLiteClient';
+import { BaseExporter } from './BaseExporter';
+import { queryStream } from './queryStream';
+import { ZipWriter } from './ZipWriter';
+
+/**
+ * Base class for exporters that write the content of each table in a separate file,
+ * inside the output directory or in a ZIP archive for `.zip` output formats
+ */
+export class TableDataExporter extends BaseExporter {
+   protected _client: MySQLClient | PostgreSQLClient | SQLiteClient;
+
+   constructor (client: MySQLClient | PostgreSQLClient | SQLiteClient, tables: exporter.TableParams[], options: exporter.ExportOptions) {
+      super(tables, options);
+      this._client = client;
+   }
+
+   get schemaName () {
+      return this._options.schema;
+   }
+
+   get fileExtension (): string {
+      throw new Error('Exporter must implement the "fileExtension" getter');
+   }
+
+   async dump () {
+      const tables = this._tables.filter(t => t.includeContent);
+      const zip = this._options.outputFormat.endsWith('.zip') ? new ZipWriter(this._processedStream) : null;
+      const outputStream = this._processedStream;
+
+      const exportState = {
+         totalItems: tables.length,
+         currentItemIndex: 0,
+         currentItem: '',
+         op: ''
+      };
+
+      for (const item of tables) {
+         // user abort operation
+         if (this.isCancelled) return;
+
+         exportState.currentItemIndex++;
+         exportState.currentItem = item.table;
+         exportState.op = 'FETCH';
+         this.emitUpdate(exportState);
+
+         const fileName = `${item.table}.${this.fileExtension}`;
+
+         if (zip)
+            this._processedStream = zip.addEntry(fileName);
+         else {
+            this._processedStream = this._createOutputFile(fileName);
+            this._processedStream.once('error', err => {
+               this._isCancelled = true;
+               this.emit('error', err);
+            });
+         }
+
+         exportState.op = 'WRITE';
+         this.emitUpdate(exportState);
+
+         for await (const rowsStr of this.getTableRows(item.table)) {
+            if (this.isCancelled) break;
+
+            if (!this.writeString(rowsStr)) // Stops reading rows until the output catches up
+               await once(this._processedStream, 'drain');
+         }
+
+         if (zip)
+            await zip.endEntry(this._processedStream as Transform);
+         else {
+            const fileStream = this._processedStream;
+            await new Promise(resolve => fileStream.end(resolve));
+         }
+      }
+
+      if (zip) {
+         zip.finalize();
+         this._processedStream = outputStream;
+      }
+      else
+         this._processedStream = null;
+   }
+
+   // eslint-disable-next-line require-yield, @typescript-eslint/no-unused-vars
+   async * getTableRows (tableName: string): AsyncGenerator<string> {
+      throw new Error('Exporter must implement the "getTableRows" method');
+   }
+
+   /**
+    * Streams the rows of a table, stops the query if the export is cancelled
+    */
+   async * queryTableRows (tableName: string, columns: { name: string }[]) {
+      const wrapper = ['mysql', 'maria'].includes(this._client._client) ? '`' : '"';
+      const columnNames = columns.map(col => `${wrapper}${col.name}${wrapper}`).join(', ');
+      const stream = await this._queryStream(
+         `SELECT ${columnNames} FROM ${wrapper}${this.schemaName}${wrapper}.${wrapper}${tableName}${wrapper}`
+      );
+
+      for await (const row of stream) {
+         if (this.isCancelled) {
+            if ('destroy' in stream) stream.destroy();
+            else stream.return(null);
+            return;
+         }
+
+         yield row as {[key: string]: unknown};
+      }
+   }
+
+   _queryStream (sql: string) {
+      return queryStream(this._client, sql);
+   }
+}
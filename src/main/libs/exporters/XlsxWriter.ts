@@ -0,0 +1,205 @@
+import * as moment from 'moment';
+import { once } from 'events';
+import { Transform, Writable } from 'stream';
+import { BOOLEAN, DATE, DATETIME, FLOAT, NUMBER } from 'common/fieldTypes';
+import { ZipWriter } from './ZipWriter';
+
+interface XlsxColumn {
+   name: string;
+   type?: string;
+}
+
+interface XlsxSheet {
+   name: string;
+   columns: XlsxColumn[];
+   stream: Transform;
+   rowIndex: number;
+}
+
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+const STYLE = {
+   header: 1,
+   date: 2,
+   datetime: 3
+};
+
+const escapeXml = (str: string) => str
+   // eslint-disable-next-line no-control-regex
+   .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+   .replaceAll('&', '&amp;')
+   .replaceAll('<', '&lt;')
+   .replaceAll('>', '&gt;')
+   .replaceAll('"', '&quot;');
+
+const columnLetter = (index: number) => {
+   let letter = '';
+   for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26))
+      letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+   return letter;
+};
+
+/**
+ * Minimal streaming XLSX workbook writer.
+ * Sheets are written one at a time with inline strings, so rows never need to be buffered
+ */
+export class XlsxWriter {
+   private _zip: ZipWriter;
+   private _sheets: string[];
+   private _currentSheet: XlsxSheet;
+
+   constructor (output: Writable) {
+      this._zip = new ZipWriter(output);
+      this._sheets = [];
+      this._currentSheet = null;
+   }
+
+   /**
+    * Starts a new sheet and writes its header row, rows are added with `addRow` until `endSheet` is called
+    */
+   addSheet (name: string, columns: XlsxColumn[]) {
+      const sheetName = this._getSheetName(name);
+      this._sheets.push(sheetName);
+      this._currentSheet = {
+         name: sheetName,
+         columns,
+         stream: this._zip.addEntry(`xl/worksheets/sheet${this._sheets.length}.xml`),
+         rowIndex: 1
+      };
+
+      const cols = columns.map((column, i) => {
+         const width = Math.min(Math.max(column.name.length + 2, 10), 50);
+         return `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`;
+      }).join('');
+
+      this._currentSheet.stream.write(
+         '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+         '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+         '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+         (cols ? `<cols>${cols}</cols>` : '') +
+         '<sheetData>' +
+         this._getRow(columns.map((column, i) => `<c r="${columnLetter(i)}1" t="inlineStr" s="${STYLE.header}"><is><t xml:space="preserve">${escapeXml(column.name)}</t></is></c>`))
+      );
+   }
+
+   /**
+    * Waits for the output to drain when its buffer is full
+    */
+   async addRow (values: unknown[]) {
+      const sheet = this._currentSheet;
+      sheet.rowIndex++;
+
+      const cells = values.map((value, i) => this._getCell(value, sheet.columns[i], `${columnLetter(i)}${sheet.rowIndex}`));
+      if (!sheet.stream.write(this._getRow(cells)))
+         await once(sheet.stream, 'drain');
+   }
+
+   async endSheet () {
+      const sheet = this._currentSheet;
+      sheet.stream.write('</sheetData></worksheet>');
+      await this._zip.endEntry(sheet.stream);
+      this._currentSheet = null;
+   }
+
+   /**
+    * Writes the workbook files, must be called after the last sheet has ended
+    */
+   async finalize () {
+      const files: {[name: string]: string} = {
+         '[Content_Types].xml':
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            this._sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+            '</Types>',
+         '_rels/.rels':
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>',
+         'xl/workbook.xml':
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+            this._sheets.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+            '</sheets></workbook>',
+         'xl/_rels/workbook.xml.rels':
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            this._sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+            `<Relationship Id="rId${this._sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+            '</Relationships>',
+         'xl/styles.xml':
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/><numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>' +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><color rgb="FFFFFFFF"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>' +
+            '<fill><patternFill patternType="solid"><fgColor rgb="FF4A5568"/><bgColor indexed="64"/></patternFill></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="4">' +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>' +
+            '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '</cellXfs>' +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>'
+      };
+
+      for (const fileName in files) {
+         const stream = this._zip.addEntry(fileName);
+         stream.write(`<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${files[fileName]}`);
+         await this._zip.endEntry(stream);
+      }
+
+      this._zip.finalize();
+   }
+
+   private _getRow (cells: string[]) {
+      return `<row r="${this._currentSheet.rowIndex}">${cells.join('')}</row>`;
+   }
+
+   private _getCell (value: unknown, column: XlsxColumn, ref: string) {
+      const type = column?.type ? column.type.toUpperCase() : '';
+
+      if (value === null || value === undefined) return '';
+      else if (typeof value === 'boolean' || (BOOLEAN.includes(type) && ['0', '1', 'true', 'false', 't', 'f'].includes(String(value).toLowerCase())))
+         return `<c r="${ref}" t="b"><v>${['1', 'true', 't'].includes(String(value).toLowerCase()) ? 1 : 0}</v></c>`;
+      else if (typeof value === 'number' || typeof value === 'bigint' || ([...NUMBER, ...FLOAT].includes(type) && value !== '' && isFinite(Number(value)))) {
+         // Precision of values over 15 digits would be lost by Excel
+         if (String(value).replace(/[^\d]/g, '').length <= 15)
+            return `<c r="${ref}"><v>${Number(value)}</v></c>`;
+      }
+      else if (value instanceof Date || ([...DATE, ...DATETIME].includes(type) && typeof value === 'string')) {
+         const date = moment(value as Date | string, moment.ISO_8601);
+
+         if (date.isValid()) {
+            const serial = (date.valueOf() + date.utcOffset() * 60000 - EXCEL_EPOCH) / 86400000;
+            const style = DATE.includes(type) ? STYLE.date : STYLE.datetime;
+            return `<c r="${ref}" s="${style}"><v>${serial}</v></c>`;
+         }
+      }
+
+      let text: string;
+      if (Buffer.isBuffer(value) || value instanceof Uint8Array)
+         text = Buffer.from(value).toString('hex').toUpperCase();
+      else if (typeof value === 'object')
+         text = JSON.stringify(value);
+      else
+         text = String(value);
+
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+   }
+
+   /**
+    * Sheet names are limited to 31 characters without some special chars and must be unique
+    */
+   private _getSheetName (name: string) {
+      const baseName = (name || 'Sheet').replace(/[[\]:*?/\\]/g, '_').substring(0, 31);
+      let sheetName = baseName;
+
+      for (let i = 2; this._sheets.some(sheet => sheet.toLowerCase() === sheetName.toLowerCase()); i++)
+         sheetName = `${baseName.substring(0, 31 - String(i).length - 1)}_${i}`;
+
+      return sheetName;
+   }
+}
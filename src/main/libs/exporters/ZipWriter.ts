@@ -0,0 +1,209 @@
+import { Transform, Writable } from 'stream';
+import { createDeflateRaw } from 'zlib';
+
+interface ZipEntry {
+   name: Buffer;
+   crc: number;
+   compressedSize: number;
+   size: number;
+   offset: number;
+   time: number;
+   date: number;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+   let c = n;
+   for (let k = 0; k < 8; k++)
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+   return c >>> 0;
+});
+
+// Sizes, offsets and counts reaching these values are stored in ZIP64 records
+const UINT16_MAX = 0xFFFF;
+const UINT32_MAX = 0xFFFFFFFF;
+
+const crc32 = (buffer: Buffer, crc = 0) => {
+   crc = crc ^ 0xFFFFFFFF;
+   for (const byte of buffer)
+      crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+   return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Minimal streaming ZIP archive writer, with ZIP64 records for entries and archives over 4 GB.
+ * Entries are deflated on the fly and sizes are written in data descriptors, so contents never need to be buffered.
+ * Since sizes are unknown when an entry starts, every local header has a ZIP64 extra field and every descriptor 64-bit sizes
+ */
+export class ZipWriter {
+   private _output: Writable;
+   private _entries: ZipEntry[];
+   private _offset: number;
+
+   constructor (output: Writable) {
+      this._output = output;
+      this._entries = [];
+      this._offset = 0;
+   }
+
+   /**
+    * @returns false when the output buffer is full
+    */
+   private _write (buffer: Buffer) {
+      this._offset += buffer.length;
+      return this._output.write(buffer);
+   }
+
+   /**
+    * Starts a new entry, data written to the returned stream is added to the archive until `end` is called.
+    * Writes to the returned stream report backpressure of the output
+    */
+   addEntry (fileName: string) {
+      const now = new Date();
+      const entry: ZipEntry = {
+         name: Buffer.from(fileName),
+         crc: 0,
+         compressedSize: 0,
+         size: 0,
+         offset: this._offset,
+         time: (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1),
+         date: ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate()
+      };
+
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(0x04034B50, 0); // Local file header signature
+      header.writeUInt16LE(45, 4); // Version needed to extract
+      header.writeUInt16LE(0x0808, 6); // Data descriptor and UTF-8 names flags
+      header.writeUInt16LE(8, 8); // Deflate
+      header.writeUInt16LE(entry.time, 10);
+      header.writeUInt16LE(entry.date, 12);
+      header.writeUInt32LE(UINT32_MAX, 18); // Sizes in the ZIP64 extra field
+      header.writeUInt32LE(UINT32_MAX, 22);
+      header.writeUInt16LE(entry.name.length, 26);
+      header.writeUInt16LE(20, 28);
+
+      // Sizes of the extra field are left to zero, they are written in the data descriptor
+      const extra = Buffer.alloc(20);
+      extra.writeUInt16LE(0x0001, 0); // ZIP64 extended information
+      extra.writeUInt16LE(16, 2);
+      this._write(Buffer.concat([header, entry.name, extra]));
+
+      const deflate = createDeflateRaw();
+      const input = new Transform({
+         transform (chunk: Buffer, encoding, next) {
+            entry.crc = crc32(chunk, entry.crc);
+            entry.size += chunk.length;
+            next(null, chunk);
+         }
+      });
+
+      deflate.on('data', (chunk: Buffer) => {
+         entry.compressedSize += chunk.length;
+
+         if (!this._write(chunk)) {
+            deflate.pause();
+            this._output.once('drain', () => deflate.resume());
+         }
+      });
+
+      deflate.once('end', () => {
+         const descriptor = Buffer.alloc(24);
+         descriptor.writeUInt32LE(0x08074B50, 0);
+         descriptor.writeUInt32LE(entry.crc, 4);
+         descriptor.writeBigUInt64LE(BigInt(entry.compressedSize), 8);
+         descriptor.writeBigUInt64LE(BigInt(entry.size), 16);
+         this._write(descriptor);
+         this._entries.push(entry);
+         input.emit('entry-end');
+      });
+
+      input.pipe(deflate);
+
+      return input;
+   }
+
+   /**
+    * Ends an entry stream returned by `addEntry` and waits for its compressed data to be written
+    */
+   endEntry (input: Transform) {
+      return new Promise<void>(resolve => {
+         input.once('entry-end', resolve);
+         input.end();
+      });
+   }
+
+   /**
+    * Writes the central directory, must be called after the last entry has ended
+    */
+   finalize () {
+      const centralDirectoryOffset = this._offset;
+
+      for (const entry of this._entries) {
+         const isZip64 = this._isZip64(entry) || entry.offset >= UINT32_MAX;
+         const header = Buffer.alloc(46);
+         header.writeUInt32LE(0x02014B50, 0); // Central directory header signature
+         header.writeUInt16LE((3 << 8) | 45, 4); // Version made by, on Unix since MS-DOS names are read in its code page by some tools
+         header.writeUInt16LE(45, 6); // Version needed to extract, as in the local header
+         header.writeUInt16LE(0x0808, 8);
+         header.writeUInt16LE(8, 10);
+         header.writeUInt16LE(entry.time, 12);
+         header.writeUInt16LE(entry.date, 14);
+         header.writeUInt32LE(entry.crc, 16);
+         header.writeUInt32LE(isZip64 ? UINT32_MAX : entry.compressedSize, 20);
+         header.writeUInt32LE(isZip64 ? UINT32_MAX : entry.size, 24);
+         header.writeUInt16LE(entry.name.length, 28);
+         header.writeUInt32LE(0o100644 << 16 >>> 0, 38); // Regular file readable by everyone
+         header.writeUInt32LE(isZip64 ? UINT32_MAX : entry.offset, 42);
+
+         let extra = Buffer.alloc(0);
+
+         if (isZip64) {
+            extra = Buffer.alloc(28);
+            extra.writeUInt16LE(0x0001, 0); // ZIP64 extended information
+            extra.writeUInt16LE(24, 2);
+            extra.writeBigUInt64LE(BigInt(entry.size), 4);
+            extra.writeBigUInt64LE(BigInt(entry.compressedSize), 12);
+            extra.writeBigUInt64LE(BigInt(entry.offset), 20);
+            header.writeUInt16LE(extra.length, 30);
+         }
+
+         this._write(Buffer.concat([header, entry.name, extra]));
+      }
+
+      const centralDirectorySize = this._offset - centralDirectoryOffset;
+      const records = this._entries.length;
+      const isZip64 = records >= UINT16_MAX || centralDirectorySize >= UINT32_MAX || centralDirectoryOffset >= UINT32_MAX;
+
+      if (isZip64) {
+         const zip64EndOffset = this._offset;
+
+         const zip64End = Buffer.alloc(56);
+         zip64End.writeUInt32LE(0x06064B50, 0); // ZIP64 end of central directory signature
+         zip64End.writeBigUInt64LE(BigInt(56 - 12), 4);
+         zip64End.writeUInt16LE(45, 12);
+         zip64End.writeUInt16LE(45, 14);
+         zip64End.writeBigUInt64LE(BigInt(records), 24);
+         zip64End.writeBigUInt64LE(BigInt(records), 32);
+         zip64End.writeBigUInt64LE(BigInt(centralDirectorySize), 40);
+         zip64End.writeBigUInt64LE(BigInt(centralDirectoryOffset), 48);
+         this._write(zip64End);
+
+         const locator = Buffer.alloc(20);
+         locator.writeUInt32LE(0x07064B50, 0); // ZIP64 end of central directory locator signature
+         locator.writeBigUInt64LE(BigInt(zip64EndOffset), 8);
+         locator.writeUInt32LE(1, 16);
+         this._write(locator);
+      }
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054B50, 0); // End of central directory signature
+      end.writeUInt16LE(Math.min(records, UINT16_MAX), 8);
+      end.writeUInt16LE(Math.min(records, UINT16_MAX), 10);
+      end.writeUInt32LE(Math.min(centralDirectorySize, UINT32_MAX), 12);
+      end.writeUInt32LE(Math.min(centralDirectoryOffset, UINT32_MAX), 16);
+      this._write(end);
+   }
+
+   private _isZip64 (entry: ZipEntry) {
+      return entry.size >= UINT32_MAX || entry.compressedSize >= UINT32_MAX;
+   }
+}
@@ -0,0 +1,83 @@
+import * as exporter from 'common/interfaces/exporter';
+import * as moment from 'moment';
+import { BLOB, DATE, DATETIME } from 'common/fieldTypes';
+import { MySQLClient } from '../../clients/MySQLClient';
+import { PostgreSQLClient } from '../../clients/PostgreSQLClient';
+import { SQLiteClient } from '../../clients/SQLiteClient';
+import { TableDataExporter } from '../TableDataExporter';
+
+export default class CsvExporter extends TableDataExporter {
+   protected _csv: exporter.CsvOptions;
+
+   constructor (client: MySQLClient | PostgreSQLClient | SQLiteClient, tables: exporter.TableParams[], options: exporter.ExportOptions) {
+      super(client, tables, options);
+
+      this._csv = {
+         delimiter: ',',
+         quote: '"',
+         quoteAll: false,
+         header: true,
+         nullValue: '',
+         lineEnding: '\n',
+         ...options.csv
+      };
+   }
+
+   get fileExtension () {
+      return this._csv.delimiter === '\t' ? 'tsv' : 'csv';
+   }
+
+   async * getTableRows (tableName: string) {
+      const { lineEnding } = this._csv;
+      const columns = await this._client.getTableColumns({
+         table: tableName,
+         schema: this.schemaName
+      });
+
+      if (this._csv.header)
+         yield columns.map(col => this.escapeAndQuote(col.name)).join(this._csv.delimiter) + lineEnding;
+
+      for await (const row of this.queryTableRows(tableName, columns)) {
+         const values = columns.map(column => {
+            const val = row[column.name];
+
+            if (val === null || val === undefined) return this._csv.nullValue;
+            else if (BLOB.includes(column.type) || Buffer.isBuffer(val))
+               return Buffer.from(val as Buffer).toString('hex').toUpperCase();
+            else if (val instanceof Date) {
+               if (DATE.includes(column.type))
+                  return moment(val).format('YYYY-MM-DD');
+               else if (DATETIME.includes(column.type)) {
+                  let datePrecision = '';
+                  for (let i = 0; i < column.datePrecision; i++)
+                     datePrecision += i === 0 ? '.S' : 'S';
+
+                  return moment(val).format(`YYYY-MM-DD HH:mm:ss${datePrecision}`);
+               }
+               return moment(val).format();
+            }
+            else if (typeof val === 'object')
+               return this.escapeAndQuote(JSON.stringify(val));
+
+            return this.escapeAndQuote(String(val));
+         });
+
+         yield values.join(this._csv.delimiter) + lineEnding;
+      }
+   }
+
+   escapeAndQuote (val: string) {
+      const { delimiter, quote, quoteAll } = this._csv;
+      const needsQuotes = quoteAll ||
+         val.includes(delimiter) ||
+         val.includes(quote) ||
+         val.includes('\n') ||
+         val.includes('\r') ||
+         val !== val.trim() ||
+         val === this._csv.nullValue; // Distinguishes values equal to the NULL representation
+
+      if (!needsQuotes) return val;
+
+      return `${quote}${val.replaceAll(quote, quote + quote)}${quote}`;
+   }
+}
@@ -0,0 +1,76 @@
+import * as exporter from 'common/interfaces/exporter';
+import * as moment from 'moment';
+import { BLOB, BIT, BOOLEAN, DATE, FLOAT, NUMBER } from 'common/fieldTypes';
+import hexToBinary from 'common/libs/hexToBinary';
+import { bufferToBase64 } from 'common/libs/bufferToBase64';
+import { MySQLClient } from '../../clients/MySQLClient';
+import { PostgreSQLClient } from '../../clients/PostgreSQLClient';
+import { SQLiteClient } from '../../clients/SQLiteClient';
+import { TableDataExporter } from '../TableDataExporter';
+
+export default class JsonExporter extends TableDataExporter {
+   protected _isLines: boolean;
+
+   constructor (client: MySQLClient | PostgreSQLClient | SQLiteClient, tables: exporter.TableParams[], options: exporter.ExportOptions) {
+      super(client, tables, options);
+      this._isLines = ['ndjson', 'ndjson.zip'].includes(options.outputFormat);
+   }
+
+   get fileExtension () {
+      return this._isLines ? 'ndjson' : 'json';
+   }
+
+   async * getTableRows (tableName: string) {
+      const columns = await this._client.getTableColumns({
+         table: tableName,
+         schema: this.schemaName
+      });
+      let rowIndex = 0;
+
+      if (!this._isLines) yield '[';
+
+      for await (const row of this.queryTableRows(tableName, columns)) {
+         // eslint-disable-next-line @typescript-eslint/no-explicit-any
+         const item: {[key: string]: any} = {};
+         for (const column of columns)
+            item[column.name] = this.formatValue(row[column.name], column);
+
+         if (this._isLines)
+            yield `${JSON.stringify(item)}\n`;
+         else
+            yield `${rowIndex > 0 ? ',' : ''}\n  ${JSON.stringify(item)}`;
+
+         rowIndex++;
+      }
+
+      if (!this._isLines) yield `${rowIndex > 0 ? '\n' : ''}]\n`;
+   }
+
+   /**
+    * Converts a value returned by the driver in the JSON value closest to the column type
+    */
+   formatValue (val: unknown, column: { type: string }) {
+      if (val === null || val === undefined) return null;
+      else if (BIT.includes(column.type) && Buffer.isBuffer(val))
+         return hexToBinary(val.toString('hex'));
+      else if (BLOB.includes(column.type) || Buffer.isBuffer(val))
+         return bufferToBase64(Buffer.from(val as Buffer));
+      else if (val instanceof Date) {
+         if (DATE.includes(column.type))
+            return moment(val).format('YYYY-MM-DD');
+         return moment(val).toISOString(true);
+      }
+      else if (typeof val === 'bigint')
+         return Number.isSafeInteger(Number(val)) ? Number(val) : val.toString();
+      else if (BOOLEAN.includes(column.type) && typeof val !== 'boolean')
+         return ['1', 't', 'true', 'y', 'yes'].includes(String(val).toLowerCase());
+      else if (typeof val === 'string' && [...NUMBER, ...FLOAT].includes(column.type)) {
+         // Big integers and decimals are returned as strings, converts only if no precision is lost
+         const number = Number(val);
+         const normalized = val.includes('.') ? val.replace(/\.?0+$/, '') : val;
+         return Number.isFinite(number) && String(number) === normalized ? number : val;
+      }
+
+      return val;
+   }
+}
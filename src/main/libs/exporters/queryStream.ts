@@ -0,0 +1,56 @@
+import * as mysql from 'mysql2/promise';
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import * as QueryStream from 'pg-query-stream';
+import { MySQLClient } from '../clients/MySQLClient';
+import { PostgreSQLClient } from '../clients/PostgreSQLClient';
+import { SQLiteClient } from '../clients/SQLiteClient';
+
+/**
+ * Executes a query returning its rows as a stream (or a generator for SQLite) on a dedicated connection,
+ * released when the stream ends
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export const queryStream = async (client: MySQLClient | PostgreSQLClient | SQLiteClient, sql: string): Promise<any> => {
+   if (process.env.NODE_ENV === 'development') console.log('EXPORTER:', sql);
+
+   switch (client._client) {
+      case 'mysql':
+      case 'maria': {
+         const mysqlClient = client as MySQLClient;
+         const isPool = 'getConnection' in mysqlClient._connection;
+         const connection = isPool ? await (mysqlClient._connection as mysql.Pool).getConnection() : mysqlClient._connection;
+         // eslint-disable-next-line @typescript-eslint/no-explicit-any
+         const stream = (connection as any).connection.query(sql).stream();
+         const dispose = () => (connection as mysql.PoolConnection).release();
+
+         stream.on('end', dispose);
+         stream.on('error', dispose);
+         stream.on('close', dispose);
+         return stream;
+      }
+      case 'pg': {
+         const connection = await (client as PostgreSQLClient).getConnection();
+         const query = new QueryStream(sql, null);
+         // eslint-disable-next-line @typescript-eslint/no-explicit-any
+         const stream = (connection as any).query(query);
+         const dispose = () => connection.end();
+
+         stream.on('end', dispose);
+         stream.on('error', dispose);
+         stream.on('close', dispose);
+         return stream;
+      }
+      case 'sqlite':
+         return (function * (connection) {
+            try {
+               yield * connection.prepare(sql).iterate();
+            }
+            finally {
+               connection.close();
+            }
+         })((client as SQLiteClient).getConnection());
+      default:
+         throw new Error(`"${client._client}" data export not aviable`);
+   }
+};
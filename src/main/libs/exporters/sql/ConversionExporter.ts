@@ -0,0 +1,514 @@
+import * as exporter from 'common/interfaces/exporter';
+import * as moment from 'moment';
+import * as customizations from 'common/customizations';
+import * as mysqlTypes from 'common/data-types/mysql';
+import * as postgresqlTypes from 'common/data-types/postgresql';
+import { BLOB, BIT, DATE, DATETIME, FLOAT, HAS_TIMEZONE, NUMBER, SPATIAL, TIME } from 'common/fieldTypes';
+import hexToBinary from 'common/libs/hexToBinary';
+import { MySQLClient } from '../../clients/MySQLClient';
+import { PostgreSQLClient } from '../../clients/PostgreSQLClient';
+import { queryStream } from '../queryStream';
+import { SqlExporter } from './SqlExporter';
+
+type TargetClient = 'mysql' | 'pg';
+
+interface SourceColumn {
+   name: string;
+   type: string;
+   numPrecision?: number;
+   numScale?: number;
+   numLength?: number;
+   charLength?: number;
+   datePrecision?: number;
+   nullable?: boolean;
+   unsigned?: boolean;
+   default?: string | number;
+   autoIncrement?: boolean;
+   isArray?: boolean;
+   comment?: string;
+   generated?: boolean;
+}
+
+const CLIENT_NAMES = {
+   mysql: 'MySQL',
+   pg: 'PostgreSQL'
+};
+
+const getTypeNames = <T extends { types: { name: string }[] }>(dataTypes: T[]) => dataTypes
+   .reduce((acc, group) => [...acc, ...group.types.map(type => type.name.toUpperCase())], [] as string[]);
+
+const TARGET_TYPES = {
+   mysql: getTypeNames(mysqlTypes),
+   pg: getTypeNames(postgresqlTypes)
+};
+
+/**
+ * Equivalent types in the target dialect, types not listed are kept if supported by the target
+ */
+const TYPES_MAP: {[target in TargetClient]: {[type: string]: string}} = {
+   pg: {
+      TINYINT: 'SMALLINT',
+      MEDIUMINT: 'INTEGER',
+      INT: 'INTEGER',
+      FLOAT: 'REAL',
+      DOUBLE: 'DOUBLE PRECISION',
+      DECIMAL: 'NUMERIC',
+      CHAR: 'CHARACTER',
+      VARCHAR: 'CHARACTER VARYING',
+      TINYTEXT: 'TEXT',
+      MEDIUMTEXT: 'TEXT',
+      LONGTEXT: 'TEXT',
+      ENUM: 'CHARACTER VARYING',
+      SET: 'CHARACTER VARYING',
+      BINARY: 'BYTEA',
+      VARBINARY: 'BYTEA',
+      TINYBLOB: 'BYTEA',
+      BLOB: 'BYTEA',
+      MEDIUMBLOB: 'BYTEA',
+      LONGBLOB: 'BYTEA',
+      TIME: 'TIME WITHOUT TIME ZONE',
+      YEAR: 'SMALLINT',
+      DATETIME: 'TIMESTAMP WITHOUT TIME ZONE',
+      TIMESTAMP: 'TIMESTAMP WITHOUT TIME ZONE'
+   },
+   mysql: {
+      INTEGER: 'INT',
+      SMALLSERIAL: 'SMALLINT',
+      SERIAL: 'INT',
+      BIGSERIAL: 'BIGINT',
+      NUMERIC: 'DECIMAL',
+      MONEY: 'DECIMAL',
+      REAL: 'FLOAT',
+      'DOUBLE PRECISION': 'DOUBLE',
+      'CHARACTER VARYING': 'VARCHAR',
+      CHARACTER: 'CHAR',
+      '"CHAR"': 'CHAR',
+      NAME: 'VARCHAR',
+      TEXT: 'LONGTEXT',
+      XML: 'LONGTEXT',
+      UUID: 'CHAR',
+      CIDR: 'VARCHAR',
+      INET: 'VARCHAR',
+      MACADDR: 'VARCHAR',
+      MACADDR8: 'VARCHAR',
+      INTERVAL: 'VARCHAR',
+      'BIT VARYING': 'VARCHAR',
+      BYTEA: 'LONGBLOB',
+      BOOLEAN: 'TINYINT',
+      'TIMESTAMP WITHOUT TIME ZONE': 'DATETIME',
+      'TIMESTAMP WITH TIME ZONE': 'DATETIME',
+      'TIME WITHOUT TIME ZONE': 'TIME',
+      'TIME WITH TIME ZONE': 'TIME',
+      JSONB: 'JSON'
+   }
+};
+
+/**
+ * Lengths of types that need one in the target dialect but have not in the source
+ */
+const FIXED_LENGTHS: {[type: string]: string} = {
+   BOOLEAN: '1',
+   '"CHAR"': '1',
+   NAME: '64',
+   UUID: '36',
+   CIDR: '43',
+   INET: '43',
+   MACADDR: '17',
+   MACADDR8: '23',
+   INTERVAL: '255',
+   MONEY: '19,2'
+};
+
+const FALLBACK_TYPES = {
+   mysql: 'LONGTEXT',
+   pg: 'TEXT'
+};
+
+const MYSQL_ESCAPES: {[key: string]: string} = {
+   '\0': '\\0',
+   '\n': '\\n',
+   '\r': '\\r',
+   '\x1a': '\\Z',
+   '\'': '\\\'',
+   '\\': '\\\\'
+};
+
+/**
+ * Exports structure and content of MySQL or PostgreSQL tables as SQL for the other dialect
+ */
+export default class ConversionExporter extends SqlExporter {
+   protected _client: MySQLClient | PostgreSQLClient;
+   protected _target: TargetClient;
+   protected _columns: {[table: string]: SourceColumn[]};
+
+   constructor (client: MySQLClient | PostgreSQLClient, tables: exporter.TableParams[], options: exporter.ExportOptions) {
+      // Views, triggers and routines bodies can't be translated
+      super(tables, {
+         ...options,
+         includes: { functions: false, views: false, triggers: false, routines: false, schedulers: false }
+      });
+
+      this._client = client;
+      this._target = options.targetClient;
+      this._columns = {};
+   }
+
+   get sourceClient (): TargetClient {
+      return this._client._client === 'pg' ? 'pg' : 'mysql';
+   }
+
+   async getSqlHeader () {
+      let dump = await super.getSqlHeader();
+      dump += '\n' + this.buildComment(`Converted from ${CLIENT_NAMES[this.sourceClient]} to ${CLIENT_NAMES[this._target]}`);
+
+      if (this._target === 'mysql') {
+         dump += `\n\n\nSET NAMES utf8mb4;
+SET FOREIGN_KEY_CHECKS = 0;
+SET SQL_MODE = 'NO_AUTO_VALUE_ON_ZERO';`;
+      }
+      else {
+         dump += `\n\n\nSET client_encoding = 'UTF8';
+SET standard_conforming_strings = on;`;
+      }
+
+      return dump;
+   }
+
+   async getFooter () {
+      const footer = await super.getFooter();
+
+      if (this._target === 'mysql')
+         return `SET FOREIGN_KEY_CHECKS = 1;\n\n${footer}\n`;
+
+      return `${footer}\n`;
+   }
+
+   async getCreateTable (tableName: string) {
+      const columns = await this.getColumns(tableName);
+      const indexes: { name: string; column: string; type: string; indexType: string }[] = await this._client.getTableIndexes({ schema: this.schemaName, table: tableName });
+      const foreigns = await this._client.getKeyUsage({ schema: this.schemaName, table: tableName });
+      const definitions = columns.filter(column => !column.generated).map(column => this.getColumnDefinition(column));
+      const afterCreate: string[] = [];
+
+      const groupedIndexes = indexes.reduce((acc, index) => {
+         if (!acc[index.name]) acc[index.name] = { type: index.type, indexType: index.indexType, columns: [] };
+         acc[index.name].columns.push(index.column);
+         return acc;
+      }, {} as {[name: string]: { type: string; indexType: string; columns: string[] }});
+
+      for (const [name, index] of Object.entries(groupedIndexes)) {
+         const indexColumns = index.columns.map(col => this.getIndexColumn(columns.find(column => column.name === col) || { name: col, type: '' }));
+
+         if (index.type === 'PRIMARY')
+            definitions.push(`PRIMARY KEY (${indexColumns.join(', ')})`);
+         else if (this._target === 'mysql')
+            definitions.push(`${index.type === 'INDEX' ? 'KEY' : `${index.type} KEY`} ${this.wrap(name)} (${indexColumns.join(', ')})`);
+         else {
+            // Index names are unique by schema in PostgreSQL
+            const indexName = this.wrap(`${tableName}_${name}`);
+
+            if (index.type === 'UNIQUE')
+               afterCreate.push(`CREATE UNIQUE INDEX ${indexName} ON ${this.wrap(tableName)} (${indexColumns.join(', ')});`);
+            else if (index.type === 'FULLTEXT') {
+               const document = indexColumns.map(col => `COALESCE(${col}, '')`).join(' || \' \' || ');
+               afterCreate.push(`CREATE INDEX ${indexName} ON ${this.wrap(tableName)} USING gin (to_tsvector('simple', ${document}));`);
+            }
+            else if (index.indexType !== 'SPATIAL')
+               afterCreate.push(`CREATE INDEX ${indexName} ON ${this.wrap(tableName)} (${indexColumns.join(', ')});`);
+         }
+      }
+
+      if (this._target === 'pg') {
+         for (const column of columns) {
+            if (column.comment)
+               afterCreate.push(`COMMENT ON COLUMN ${this.wrap(tableName)}.${this.wrap(column.name)} IS ${this.escapeAndQuote(column.comment)};`);
+         }
+      }
+
+      // Foreign keys are added after all tables have been created and filled
+      const groupedForeigns = foreigns.reduce((acc, foreign) => {
+         if (!acc[foreign.constraintName]) acc[foreign.constraintName] = { ...foreign, fields: [], refFields: [] };
+         const { fields, refFields } = acc[foreign.constraintName];
+
+         // PostgreSQL client returns a row for each field and referenced field pair of multi-column keys
+         if (!fields.includes(this.wrap(foreign.field))) fields.push(this.wrap(foreign.field));
+         if (!refFields.includes(this.wrap(foreign.refField))) refFields.push(this.wrap(foreign.refField));
+         return acc;
+      }, {} as {[name: string]: { refTable: string; onUpdate: string; onDelete: string; fields: string[]; refFields: string[] }});
+
+      for (const [name, foreign] of Object.entries(groupedForeigns)) {
+         this._postTablesSql += `ALTER TABLE ${this.wrap(tableName)} ADD CONSTRAINT ${this.wrap(name)} FOREIGN KEY (${foreign.fields.join(', ')}) ` +
+            `REFERENCES ${this.wrap(foreign.refTable)} (${foreign.refFields.join(', ')}) ON UPDATE ${foreign.onUpdate} ON DELETE ${foreign.onDelete};\n`;
+      }
+
+      let createSql = `CREATE TABLE ${this.wrap(tableName)} (\n  ${definitions.join(',\n  ')}\n);`;
+      if (afterCreate.length)
+         createSql += `\n\n${afterCreate.join('\n')}`;
+
+      return createSql;
+   }
+
+   getDropTable (tableName: string) {
+      return `DROP TABLE IF EXISTS ${this.wrap(tableName)}${this._target === 'pg' ? ' CASCADE' : ''};`;
+   }
+
+   async * getTableInsert (tableName: string) {
+      let queryLength = 0;
+      let rowsWritten = 0;
+      let rowIndex = 0;
+      const { sqlInsertDivider, sqlInsertAfter } = this._options;
+      const columns = (await this.getColumns(tableName)).filter(column => !column.generated);
+      const sourceWrapper = this.sourceClient === 'mysql' ? '`' : '"';
+      const insertStmt = `INSERT INTO ${this.wrap(tableName)} (${columns.map(col => this.wrap(col.name)).join(', ')}) VALUES`;
+
+      const stream = await queryStream(
+         this._client,
+         `SELECT ${columns.map(col => `${sourceWrapper}${col.name}${sourceWrapper}`).join(', ')} FROM ${sourceWrapper}${this.schemaName}${sourceWrapper}.${sourceWrapper}${tableName}${sourceWrapper}`
+      );
+
+      for await (const row of stream) {
+         if (this.isCancelled) {
+            stream.destroy();
+            yield null;
+            return;
+         }
+
+         let sqlInsertString = '';
+
+         if (rowIndex === 0) sqlInsertString += `${insertStmt}\n\t(`;
+         else if (
+            (sqlInsertDivider === 'bytes' && queryLength >= sqlInsertAfter * 1024) ||
+            (sqlInsertDivider === 'rows' && rowsWritten === sqlInsertAfter)
+         ) {
+            sqlInsertString += `;\n${insertStmt}\n\t(`;
+            queryLength = 0;
+            rowsWritten = 0;
+         }
+         else sqlInsertString += ',\n\t(';
+
+         sqlInsertString += columns.map(column => this.formatValue(row[column.name], column)).join(', ');
+         sqlInsertString += ')';
+
+         queryLength += sqlInsertString.length;
+         rowsWritten++;
+         rowIndex++;
+         yield sqlInsertString;
+      }
+
+      if (rowIndex > 0) {
+         yield ';';
+
+         // Aligns identity sequences to the imported values
+         if (this._target === 'pg') {
+            for (const column of columns.filter(column => column.autoIncrement)) {
+               const quotedTable = this.wrap(tableName).replaceAll('\'', '\'\'');
+               this._postTablesSql += `SELECT setval(pg_get_serial_sequence('${quotedTable}', ${this.escapeAndQuote(column.name)}), ` +
+                  `COALESCE((SELECT MAX(${this.wrap(column.name)}) FROM ${this.wrap(tableName)}), 0) + 1, false);\n`;
+            }
+         }
+      }
+   }
+
+   async getColumns (tableName: string) {
+      if (!this._columns[tableName]) {
+         const columns: SourceColumn[] = await this._client.getTableColumns({ schema: this.schemaName, table: tableName });
+
+         // Serial and identity columns are not reported as auto increment by PostgreSQL client
+         if (this.sourceClient === 'pg') {
+            const { rows } = await this._client.raw(
+               `SELECT column_name AS name FROM information_schema.columns WHERE table_schema = '${this.schemaName}' AND table_name = '${tableName}' AND is_identity = 'YES'`
+            );
+            const identities = rows.map((row: { name: string }) => row.name);
+
+            for (const column of columns) {
+               if (identities.includes(column.name) || /^nextval\(/i.test(String(column.default)))
+                  column.autoIncrement = true;
+            }
+         }
+
+         this._columns[tableName] = columns;
+      }
+
+      return this._columns[tableName];
+   }
+
+   getColumnDefinition (column: SourceColumn) {
+      const type = this.getTargetType(column);
+      let definition = `${this.wrap(column.name)} ${type}`;
+
+      if (column.autoIncrement && this._target === 'pg' && ['SMALLINT', 'INTEGER', 'BIGINT'].includes(type))
+         definition += ' GENERATED BY DEFAULT AS IDENTITY';
+      else if (!column.nullable)
+         definition += ' NOT NULL';
+
+      if (column.autoIncrement && this._target === 'mysql')
+         definition += ' AUTO_INCREMENT';
+      else if (!column.autoIncrement) {
+         const defaultValue = this.getDefault(column);
+
+         // MySQL accepts only expression defaults for text, blob and json columns
+         if (defaultValue !== null && this._target === 'mysql' && /(TEXT|BLOB|JSON)$/.test(type))
+            definition += ` DEFAULT (${defaultValue})`;
+         else if (defaultValue !== null)
+            definition += ` DEFAULT ${defaultValue}`;
+      }
+
+      if (column.comment && this._target === 'mysql')
+         definition += ` COMMENT ${this.escapeAndQuote(column.comment)}`;
+
+      return definition;
+   }
+
+   /**
+    * Returns the definition of the column type in the target dialect, with length if needed
+    */
+   getTargetType (column: SourceColumn) {
+      const sourceType = column.type.toUpperCase();
+
+      if (column.isArray)
+         return this._target === 'mysql' ? 'JSON' : `${sourceType}[]`;
+
+      // Only points have a compatible representation
+      if (SPATIAL.includes(sourceType) && sourceType !== 'POINT')
+         return FALLBACK_TYPES[this._target];
+
+      let type = TYPES_MAP[this._target][sourceType] || sourceType;
+
+      if (this._target === 'pg' && column.unsigned) {
+         if (type === 'SMALLINT') type = 'INTEGER';
+         else if (type === 'INTEGER') type = 'BIGINT';
+         else if (type === 'BIGINT') return 'NUMERIC(20)';
+      }
+
+      if (!TARGET_TYPES[this._target].includes(type))
+         return FALLBACK_TYPES[this._target];
+
+      let length = FIXED_LENGTHS[sourceType] || '';
+
+      if (!length) {
+         switch (type) {
+            case 'CHAR':
+            case 'VARCHAR':
+            case 'CHARACTER':
+            case 'CHARACTER VARYING':
+               if (column.charLength) length = String(column.charLength);
+               else if (type === 'VARCHAR') return FALLBACK_TYPES[this._target];
+               break;
+            case 'DECIMAL':
+            case 'NUMERIC':
+               if (column.numPrecision) length = `${column.numPrecision},${column.numScale || 0}`;
+               else if (type === 'DECIMAL') length = '65,30';
+               break;
+            case 'BIT':
+               if (column.numPrecision || column.charLength) length = String(column.numPrecision || column.charLength);
+               break;
+            case 'DATETIME':
+            case 'TIME':
+               if (column.datePrecision) length = String(Math.min(column.datePrecision, 6));
+               break;
+         }
+      }
+
+      return length ? `${type}(${length})` : type;
+   }
+
+   /**
+    * Translates a column default, expressions not portable between dialects are discarded
+    */
+   getDefault (column: SourceColumn) {
+      if (column.default === null || column.default === undefined) return null;
+
+      let value = String(column.default).trim();
+      if (this.sourceClient === 'pg')
+         value = value.replace(/::[\w\s"]+(\[\])?$/, '').replace(/^\((.*)\)$/, '$1');
+
+      if (/^NULL$/i.test(value))
+         return null;
+      else if (/^(CURRENT_TIMESTAMP|NOW|LOCALTIMESTAMP)(\(\d*\))?$/i.test(value)) {
+         // MySQL needs the same precision of the column
+         return this._target === 'mysql' && DATETIME.includes(column.type) && column.datePrecision
+            ? `CURRENT_TIMESTAMP(${Math.min(column.datePrecision, 6)})`
+            : 'CURRENT_TIMESTAMP';
+      }
+      else if (/^(TRUE|FALSE)$/i.test(value))
+         return this._target === 'mysql' ? (value.toUpperCase() === 'TRUE' ? '1' : '0') : value.toUpperCase();
+      else if (/^[-+]?\d+(\.\d+)?$/.test(value) || /^b'[01]*'$/i.test(value))
+         return value;
+      else if (/^'(?:[^']|'')*'$/.test(value))
+         return value;
+      else if (this.sourceClient === 'mysql' && [...NUMBER, ...FLOAT].includes(column.type) && isFinite(Number(value)))
+         return value;
+
+      return null;
+   }
+
+   getIndexColumn (column: SourceColumn) {
+      // MySQL needs a prefix length to index text and blob columns
+      if (this._target === 'mysql' && /(TEXT|BLOB)$/.test(this.getTargetType(column)))
+         return `${this.wrap(column.name)}(255)`;
+
+      return this.wrap(column.name);
+   }
+
+   formatValue (val: unknown, column: SourceColumn): string {
+      if (val === null || val === undefined) return 'NULL';
+
+      if (column.isArray && Array.isArray(val))
+         return this._target === 'mysql' ? this.escapeAndQuote(JSON.stringify(val)) : `ARRAY[${val.map(item => this.formatValue(item, { ...column, isArray: false })).join(', ')}]`;
+      else if (typeof val === 'boolean')
+         return this._target === 'mysql' ? (val ? '1' : '0') : (val ? 'TRUE' : 'FALSE');
+      else if (BIT.includes(column.type)) {
+         let bits = Buffer.isBuffer(val) ? hexToBinary(val.toString('hex')) : String(val);
+         const length = column.numPrecision || column.charLength;
+         if (this._target === 'pg' && length) bits = bits.slice(-length).padStart(length, '0');
+         return `b'${bits}'`;
+      }
+      else if (Buffer.isBuffer(val) || BLOB.includes(column.type)) {
+         const hex = Buffer.from(val as Buffer).toString('hex').toUpperCase();
+         return this._target === 'mysql' ? `X'${hex}'` : `decode('${hex}', 'hex')`;
+      }
+      else if (val instanceof Date) {
+         if (DATE.includes(column.type))
+            return this.escapeAndQuote(moment(val).format('YYYY-MM-DD'));
+
+         let datePrecision = '';
+         for (let i = 0; i < column.datePrecision; i++)
+            datePrecision += i === 0 ? '.S' : 'S';
+
+         return this.escapeAndQuote(moment(val).format(`YYYY-MM-DD HH:mm:ss${datePrecision}`));
+      }
+      else if (typeof val === 'number' || typeof val === 'bigint')
+         return String(val);
+      else if (typeof val === 'string' && column.type === 'MONEY')
+         return val.replace(/[^\d.-]/g, '');
+      else if (typeof val === 'string' && [...NUMBER, ...FLOAT].includes(column.type) && val !== '' && isFinite(Number(val)))
+         return val;
+      else if (typeof val === 'string' && this._target === 'mysql' && HAS_TIMEZONE.includes(column.type)) {
+         // MySQL has no time zone aware types
+         if (TIME.includes(column.type))
+            return this.escapeAndQuote(val.replace(/[+-]\d{2}(:?\d{2})?$/, ''));
+         else if (DATETIME.includes(column.type))
+            return this.escapeAndQuote(moment(val).format('YYYY-MM-DD HH:mm:ss.SSSSSS'));
+      }
+      else if (column.type === 'POINT' && typeof val === 'object' && 'x' in val) {
+         const { x, y } = val as { x: number; y: number };
+         return this._target === 'mysql' ? `ST_GeomFromText('POINT(${x} ${y})')` : `'(${x},${y})'`;
+      }
+
+      return this.escapeAndQuote(typeof val === 'object' ? JSON.stringify(val) : String(val));
+   }
+
+   wrap (name: string) {
+      const wrapper = customizations[this._target].elementsWrapper;
+      return `${wrapper}${name.replaceAll(wrapper, wrapper + wrapper)}${wrapper}`;
+   }
+
+   escapeAndQuote (val: string) {
+      if (this._target === 'mysql')
+         // eslint-disable-next-line no-control-regex
+         return `'${val.replace(/[\0\n\r\x1a'\\]/g, char => MYSQL_ESCAPES[char])}'`;
+
+      // PostgreSQL strings can't contain NUL characters
+      return `'${val.replaceAll('\0', '').replaceAll('\'', '\'\'')}'`;
+   }
+}
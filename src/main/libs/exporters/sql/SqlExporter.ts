@@ -1,10 +1,11 @@
 import * as moment from 'moment';
 import { MySQLClient } from '../../clients/MySQLClient';
 import { PostgreSQLClient } from '../../clients/PostgreSQLClient';
+import { SQLiteClient } from '../../clients/SQLiteClient';
 import { BaseExporter } from '../BaseExporter';
 
 export class SqlExporter extends BaseExporter {
-   protected _client: MySQLClient | PostgreSQLClient;
+   protected _client: MySQLClient | PostgreSQLClient | SQLiteClient;
    protected _commentChar = '--'
    protected _postTablesSql = ''
 
@@ -13,7 +14,7 @@ export class SqlExporter extends BaseExporter {
    }
 
    get host () {
-      return this._client._params.host;
+      return 'host' in this._client._params ? this._client._params.host : undefined;
    }
 
    async getServerVersion () {
@@ -0,0 +1,186 @@
+import * as antares from 'common/interfaces/antares';
+import * as exporter from 'common/interfaces/exporter';
+import * as path from 'path';
+import { SqlExporter } from './SqlExporter';
+import { SQLiteClient } from '../../clients/SQLiteClient';
+
+export default class SqliteExporter extends SqlExporter {
+   protected _client: SQLiteClient;
+
+   constructor (client: SQLiteClient, tables: exporter.TableParams[], options: exporter.ExportOptions) {
+      super(tables, options);
+
+      this._client = client;
+   }
+
+   get host () {
+      return path.basename(this._client._params.databasePath);
+   }
+
+   async getSqlHeader () {
+      let dump = await super.getSqlHeader();
+      dump += `
+
+
+PRAGMA foreign_keys = OFF;
+BEGIN TRANSACTION;`;
+
+      return dump;
+   }
+
+   async getFooter () {
+      const footer = await super.getFooter();
+
+      return `COMMIT;
+PRAGMA foreign_keys = ON;
+
+${footer}
+`;
+   }
+
+   async getCreateTable (tableName: string) {
+      const { rows } = await this._client.raw<antares.QueryResult<{sql: string}>>(
+         `SELECT "sql" FROM "${this.schemaName}"."sqlite_master" WHERE "type" = 'table' AND "name" = '${tableName}'`
+      );
+
+      if (rows.length !== 1) return '';
+
+      let createSql = `${rows[0].sql};\n`;
+
+      // Table indexes (automatic indexes have no sql)
+      const { rows: indexes } = await this._client.raw<antares.QueryResult<{sql: string}>>(
+         `SELECT "sql" FROM "${this.schemaName}"."sqlite_master" WHERE "type" = 'index' AND "tbl_name" = '${tableName}' AND "sql" IS NOT NULL`
+      );
+
+      for (const index of indexes)
+         createSql += `\n${index.sql};`;
+
+      return createSql;
+   }
+
+   getDropTable (tableName: string) {
+      return `DROP TABLE IF EXISTS "${tableName}";`;
+   }
+
+   async * getTableInsert (tableName: string) {
+      let rowCount = 0;
+      let sqlStr = '';
+
+      const countResults = await this._client.raw(`SELECT COUNT(1) as count FROM "${this.schemaName}"."${tableName}"`);
+      if (countResults.rows.length === 1) rowCount = countResults.rows[0].count;
+
+      if (rowCount > 0) {
+         let queryLength = 0;
+         let rowsWritten = 0;
+         let rowIndex = 0;
+         const { sqlInsertDivider, sqlInsertAfter } = this._options;
+         const columns = await this._client.getTableColumns({
+            table: tableName,
+            schema: this.schemaName
+         });
+
+         const columnNames = columns.map(col => '"' + col.name + '"');
+         const insertStmt = `INSERT INTO "${tableName}" (${columnNames.join(
+            ', '
+         )}) VALUES`;
+
+         yield insertStmt;
+
+         const stream = this._queryStream(
+            `SELECT ${columnNames.join(', ')} FROM "${this.schemaName}"."${tableName}"`
+         );
+
+         for await (const row of stream) {
+            if (this.isCancelled) {
+               stream.return(null);
+               yield null;
+               return;
+            }
+
+            let sqlInsertString = '';
+
+            if (
+               (sqlInsertDivider === 'bytes' && queryLength >= sqlInsertAfter * 1024) ||
+               (sqlInsertDivider === 'rows' && rowsWritten === sqlInsertAfter)
+            ) {
+               sqlInsertString += `;\n${insertStmt}\n\t(`;
+               queryLength = 0;
+               rowsWritten = 0;
+            }
+            else if (rowIndex === 0) sqlInsertString += '\n\t(';
+            else sqlInsertString += ',\n\t(';
+
+            for (const i in columns) {
+               const column = columns[i];
+               const val = row[column.name];
+
+               if (val === null) sqlInsertString += 'NULL';
+               else if (Buffer.isBuffer(val))
+                  sqlInsertString += `X'${val.toString('hex').toUpperCase()}'`;
+               else if (typeof val === 'number' || typeof val === 'bigint')
+                  sqlInsertString += val;
+               else
+                  sqlInsertString += this.escapeAndQuote(String(val));
+
+               if (parseInt(i) !== columns.length - 1)
+                  sqlInsertString += ', ';
+            }
+
+            sqlInsertString += ')';
+
+            queryLength += sqlInsertString.length;
+            rowsWritten++;
+            rowIndex++;
+            yield sqlInsertString;
+         }
+
+         sqlStr = ';\n\n';
+
+         yield sqlStr;
+      }
+   }
+
+   async getViews () {
+      const { rows: views } = await this._client.raw<antares.QueryResult<{name: string; sql: string}>>(
+         `SELECT "name", "sql" FROM "${this.schemaName}"."sqlite_master" WHERE "type" = 'view'`
+      );
+      let sqlString = '';
+
+      for (const view of views) {
+         sqlString += `DROP VIEW IF EXISTS "${view.name}";\n`;
+         sqlString += `${view.sql};\n\n`;
+      }
+
+      return sqlString;
+   }
+
+   async getTriggers () {
+      const { rows: triggers } = await this._client.raw<antares.QueryResult<{name: string; sql: string}>>(
+         `SELECT "name", "sql" FROM "${this.schemaName}"."sqlite_master" WHERE "type" = 'trigger'`
+      );
+      let sqlString = '';
+
+      for (const trigger of triggers) {
+         sqlString += `DROP TRIGGER IF EXISTS "${trigger.name}";\n`;
+         sqlString += `${trigger.sql};\n\n`;
+      }
+
+      return sqlString;
+   }
+
+   * _queryStream (sql: string): Generator<{[key: string]: unknown}, void, undefined> {
+      if (process.env.NODE_ENV === 'development') console.log('EXPORTER:', sql);
+      const connection = this._client.getConnection();
+
+      try {
+         yield * connection.prepare(sql).iterate() as IterableIterator<{[key: string]: unknown}>;
+      }
+      finally {
+         connection.close();
+      }
+   }
+
+   escapeAndQuote (val: string) {
+      return `'${val.replaceAll('\'', '\'\'')}'`;
+   }
+}
@@ -0,0 +1,44 @@
+import { TableDataExporter } from '../TableDataExporter';
+import { XlsxWriter } from '../XlsxWriter';
+
+export default class XlsxExporter extends TableDataExporter {
+   async dump () {
+      const tables = this._tables.filter(t => t.includeContent);
+      const xlsx = new XlsxWriter(this._processedStream);
+
+      const exportState = {
+         totalItems: tables.length,
+         currentItemIndex: 0,
+         currentItem: '',
+         op: ''
+      };
+
+      for (const item of tables) {
+         // user abort operation
+         if (this.isCancelled) return;
+
+         exportState.currentItemIndex++;
+         exportState.currentItem = item.table;
+         exportState.op = 'FETCH';
+         this.emitUpdate(exportState);
+
+         const columns = await this._client.getTableColumns({
+            table: item.table,
+            schema: this.schemaName
+         });
+
+         exportState.op = 'WRITE';
+         this.emitUpdate(exportState);
+
+         xlsx.addSheet(item.table, columns);
+
+         for await (const row of this.queryTableRows(item.table, columns))
+            await xlsx.addRow(columns.map(column => row[column.name]));
+
+         await xlsx.endSheet();
+      }
+
+      if (!this.isCancelled)
+         await xlsx.finalize();
+   }
+}
@@ -0,0 +1,186 @@
+import * as antares from 'common/interfaces/antares';
+import * as importer from 'common/interfaces/importer';
+import fs from 'fs/promises';
+import { TEXT, LONG_TEXT, NUMBER, FLOAT, BOOLEAN, BLOB, BIT, SPATIAL } from 'common/fieldTypes';
+import CSVParser, { CSVRecord } from '../../parsers/CSVParser';
+import { BaseImporter } from '../BaseImporter';
+
+export default class CsvImporter extends BaseImporter {
+   protected _client: antares.Client;
+   protected _options: importer.CsvImportOptions;
+
+   constructor (client: antares.Client, options: importer.CsvImportOptions) {
+      super(options);
+      this._client = client;
+   }
+
+   async import (): Promise<void> {
+      const { size: totalFileSize } = await fs.stat(this._options.file);
+      const { schema, table, mapping, header } = this._options;
+      const parser = new CSVParser({
+         delimiter: this._options.delimiter,
+         quote: this._options.quote,
+         encoding: this._options.encoding
+      });
+      const columns = await this._client.getTableColumns({ schema, table });
+      const fields = Object.keys(mapping).filter(field => mapping[field] !== null && columns.some(col => col.name === field));
+      const fieldTypes = fields.reduce((acc, field) => {
+         acc[field] = columns.find(col => col.name === field).type;
+         return acc;
+      }, {} as {[key: string]: string});
+      const batchSize = this._client.insertBatchSize(fields.length);
+
+      let readPosition = 0;
+      let recordIndex = 0;
+      let rowCount = 0;
+      let queryCount = 0;
+      let batch: { line: number; row: {[key: string]: unknown} }[] = [];
+
+      this.emitUpdate({
+         fileSize: totalFileSize,
+         readPosition: 0,
+         percentage: 0,
+         queryCount: 0,
+         rowCount: 0
+      });
+
+      const insertBatch = async () => {
+         if (!batch.length) return;
+
+         try {
+            queryCount++;
+            await this._client
+               .schema(schema)
+               .into(table)
+               .insert(batch.map(item => this.bindRow(item.row, fieldTypes)))
+               .run();
+            rowCount += batch.length;
+         }
+         catch (err) {
+            // Retries row by row to report which lines are failing
+            for (const item of batch) {
+               try {
+                  queryCount++;
+                  await this._client
+                     .schema(schema)
+                     .into(table)
+                     .insert([this.bindRow(item.row, fieldTypes)])
+                     .run();
+                  rowCount++;
+               }
+               catch (err) {
+                  this.emitRowError(item.line, err);
+               }
+            }
+         }
+
+         batch = [];
+
+         this.emitUpdate({
+            queryCount,
+            rowCount,
+            readPosition,
+            percentage: readPosition / totalFileSize * 100
+         });
+      };
+
+      this._fileHandler.on('data', chunk => {
+         readPosition += chunk.length;
+      });
+
+      this._fileHandler.pipe(parser);
+
+      for await (const record of parser as AsyncIterable<CSVRecord>) {
+         if (this.isCancelled) break;
+
+         recordIndex++;
+         if (header && recordIndex === 1) continue;
+
+         try {
+            const row: {[key: string]: unknown} = {};
+            for (const field of fields)
+               row[field] = this.parseValue(record[mapping[field]], fieldTypes[field]);
+
+            batch.push({ line: record.line, row });
+         }
+         catch (err) {
+            this.emitRowError(record.line, err);
+         }
+
+         if (batch.length >= batchSize)
+            await insertBatch();
+      }
+
+      if (!this.isCancelled)
+         await insertBatch();
+   }
+
+   emitRowError (line: number, err: Error) {
+      this.emit('query-error', {
+         message: `Line ${line}: ${err.message || err.toString()}`,
+         time: new Date().getTime()
+      });
+   }
+
+   /**
+    * Converts a CSV value in the value to bind for the type of the destination field
+    */
+   parseValue (value: string | undefined, type: string): unknown {
+      const isText = [...TEXT, ...LONG_TEXT].includes(type);
+
+      if (value === undefined || value === this._options.nullMarker || (value === '' && !isText))
+         return null;
+
+      if (NUMBER.includes(type)) {
+         if (!/^[-+]?\d+$/.test(value.trim()))
+            throw new Error(`"${value}" is not a valid ${type} value`);
+         return value.trim();
+      }
+      else if (FLOAT.includes(type)) {
+         if (value.trim() === '' || isNaN(Number(value)))
+            throw new Error(`"${value}" is not a valid ${type} value`);
+         return value.trim();
+      }
+      else if (BOOLEAN.includes(type)) {
+         if (['true', 't', 'yes', 'y', '1'].includes(value.trim().toLowerCase()))
+            return 1;
+         else if (['false', 'f', 'no', 'n', '0'].includes(value.trim().toLowerCase()))
+            return 0;
+         throw new Error(`"${value}" is not a valid ${type} value`);
+      }
+      else if (BIT.includes(type)) {
+         if (!/^[01]+$/.test(value.trim()))
+            throw new Error(`"${value}" is not a valid ${type} value`);
+         return value.trim();
+      }
+      else if (BLOB.includes(type)) {
+         return /^(0x)?([0-9a-f]{2})*$/i.test(value)
+            ? Buffer.from(value.replace(/^0x/i, ''), 'hex')
+            : Buffer.from(value);
+      }
+
+      return value;
+   }
+
+   /**
+    * Binds the values of a row, returning the SQL value of each field
+    */
+   bindRow (row: {[key: string]: unknown}, fieldTypes: {[key: string]: string}) {
+      const values: {[key: string]: string} = {};
+
+      for (const field in row) {
+         const type = fieldTypes[field];
+
+         if (row[field] === null)
+            values[field] = 'NULL';
+         else {
+            const placeholder = this._client.param(this._client._parseParam(row[field], type));
+            values[field] = SPATIAL.includes(type) && ['mysql', 'maria'].includes(this._client._client)
+               ? `ST_GeomFromText(${placeholder})`
+               : placeholder;
+         }
+      }
+
+      return values;
+   }
+}
@@ -0,0 +1,102 @@
+import { Transform, TransformCallback, TransformOptions } from 'stream';
+import { StringDecoder } from 'string_decoder';
+
+/** Values of a record, with the file line where it starts */
+export type CSVRecord = string[] & { line: number };
+
+export default class CSVParser extends Transform {
+   private _decoder: StringDecoder;
+   private _field: string;
+   private _record: string[];
+   private _isQuoted: boolean;
+   private _lastChar: string;
+   private _line: number;
+   private _recordLine: number;
+
+   encoding: BufferEncoding;
+   delimiter: string;
+   quote: string;
+
+   constructor (opts?: TransformOptions & { delimiter?: string; quote?: string }) {
+      const { delimiter = ',', quote = '"', encoding = 'utf8', ...streamOpts } = opts || {};
+      // The encoding is only used to decode the input, records are pushed as arrays
+      super({
+         writableObjectMode: true,
+         readableObjectMode: true,
+         ...streamOpts
+      });
+      this.encoding = encoding;
+      this.delimiter = delimiter;
+      this.quote = quote;
+      this._decoder = new StringDecoder(this.encoding);
+      this._field = '';
+      this._record = [];
+      this._isQuoted = false;
+      this._lastChar = '';
+      this._line = 1;
+      this._recordLine = 1;
+   }
+
+   _transform (chunk: Buffer, encoding: BufferEncoding, next: TransformCallback) {
+      for (const char of this._decoder.write(chunk))
+         this.parseChar(char);
+
+      next();
+   }
+
+   _flush (next: TransformCallback) {
+      for (const char of this._decoder.end())
+         this.parseChar(char);
+
+      if (this._field !== '' || this._record.length)
+         this.pushRecord();
+
+      next();
+   }
+
+   parseChar (char: string) {
+      const lastChar = this._lastChar;
+      this._lastChar = char;
+
+      if (this._isQuoted) {
+         if (char === this.quote)
+            this._isQuoted = false;
+         else {
+            if (char === '\r' || (char === '\n' && lastChar !== '\r'))
+               this._line++;
+            this._field += char;
+         }
+      }
+      else if (char === this.quote) {
+         // A doubled quote inside a quoted field is an escaped quote
+         if (lastChar === this.quote)
+            this._field += char;
+         this._isQuoted = true;
+      }
+      else if (char === this.delimiter) {
+         this._record.push(this._field);
+         this._field = '';
+      }
+      else if (char === '\n') {
+         if (lastChar !== '\r')
+            this.pushRecord();
+      }
+      else if (char === '\r')
+         this.pushRecord();
+      else if (char !== '\uFEFF' || this._field !== '' || this._record.length) // Skips BOM
+         this._field += char;
+   }
+
+   pushRecord () {
+      this._record.push(this._field);
+
+      // Skips empty lines
+      if (this._record.length > 1 || this._record[0] !== '')
+         this.push(Object.assign(this._record, { line: this._recordLine }));
+
+      this._field = '';
+      this._record = [];
+      this._line++;
+      this._recordLine = this._line;
+   }
+}
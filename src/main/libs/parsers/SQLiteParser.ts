@@ -0,0 +1,139 @@
+import { Transform, TransformCallback, TransformOptions } from 'stream';
+
+export default class SQLiteParser extends Transform {
+   private _buffer: string;
+   private _lastChar: string;
+   private _word: string;
+   private _statementWords: string[];
+   private _isTrigger: boolean;
+   private _blockDepth: number;
+   private _isSingleLineComment: boolean;
+   private _isMultiLineComment: boolean;
+
+   encoding: BufferEncoding;
+   delimiter: string;
+   currentQuote: string;
+
+   constructor (opts?: TransformOptions & { delimiter: string }) {
+      opts = {
+         delimiter: ';',
+         encoding: 'utf8',
+         writableObjectMode: true,
+         readableObjectMode: true,
+         ...opts
+      };
+      super(opts);
+      this._buffer = '';
+      this._lastChar = '';
+      this._word = '';
+      this._statementWords = [];
+      this.encoding = opts.encoding;
+      this.delimiter = opts.delimiter;
+
+      this.currentQuote = null;
+      this._isTrigger = false;
+      this._blockDepth = 0;
+      this._isSingleLineComment = false;
+      this._isMultiLineComment = false;
+   }
+
+   get _isComment () {
+      return this._isSingleLineComment || this._isMultiLineComment;
+   }
+
+   _transform (chunk: Buffer, encoding: BufferEncoding, next: TransformCallback) {
+      for (const char of chunk.toString(this.encoding)) {
+         const prevChar = this._lastChar;
+         this._buffer += char;
+         this._lastChar = char;
+
+         this.checkComment(char, prevChar);
+         if (this._isComment) continue;
+
+         this.checkQuote(char);
+         if (this.currentQuote !== null) continue;
+
+         this.checkWord(char);
+         const query = this.getQuery(char);
+
+         if (query)
+            this.push(query);
+      }
+      next();
+   }
+
+   _flush (next: TransformCallback) {
+      if (this._statementWords.length)
+         this.push(this._buffer.trim());
+      next();
+   }
+
+   checkComment (char: string, prevChar: string) {
+      if (this.currentQuote !== null) return;
+
+      if (this._isSingleLineComment) {
+         if (char === '\n' || char === '\r')
+            this._isSingleLineComment = false;
+      }
+      else if (this._isMultiLineComment) {
+         if (prevChar === '*' && char === '/') {
+            this._isMultiLineComment = false;
+            this._lastChar = ''; // Avoids "*/*" to be read as a new comment
+         }
+      }
+      else if (prevChar === '-' && char === '-')
+         this._isSingleLineComment = true;
+      else if (prevChar === '/' && char === '*')
+         this._isMultiLineComment = true;
+   }
+
+   checkQuote (char: string) {
+      // SQLite escapes quotes doubling them, so a closed quote followed by the same char simply reopens it
+      if (this.currentQuote !== null) {
+         if (char === this.currentQuote)
+            this.currentQuote = null;
+      }
+      else if (char === '\'' || char === '"' || char === '`')
+         this.currentQuote = char;
+      else if (char === '[')
+         this.currentQuote = ']';
+   }
+
+   /**
+    * Keeps track of BEGIN...END blocks inside trigger bodies, where delimiters don't close the statement
+    */
+   checkWord (char: string) {
+      if (/\w/.test(char)) {
+         this._word += char.toUpperCase();
+         return;
+      }
+
+      if (!this._word) return;
+
+      if (this._statementWords.length < 3) {
+         this._statementWords.push(this._word);
+         const [first, second, third] = this._statementWords;
+         this._isTrigger = first === 'CREATE' && (second === 'TRIGGER' || (['TEMP', 'TEMPORARY'].includes(second) && third === 'TRIGGER'));
+      }
+      else if (this._isTrigger) {
+         if (this._word === 'BEGIN' || this._word === 'CASE')
+            this._blockDepth++;
+         else if (this._word === 'END' && this._blockDepth > 0)
+            this._blockDepth--;
+      }
+
+      this._word = '';
+   }
+
+   getQuery (char: string) {
+      if (char !== this.delimiter || this._blockDepth > 0)
+         return false;
+
+      const query = this._statementWords.length ? this._buffer.trim() : false;
+      this._buffer = '';
+      this._statementWords = [];
+      this._isTrigger = false;
+
+      return query;
+   }
+}
@@ -0,0 +1,188 @@
+import * as antares from 'common/interfaces/antares';
+import * as searcher from 'common/interfaces/searcher';
+import * as EventEmitter from 'events';
+import * as moment from 'moment';
+import { FilterGroup } from 'common/interfaces/tableApis';
+import { BIT, BLOB, DATE, DATETIME, FLOAT, LONG_TEXT, NUMBER, SPATIAL, TEXT, TIME } from 'common/fieldTypes';
+import getRowKeys from 'common/libs/getRowKeys';
+
+interface SearchColumn {
+   name: string;
+   type: string;
+   nullable: boolean;
+}
+
+const getColumnType = (type: string): searcher.SearchColumnType => {
+   if ([...TEXT, ...LONG_TEXT].includes(type)) return 'text';
+   if ([...NUMBER, ...FLOAT].includes(type)) return 'number';
+   if ([...DATE, ...TIME, ...DATETIME].includes(type)) return 'date';
+   return 'other';
+};
+
+/**
+ * Converts a pattern where the given characters are wildcards to a case-insensitive regular expression
+ */
+const patternToRegExp = (pattern: string, any: string, single: string) => {
+   const source = pattern
+      .split('')
+      .map(char => {
+         if (char === any) return '.*';
+         if (char === single) return '.';
+         return char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+
+   return new RegExp(`^${source}$`, 'is');
+};
+
+/**
+ * Searches a value in the rows of every table of a schema
+ */
+export class DataSearcher extends EventEmitter {
+   protected _client: antares.Client;
+   protected _options: searcher.SearchOptions;
+   protected _isCancelled: boolean;
+   protected _state: searcher.SearchState;
+
+   constructor (client: antares.Client, options: searcher.SearchOptions) {
+      super();
+      this._client = client;
+      this._options = options;
+      this._isCancelled = false;
+      this._state = {};
+   }
+
+   get isCancelled () {
+      return this._isCancelled;
+   }
+
+   get tables () {
+      const { tables, tablePattern } = this._options;
+      if (!tablePattern) return tables;
+
+      const regExp = patternToRegExp(tablePattern, '*', '?');
+      return tables.filter(table => regExp.test(table));
+   }
+
+   async run () {
+      try {
+         this.emit('start', this);
+         await this.search();
+      }
+      catch (err) {
+         this.emit('error', err);
+         throw err;
+      }
+      finally {
+         this.emit('end');
+      }
+   }
+
+   cancel () {
+      this._isCancelled = true;
+      this.emit('cancel');
+   }
+
+   emitUpdate (state: searcher.SearchState) {
+      this._state = { ...this._state, ...state };
+      this.emit('progress', this._state);
+   }
+
+   async search () {
+      const tables = this.tables;
+      let hitCount = 0;
+
+      this.emitUpdate({ totalTables: tables.length, searchedTables: 0, hitCount, percentage: 0, errors: [] });
+
+      for (const [index, table] of tables.entries()) {
+         if (this.isCancelled) return;
+
+         this.emitUpdate({ currentTable: table });
+
+         try { // A table that can't be searched doesn't stop the others
+            const hits = await this.searchTable(table);
+
+            if (hits.length) {
+               hitCount += hits.length;
+               this.emit('hits', hits);
+            }
+         }
+         catch (err) {
+            this.emitUpdate({ errors: [...this._state.errors, `${table}: ${err.toString()}`] });
+         }
+
+         this.emitUpdate({
+            searchedTables: index + 1,
+            hitCount,
+            percentage: (index + 1) / tables.length * 100
+         });
+      }
+
+      this.emitUpdate({ currentTable: null, percentage: 100 });
+   }
+
+   async searchTable (table: string): Promise<searcher.SearchHit[]> {
+      const { schema, term, mode, columnTypes, maxHits } = this._options;
+      const tableColumns = await this._client.getTableColumns({ schema, table }) as SearchColumn[];
+      const columns = tableColumns
+         .filter(column => ![...BLOB, ...BIT, ...SPATIAL].includes(column.type))
+         .filter(column => columnTypes.includes(getColumnType(column.type)));
+
+      if (!columns.length) return [];
+
+      const indexes = await this._client.getTableIndexes({ schema, table }) as { name: string; column: string; type: string }[];
+      const keys: string[] = getRowKeys(indexes, tableColumns);
+      const fields = [...new Set([...keys, ...columns.map(column => column.name)])];
+      const filters: FilterGroup = {
+         type: 'group',
+         operator: 'OR',
+         children: columns.map(column => ({
+            type: 'rule',
+            field: column.name,
+            op: mode === 'pattern' ? 'ILIKE' : 'CONTAINS',
+            values: [term]
+         }))
+      };
+
+      const { rows } = await this._client
+         .select(...fields.map(field => this._client._wrapIdentifier(field)))
+         .schema(schema)
+         .from(table)
+         .filter(filters)
+         .limit(maxHits)
+         .run<{[key: string]: unknown}>();
+
+      return rows.map(row => {
+         const column = columns.find(column => this.isMatch(row[column.name], column.type));
+
+         return {
+            table,
+            column: column ? column.name : null,
+            value: column ? row[column.name] : null,
+            keys: keys.length ? keys.reduce((acc, key) => ({ ...acc, [key]: row[key] }), {}) : null
+         };
+      });
+   }
+
+   /**
+    * Tells if a returned value is the one that matched, the database compares it as text
+    */
+   isMatch (value: unknown, type: string) {
+      if (value === null || value === undefined) return false;
+
+      let text: string;
+
+      if (value instanceof Date)
+         text = moment(value).format(DATE.includes(type) ? 'YYYY-MM-DD' : 'YYYY-MM-DD HH:mm:ss');
+      else if (typeof value === 'object')
+         text = JSON.stringify(value);
+      else
+         text = String(value);
+
+      const { term, mode } = this._options;
+
+      return mode === 'pattern'
+         ? patternToRegExp(term, '%', '_').test(text)
+         : text.toLowerCase().includes(term.toLowerCase());
+   }
+}
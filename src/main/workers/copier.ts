@@ -0,0 +1,77 @@
+import * as antares from 'common/interfaces/antares';
+import { ClientsFactory } from '../libs/ClientsFactory';
+import { TableCopier } from '../libs/copiers/TableCopier';
+let copier: TableCopier;
+let connections: antares.Client[] = [];
+
+const destroyConnections = () => {
+   for (const connection of connections)
+      connection.destroy();
+   connections = [];
+};
+
+process.on('message', async ({ type, source, target, options }) => {
+   if (type === 'init') {
+      try {
+         const sourceConnection = await ClientsFactory.getClient({
+            client: source.name,
+            params: source.config,
+            poolSize: 1
+         }) as antares.Client;
+         await sourceConnection.connect();
+         connections.push(sourceConnection);
+
+         const targetConnection = await ClientsFactory.getClient({
+            client: target.name,
+            params: target.config,
+            poolSize: 1
+         }) as antares.Client;
+         await targetConnection.connect();
+         connections.push(targetConnection);
+
+         const isSameDatabase = source.name === 'sqlite' && target.name === 'sqlite' && source.config.databasePath === target.config.databasePath;
+         copier = new TableCopier(sourceConnection, targetConnection, options, isSameDatabase);
+      }
+      catch (err) {
+         console.error(err);
+         process.send({
+            type: 'error',
+            payload: err.toString()
+         });
+         destroyConnections();
+         return;
+      }
+
+      copier.once('error', err => {
+         console.error(err);
+         process.send({
+            type: 'error',
+            payload: err.toString()
+         });
+      });
+
+      copier.once('end', () => {
+         process.send({
+            type: 'end',
+            payload: { cancelled: copier.isCancelled }
+         });
+      });
+
+      copier.once('cancel', () => {
+         process.send({ type: 'cancel' });
+      });
+
+      copier.on('progress', state => {
+         process.send({
+            type: 'copy-progress',
+            payload: state
+         });
+      });
+
+      copier.run()
+         .catch(() => null)
+         .finally(destroyConnections);
+   }
+   else if (type === 'cancel')
+      copier?.cancel();
+});
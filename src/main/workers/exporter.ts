@@ -1,10 +1,15 @@
 import * as antares from 'common/interfaces/antares';
-import * as fs from 'fs';
 import { MySQLClient } from '../libs/clients/MySQLClient';
 import { PostgreSQLClient } from '../libs/clients/PostgreSQLClient';
+import { SQLiteClient } from '../libs/clients/SQLiteClient';
 import { ClientsFactory } from '../libs/ClientsFactory';
 import MysqlExporter from '../libs/exporters/sql/MysqlExporter';
 import PostgreSQLExporter from '../libs/exporters/sql/PostgreSQLExporter';
+import CsvExporter from '../libs/exporters/csv/CsvExporter';
+import JsonExporter from '../libs/exporters/json/JsonExporter';
+import XlsxExporter from '../libs/exporters/xlsx/XlsxExporter';
+import SqliteExporter from '../libs/exporters/sql/SqliteExporter';
+import ConversionExporter from '../libs/exporters/sql/ConversionExporter';
 let exporter: antares.Exporter;
 
 process.on('message', async ({ type, client, tables, options }) => {
@@ -13,23 +18,36 @@ process.on('message', async ({ type, client, tables, options }) => {
          client: client.name,
          params: client.config,
          poolSize: 5
-      }) as MySQLClient | PostgreSQLClient;
+      }) as MySQLClient | PostgreSQLClient | SQLiteClient;
       await connection.connect();
 
-      switch (client.name) {
-         case 'mysql':
-         case 'maria':
-            exporter = new MysqlExporter(connection as MySQLClient, tables, options);
-            break;
-         case 'pg':
-            exporter = new PostgreSQLExporter(connection as PostgreSQLClient, tables, options);
-            break;
-         default:
-            process.send({
-               type: 'error',
-               payload: `"${client.name}" exporter not aviable`
-            });
-            return;
+      if (['csv', 'csv.zip'].includes(options.outputFormat))
+         exporter = new CsvExporter(connection, tables, options);
+      else if (['json', 'json.zip', 'ndjson', 'ndjson.zip'].includes(options.outputFormat))
+         exporter = new JsonExporter(connection, tables, options);
+      else if (options.outputFormat === 'xlsx')
+         exporter = new XlsxExporter(connection, tables, options);
+      else if (options.targetClient && ['mysql', 'maria', 'pg'].includes(client.name))
+         exporter = new ConversionExporter(connection as MySQLClient | PostgreSQLClient, tables, options);
+      else {
+         switch (client.name) {
+            case 'mysql':
+            case 'maria':
+               exporter = new MysqlExporter(connection as MySQLClient, tables, options);
+               break;
+            case 'pg':
+               exporter = new PostgreSQLExporter(connection as PostgreSQLClient, tables, options);
+               break;
+            case 'sqlite':
+               exporter = new SqliteExporter(connection as SQLiteClient, tables, options);
+               break;
+            default:
+               process.send({
+                  type: 'error',
+                  payload: `"${client.name}" exporter not aviable`
+               });
+               return;
+         }
       }
 
       exporter.once('error', err => {
@@ -49,7 +67,7 @@ process.on('message', async ({ type, client, tables, options }) => {
       });
 
       exporter.once('cancel', () => {
-         fs.unlinkSync(exporter.outputFile);
+         exporter.removeOutput();
          process.send({ type: 'cancel' });
       });
 
@@ -3,12 +3,15 @@ import * as pg from 'pg';
 import * as mysql from 'mysql2';
 import { MySQLClient } from '../libs/clients/MySQLClient';
 import { PostgreSQLClient } from '../libs/clients/PostgreSQLClient';
+import { SQLiteClient } from '../libs/clients/SQLiteClient';
 import { ClientsFactory } from '../libs/ClientsFactory';
+import CsvImporter from '../libs/importers/csv/CsvImporter';
 import MySQLImporter from '../libs/importers/sql/MySQLlImporter';
 import PostgreSQLImporter from '../libs/importers/sql/PostgreSQLImporter';
+import SQLiteImporter from '../libs/importers/sql/SQLiteImporter';
 let importer: antares.Importer;
 
-process.on('message', async ({ type, dbConfig, options }) => {
+process.on('message', async ({ type, format, dbConfig, options }) => {
    if (type === 'init') {
       const connection = await ClientsFactory.getClient({
          client: options.type,
@@ -17,24 +20,31 @@ process.on('message', async ({ type, dbConfig, options }) => {
             schema: options.schema
          },
          poolSize: 1
-      }) as MySQLClient | PostgreSQLClient;
+      }) as MySQLClient | PostgreSQLClient | SQLiteClient;
 
-      const pool = await connection.getConnectionPool();
-
-      switch (options.type) {
-         case 'mysql':
-         case 'maria':
-            importer = new MySQLImporter(pool as unknown as mysql.Pool, options);
-            break;
-         case 'pg':
-            importer = new PostgreSQLImporter(pool as unknown as pg.PoolClient, options);
-            break;
-         default:
-            process.send({
-               type: 'error',
-               payload: `"${options.type}" importer not aviable`
-            });
-            return;
+      if (format === 'csv') {
+         await connection.connect();
+         importer = new CsvImporter(connection, options);
+      }
+      else {
+         switch (options.type) {
+            case 'mysql':
+            case 'maria':
+               importer = new MySQLImporter(await (connection as MySQLClient).getConnectionPool() as unknown as mysql.Pool, options);
+               break;
+            case 'pg':
+               importer = new PostgreSQLImporter(await (connection as PostgreSQLClient).getConnectionPool() as unknown as pg.PoolClient, options);
+               break;
+            case 'sqlite':
+               importer = new SQLiteImporter((connection as SQLiteClient).getConnection(), options);
+               break;
+            default:
+               process.send({
+                  type: 'error',
+                  payload: `"${options.type}" importer not aviable`
+               });
+               return;
+         }
       }
 
       importer.once('error', err => {
@@ -0,0 +1,64 @@
+import * as antares from 'common/interfaces/antares';
+import { ClientsFactory } from '../libs/ClientsFactory';
+import { DataSearcher } from '../libs/searchers/DataSearcher';
+let searcher: DataSearcher;
+
+process.on('message', async ({ type, client, options }) => {
+   if (type === 'init') {
+      try {
+         const connection = await ClientsFactory.getClient({
+            client: client.name,
+            params: client.config,
+            poolSize: 1
+         }) as antares.Client;
+
+         await connection.connect();
+         searcher = new DataSearcher(connection, options);
+      }
+      catch (err) {
+         console.error(err);
+         process.send({
+            type: 'error',
+            payload: err.toString()
+         });
+         return;
+      }
+
+      searcher.once('error', err => {
+         console.error(err);
+         process.send({
+            type: 'error',
+            payload: err.toString()
+         });
+      });
+
+      searcher.once('end', () => {
+         process.send({
+            type: 'end',
+            payload: { cancelled: searcher.isCancelled }
+         });
+      });
+
+      searcher.once('cancel', () => {
+         process.send({ type: 'cancel' });
+      });
+
+      searcher.on('progress', state => {
+         process.send({
+            type: 'search-progress',
+            payload: state
+         });
+      });
+
+      searcher.on('hits', hits => {
+         process.send({
+            type: 'search-hits',
+            payload: hits
+         });
+      });
+
+      searcher.run().catch(() => null);
+   }
+   else if (type === 'cancel')
+      searcher?.cancel();
+});
@@ -139,7 +139,32 @@ module.exports = {
       commit: 'Commit',
       rollback: 'Rollback',
       connectionString: 'Connection string',
-      contributors: 'Contributors'
+      contributors: 'Contributors',
+      column: 'Column | Columns',
+      delimiter: 'Delimiter',
+      quote: 'Quote',
+      encoding: 'Encoding',
+      comma: 'Comma',
+      semicolon: 'Semicolon',
+      tab: 'Tab',
+      apply: 'Apply',
+      undo: 'Undo',
+      redo: 'Redo',
+      text: 'Text',
+      number: 'Number',
+      date: 'Date',
+      other: 'Other',
+      value: 'Value',
+      search: 'Search',
+      explain: 'Explain',
+      cost: 'Cost',
+      favorites: 'Favorites',
+      folder: 'Folder',
+      tags: 'Tags',
+      description: 'Description',
+      status: 'Status',
+      success: 'Success',
+      error: 'Error'
    },
    message: {
       appWelcome: 'Welcome to Antares SQL Client!',
@@ -288,7 +313,81 @@ module.exports = {
       singleFile: 'Single {ext} file',
       zipCompressedFile: 'ZIP compressed {ext} file',
       disableBlur: 'Disable blur',
-      untrustedConnection: 'Untrusted connection'
+      untrustedConnection: 'Untrusted connection',
+      importCsv: 'Import CSV',
+      csvColumn: 'CSV column',
+      firstValue: 'First value',
+      doNotImport: 'Do not import',
+      nullMarker: 'NULL marker',
+      firstRowIsHeader: 'First row is header',
+      importedRows: '{n} row imported | {n} rows imported',
+      oneFilePerTable: 'One {ext} file per table',
+      nullValue: 'NULL value',
+      lineEnding: 'Line ending',
+      includeHeader: 'Include header',
+      quoteAllValues: 'Quote all values',
+      convertTo: 'Convert to',
+      sameAsSource: 'Same as source',
+      copyToConnection: 'Copy to connection',
+      targetConnection: 'Target connection',
+      ifTableExists: 'If table exists',
+      dropAndRecreate: 'Drop and recreate',
+      appendRows: 'Append rows',
+      rowsPerBatch: 'Rows per batch',
+      sameSourceAndTarget: 'Source and target tables are the same',
+      foreignKeysNotCopied: 'Foreign keys are not copied',
+      creatingTable: 'Creating {table}',
+      copyingRows: 'Copying rows',
+      copiedRows: '{n} row copied | {n} rows copied',
+      stageChanges: 'Stage changes',
+      stageChangesInfo: 'Edits, inserts and deletes are collected and applied together in a single transaction',
+      reviewChanges: 'Review changes',
+      pendingChanges: 'No pending changes | {n} pending change | {n} pending changes',
+      goToReferencedRow: 'Go to referenced row',
+      showReferencingRows: 'Show referencing rows',
+      noResults: 'No results',
+      negateGroup: 'Negate group',
+      addFilter: 'Add filter',
+      addFilterGroup: 'Add filter group',
+      contains: 'contains',
+      startsWith: 'starts with',
+      filterPresets: 'Filter presets',
+      presetName: 'Preset name',
+      savePreset: 'Save preset',
+      deletePreset: 'Delete preset',
+      searchInTable: 'Search in table',
+      searchDataInSchema: 'Search data in schema',
+      searchTerm: 'Search term',
+      matchesPattern: 'matches pattern',
+      tableNamePattern: 'All tables, or a name pattern like customer_*',
+      columnTypes: 'Column types',
+      hitsPerTable: 'Hits per table',
+      hitsFound: 'No hits | {n} hit | {n} hits',
+      searchingTable: 'Searching {table}',
+      tablesNotSearched: '{n} table not searched | {n} tables not searched',
+      openRow: 'Open row',
+      runStatement: 'Run statement',
+      runSelection: 'Run selection',
+      explainPlan: 'Explain plan',
+      fullScan: 'Full scan',
+      estimatedRows: 'Estimated rows',
+      actualRows: 'Actual rows',
+      actualTime: 'Actual time',
+      analyzeQuery: 'Runs the statement to get actual rows and times, its changes are rolled back',
+      saveToFavorites: 'Save to favorites',
+      editFavorite: 'Edit favorite',
+      commaSeparatedTags: 'Comma separated tags',
+      anyConnection: 'Any connection',
+      unknownConnection: 'Unknown connection',
+      noFolder: 'No folder',
+      openInNewTab: 'Open in a new tab',
+      thereAreNoFavoritesYet: 'There are no favorites yet',
+      favoritesImported: 'No favorites imported | {n} favorite imported | {n} favorites imported',
+      fromDate: 'From date',
+      toDate: 'To date',
+      queryHistorySize: 'Query history size (per connection)',
+      reduceHistorySize: 'Reduce history size',
+      reduceHistorySizeConfirm: 'The queries beyond the latest {size} will be permanently deleted from the history of every connection. Do you want to continue?'
    },
    faker: {
       address: 'Address',
@@ -13,4 +13,8 @@ export default class {
    static getDownloadPathDirectory () {
       return ipcRenderer.invoke('get-download-dir-path');
    }
+
+   static getXlsxFile (params) {
+      return ipcRenderer.invoke('get-xlsx-file', params);
+   }
 }
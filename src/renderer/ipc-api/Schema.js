@@ -70,6 +70,10 @@ export default class {
       return ipcRenderer.invoke('raw-query', params);
    }
 
+   static explainQuery (params) {
+      return ipcRenderer.invoke('explain-query', params);
+   }
+
    static export (params) {
       return ipcRenderer.invoke('export', params);
    }
@@ -82,7 +86,31 @@ export default class {
       return ipcRenderer.invoke('import-sql', params);
    }
 
+   static importCsv (params) {
+      return ipcRenderer.invoke('import-csv', params);
+   }
+
+   static getCsvPreview (params) {
+      return ipcRenderer.invoke('get-csv-preview', params);
+   }
+
    static abortImport () {
       return ipcRenderer.invoke('abort-import-sql');
    }
+
+   static copyTable (params) {
+      return ipcRenderer.invoke('copy-table', params);
+   }
+
+   static abortCopyTable () {
+      return ipcRenderer.invoke('abort-copy-table');
+   }
+
+   static searchSchemaData (params) {
+      return ipcRenderer.invoke('search-schema-data', params);
+   }
+
+   static abortSearchSchemaData () {
+      return ipcRenderer.invoke('abort-search-schema-data');
+   }
 }
@@ -26,6 +26,10 @@ export default class {
       return ipcRenderer.invoke('get-key-usage', params);
    }
 
+   static getReferencingKeys (params) {
+      return ipcRenderer.invoke('get-referencing-keys', params);
+   }
+
    static updateTableCell (params) {
       return ipcRenderer.invoke('update-table-cell', params);
    }
@@ -42,6 +46,18 @@ export default class {
       return ipcRenderer.invoke('insert-table-fake-rows', params);
    }
 
+   static getTableFakeRows (params) {
+      return ipcRenderer.invoke('get-table-fake-rows', params);
+   }
+
+   static getTableChangesSql (params) {
+      return ipcRenderer.invoke('get-table-changes-sql', params);
+   }
+
+   static applyTableChanges (params) {
+      return ipcRenderer.invoke('apply-table-changes', params);
+   }
+
    static getForeignList (params) {
       return ipcRenderer.invoke('get-foreign-list', params);
    }
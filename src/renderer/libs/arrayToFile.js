@@ -7,11 +7,13 @@ const arrayToFile = args => {
          mime = 'text/csv';
          const csv = [];
 
+         const escape = col => typeof col === 'string' ? `"${col.replaceAll('"', '""')}"` : col === null ? '' : col;
+
          if (args.content.length)
-            csv.push(Object.keys(args.content[0]).join(';'));
+            csv.push(Object.keys(args.content[0]).map(escape).join(';'));
 
          for (const row of args.content)
-            csv.push(Object.values(row).map(col => typeof col === 'string' ? `"${col}"` : col).join(';'));
+            csv.push(Object.values(row).map(escape).join(';'));
 
          content = csv.join('\n');
          break;
@@ -20,6 +22,10 @@ const arrayToFile = args => {
          mime = 'application/json';
          content = JSON.stringify(args.content, null, 3);
          break;
+      case 'xlsx': // Content is the already generated file
+         mime = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+         content = args.content;
+         break;
       default:
          break;
    }
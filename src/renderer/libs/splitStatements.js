@@ -0,0 +1,190 @@
+const dialects = {
+   mysql: { quotes: ['\'', '"', '`'], backslashEscapes: true, hashComments: true, delimiterCommand: true },
+   maria: { quotes: ['\'', '"', '`'], backslashEscapes: true, hashComments: true, delimiterCommand: true },
+   pg: { quotes: ['\'', '"'], dollarQuoting: true },
+   duckdb: { quotes: ['\'', '"'], dollarQuoting: true },
+   sqlite: { quotes: ['\'', '"', '`'], brackets: true },
+   mssql: { quotes: ['\'', '"'], brackets: true, batchSeparator: true }
+};
+
+// Statements with bodies where delimiters don't close the statement, inside BEGIN...END blocks
+const blockStatements = ['TRIGGER', 'FUNCTION', 'PROCEDURE', 'PROC', 'EVENT'];
+
+const wordRegex = /\w+/y;
+
+const lineEnd = (sql, from) => {
+   const index = sql.indexOf('\n', from);
+   return index === -1 ? sql.length : index;
+};
+
+/**
+ * Index after the closing quote of the string or identifier opened at index
+ */
+const quoteEnd = (sql, index, quote, backslashEscapes) => {
+   let i = index + 1;
+
+   while (i < sql.length) {
+      if (backslashEscapes && quote !== '`' && sql[i] === '\\')
+         i += 2;
+      else if (sql[i] === quote) {
+         if (sql[i + 1] !== quote) return i + 1;
+         i += 2;// Doubled quote
+      }
+      else
+         i++;
+   }
+
+   return sql.length;
+};
+
+/**
+ * Splits a script in its statements, keeping the position of each one in the script.
+ * Strings, quoted identifiers, comments of the client dialect and BEGIN...END bodies of triggers,
+ * functions and procedures never split a statement, the MySQL DELIMITER command changes the delimiter
+ * and SQL Server splits batches on GO lines.
+ * Splitting SQL Server statements also splits the batches on `;`, out of its BEGIN...END blocks.
+ *
+ * @param {String} sql
+ * @param {String} client
+ * @param {Boolean} [byStatement=false] split SQL Server statements instead of GO batches
+ * @returns {Array<{sql: String, start: Number, end: Number}>} statements without delimiter and surrounding comments
+ */
+const splitStatements = (sql, client, byStatement = false) => {
+   const dialect = dialects[client] || { quotes: ['\'', '"'] };
+   const statements = [];
+   let delimiter = dialect.batchSeparator && !byStatement ? null : ';';
+   let start = -1;
+   let end = -1;
+   let i = 0;
+   let words = [];// First words of the statement, to recognize the block statements
+   let lastWord = null;
+   let blockDepth = 0;
+
+   const closeStatement = () => {
+      if (start !== -1)
+         statements.push({ sql: sql.substring(start, end), start, end });
+
+      start = -1;
+      end = -1;
+      words = [];
+      lastWord = null;
+      blockDepth = 0;
+   };
+
+   /**
+    * Keeps track of BEGIN...END and CASE...END blocks inside the bodies of block statements,
+    * the END of END IF, END LOOP etc. closes no block and the CASE of END CASE opens none
+    */
+   const checkWord = (word, index) => {
+      const next = sql.substring(index + word.length, index + word.length + 30);
+      const previous = lastWord;
+      lastWord = word;
+
+      if (words.length < 6)
+         words.push(word);
+
+      const isBlockStatement = words[0] === 'CREATE' && words.some(item => blockStatements.includes(item));
+      if (!isBlockStatement && !dialect.batchSeparator)// Out of routine bodies only SQL Server BEGIN opens a block, elsewhere it starts a transaction
+         return;
+
+      if ((word === 'BEGIN' && !/^\s+(TRAN|TRANSACTION|WORK|DISTRIBUTED)\b/i.test(next)) || (word === 'CASE' && previous !== 'END'))
+         blockDepth++;
+      else if (word === 'END' && blockDepth > 0 && !/^\s+(IF|LOOP|WHILE|REPEAT|FOR)\b/i.test(next))
+         blockDepth--;
+   };
+
+   const addContent = (from, to) => {
+      if (start === -1) start = from;
+      end = to;
+   };
+
+   while (i < sql.length) {
+      const char = sql[i];
+      const next = sql[i + 1];
+
+      if (/\s/.test(char)) {
+         i++;
+         continue;
+      }
+
+      if (dialect.batchSeparator && char.toUpperCase() === 'G' && /^GO\s*;?\s*$/i.test(sql.substring(i, lineEnd(sql, i))) && !sql.substring(sql.lastIndexOf('\n', i - 1) + 1, i).trim()) {
+         closeStatement();
+         i = lineEnd(sql, i);
+         continue;
+      }
+
+      if (dialect.delimiterCommand && start === -1) {
+         const match = sql.substring(i, lineEnd(sql, i)).match(/^delimiter\s+(\S+)/i);
+         if (match) {
+            delimiter = match[1];
+            i = lineEnd(sql, i);
+            continue;
+         }
+      }
+
+      if ((char === '-' && next === '-') || (char === '#' && dialect.hashComments)) {
+         i = lineEnd(sql, i);
+         continue;
+      }
+
+      if (char === '/' && next === '*') {
+         const commentEnd = sql.indexOf('*/', i + 2);
+         const to = commentEnd === -1 ? sql.length : commentEnd + 2;
+
+         if (sql[i + 2] === '!' && dialect.delimiterCommand)// MySQL executable comment
+            addContent(i, to);
+
+         i = to;
+         continue;
+      }
+
+      if (delimiter && !blockDepth && sql.startsWith(delimiter, i)) {
+         closeStatement();
+         i += delimiter.length;
+         continue;
+      }
+
+      if (dialect.quotes.includes(char)) {
+         const to = quoteEnd(sql, i, char, dialect.backslashEscapes);
+         addContent(i, to);
+         i = to;
+         continue;
+      }
+
+      if (char === '[' && dialect.brackets) {
+         const to = quoteEnd(sql, i, ']', false);
+         addContent(i, to);
+         i = to;
+         continue;
+      }
+
+      if (char === '$' && dialect.dollarQuoting && !/[\w$]/.test(sql[i - 1] || '')) {
+         const match = sql.substring(i).match(/^\$([A-Za-z_][\w]*)?\$/);
+         if (match) {
+            const tagEnd = sql.indexOf(match[0], i + match[0].length);
+            const to = tagEnd === -1 ? sql.length : tagEnd + match[0].length;
+            addContent(i, to);
+            i = to;
+            continue;
+         }
+      }
+
+      if (/[A-Za-z_]/.test(char) && !/[\w$.]/.test(sql[i - 1] || '')) {
+         wordRegex.lastIndex = i;
+         const [word] = wordRegex.exec(sql);
+         checkWord(word.toUpperCase(), i);
+         addContent(i, i + word.length);
+         i += word.length;
+         continue;
+      }
+
+      addContent(i, i + 1);
+      i++;
+   }
+
+   closeStatement();
+
+   return statements;
+};
+
+export default splitStatements;
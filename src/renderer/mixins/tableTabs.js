@@ -3,6 +3,11 @@ import Tables from '@/ipc-api/Tables';
 export default {
    methods: {
       async updateField (payload) {
+         if (this.isStaging) {
+            const { field, type, content, keys, orgRow, identity } = payload;
+            return this.stageChanges([{ action: 'update', field, type, content, keys, orgRow, identity }]);
+         }
+
          this.isQuering = true;
 
          const params = {
@@ -13,6 +18,9 @@ export default {
          try {
             const { status, response } = await Tables.updateTableCell(params);
             if (status === 'success') {
+               if (this.undoStack)
+                  this.recordUpdate(payload, response.original);
+
                if (response.reload)// Needed for blob fields
                   this.reloadTable();
                else
@@ -28,6 +36,15 @@ export default {
          this.isQuering = false;
       },
       async deleteSelected (payload) {
+         if (this.isStaging) {
+            return this.stageChanges(payload.identities.map((identity, i) => ({
+               action: 'delete',
+               keys: payload.keys ? payload.keys[i] : null,
+               orgRow: payload.rows ? payload.rows[i] : null,
+               identity
+            })));
+         }
+
          this.isQuering = true;
 
          const params = {
@@ -39,8 +56,12 @@ export default {
             const { status, response } = await Tables.deleteTableRows(params);
             this.isQuering = false;
 
-            if (status === 'success')
+            if (status === 'success') {
+               if (this.undoStack)
+                  this.recordDelete(response.rows);
+
                this.reloadTable();
+            }
             else
                this.addNotification({ status: 'error', message: response });
          }
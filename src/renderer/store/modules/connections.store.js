@@ -48,6 +48,10 @@ export default {
          }
 
          return connectionName;
+      },
+      getFilterPresets: state => (uid, schema, table) => {
+         const connection = state.connections.find(connection => connection.uid === uid);
+         return connection?.filterPresets?.[`${schema}.${table}`] || [];
       }
    },
    mutations: {
@@ -68,6 +72,18 @@ export default {
          state.selected_conection = {};
          persistentStore.set('connections', state.connections);
       },
+      SET_FILTER_PRESETS (state, { uid, schema, table, presets }) {
+         state.connections = state.connections.map(conn => {
+            if (conn.uid === uid) {
+               return {
+                  ...conn,
+                  filterPresets: { ...conn.filterPresets, [`${schema}.${table}`]: presets }
+               };
+            }
+            return conn;
+         });
+         persistentStore.set('connections', state.connections);
+      },
       UPDATE_CONNECTIONS (state, connections) {
          state.connections = connections;
          persistentStore.set('connections', state.connections);
@@ -85,6 +101,14 @@ export default {
       },
       updateConnections ({ commit }, connections) {
          commit('UPDATE_CONNECTIONS', connections);
+      },
+      saveFilterPreset ({ commit, getters }, { uid, schema, table, name, filters }) {
+         const presets = getters.getFilterPresets(uid, schema, table).filter(preset => preset.name !== name);
+         commit('SET_FILTER_PRESETS', { uid, schema, table, presets: [...presets, { name, filters }] });
+      },
+      deleteFilterPreset ({ commit, getters }, { uid, schema, table, name }) {
+         const presets = getters.getFilterPresets(uid, schema, table).filter(preset => preset.name !== name);
+         commit('SET_FILTER_PRESETS', { uid, schema, table, presets });
       }
    }
 };
@@ -2,17 +2,19 @@
 import Store from 'electron-store';
 import { uidGen } from 'common/libs/uidGen';
 const persistentStore = new Store({ name: 'history' });
-const historySize = 1000;
 
 export default {
    namespaced: true,
    strict: true,
    state: {
       history: persistentStore.get('history', {}),
-      favorites: persistentStore.get('favorites', {})
+      favorites: persistentStore.get('favorites', [])
    },
    getters: {
-      getHistoryByWorkspace: state => uid => state.history[uid]
+      getHistoryByWorkspace: state => uid => state.history[uid],
+      getFavorites: state => state.favorites,
+      getFavoriteFolders: state => [...new Set(state.favorites.map(favorite => favorite.folder).filter(Boolean))].sort(),
+      getFavoriteTags: state => [...new Set(state.favorites.reduce((acc, favorite) => [...acc, ...favorite.tags], []))].sort()
    },
    mutations: {
       SET_HISTORY (state, args) {
@@ -24,31 +26,87 @@ export default {
                uid: uidGen('H'),
                sql: args.query,
                date: new Date(),
-               schema: args.schema
+               schema: args.schema,
+               tabUid: args.tabUid,
+               tabName: args.tabName,
+               duration: args.duration,
+               affectedRows: args.affectedRows,
+               status: args.status,
+               error: args.error
             },
-            ...state.history[args.uid]
+            ...(args.replaceLast ? state.history[args.uid].slice(1) : state.history[args.uid])
          ];
 
-         if (state.history[args.uid].length > historySize)
-            state.history[args.uid] = state.history[args.uid].slice(0, historySize);
+         if (state.history[args.uid].length > args.size)
+            state.history[args.uid] = state.history[args.uid].slice(0, args.size);
+
+         persistentStore.set('history', state.history);
+      },
+      TRIM_HISTORY (state, size) {
+         for (const uid in state.history)
+            state.history[uid] = state.history[uid].slice(0, size);
 
          persistentStore.set('history', state.history);
       },
       DELETE_QUERY_FROM_HISTORY (state, query) {
          state.history[query.workspace] = state.history[query.workspace].filter(q => q.uid !== query.uid);
          persistentStore.set('history', state.history);
+      },
+      SET_FAVORITES (state, favorites) {
+         state.favorites = favorites;
+         persistentStore.set('favorites', state.favorites);
       }
    },
    actions: {
-      saveHistory ({ commit, getters }, args) {
-         if (getters.getHistoryByWorkspace(args.uid) &&
-            getters.getHistoryByWorkspace(args.uid).length &&
-            getters.getHistoryByWorkspace(args.uid)[0].sql === args.query
-         ) return;
-         commit('SET_HISTORY', args);
+      saveHistory ({ commit, getters, rootGetters }, args) {
+         const history = getters.getHistoryByWorkspace(args.uid);
+         const replaceLast = !!history && // A repeated run only updates the last entry
+            !!history.length &&
+            history[0].sql === args.query &&
+            history[0].status === args.status;
+
+         commit('SET_HISTORY', { ...args, replaceLast, size: rootGetters['settings/getQueryHistorySize'] });
+      },
+      trimHistory ({ commit }, size) {
+         commit('TRIM_HISTORY', size);
       },
       deleteQueryFromHistory ({ commit }, query) {
          commit('DELETE_QUERY_FROM_HISTORY', query);
+      },
+      saveFavorite ({ commit, state }, favorite) {
+         const { uid = uidGen('F'), name, folder = '', tags = [], description = '', sql, connection = null, schema = null } = favorite;
+         const saved = { uid, name, folder, tags, description, sql, connection, schema, date: new Date() };
+         const exists = state.favorites.some(favorite => favorite.uid === uid);
+
+         commit('SET_FAVORITES', exists
+            ? state.favorites.map(favorite => favorite.uid === uid ? saved : favorite)
+            : [...state.favorites, saved]);
+      },
+      deleteFavorite ({ commit, state }, uid) {
+         commit('SET_FAVORITES', state.favorites.filter(favorite => favorite.uid !== uid));
+      },
+      /**
+       * Adds the favorites of an exported library, the ones already present are replaced
+       */
+      importFavorites ({ commit, state }, favorites) {
+         if (!Array.isArray(favorites) || favorites.some(favorite => typeof favorite?.name !== 'string' || typeof favorite?.sql !== 'string'))
+            throw new Error('Invalid favorites library');
+
+         const imported = favorites.map(favorite => ({
+            uid: typeof favorite.uid === 'string' ? favorite.uid : uidGen('F'),
+            name: favorite.name,
+            folder: typeof favorite.folder === 'string' ? favorite.folder : '',
+            tags: Array.isArray(favorite.tags) ? favorite.tags.map(String) : [],
+            description: typeof favorite.description === 'string' ? favorite.description : '',
+            sql: favorite.sql,
+            connection: favorite.connection || null,
+            schema: favorite.schema || null,
+            date: favorite.date || new Date()
+         }));
+         const importedUids = imported.map(favorite => favorite.uid);
+
+         commit('SET_FAVORITES', [...state.favorites.filter(favorite => !importedUids.includes(favorite.uid)), ...imported]);
+         return imported.length;
       }
    }
 };
@@ -5,6 +5,7 @@ const persistentStore = new Store({ name: 'settings' });
 const isDarkTheme = window.matchMedia('(prefers-color-scheme: dark)');
 const defaultAppTheme = isDarkTheme.matches ? 'dark' : 'light';
 const defaultEditorTheme = isDarkTheme.matches ? 'twilight' : 'sqlserver';
+const maxQueryHistorySize = 5000;
 
 export default {
    namespaced: true,
@@ -15,6 +16,7 @@ export default {
       explorebar_size: persistentStore.get('explorebar_size', null),
       notifications_timeout: persistentStore.get('notifications_timeout', 5),
       data_tab_limit: persistentStore.get('data_tab_limit', 1000),
+      query_history_size: Math.min(persistentStore.get('query_history_size', 1000), maxQueryHistorySize),
       auto_complete: persistentStore.get('auto_complete', true),
       line_wrap: persistentStore.get('line_wrap', true),
       application_theme: persistentStore.get('application_theme', defaultAppTheme),
@@ -26,6 +28,7 @@ export default {
    getters: {
       getLocale: state => state.locale,
       getDataTabLimit: state => state.data_tab_limit,
+      getQueryHistorySize: state => state.query_history_size,
       getAllowPrerelease: state => state.allow_prerelease,
       getExplorebarSize: state => state.explorebar_size,
       getNotificationsTimeout: state => state.notifications_timeout,
@@ -47,6 +50,10 @@ export default {
          state.data_tab_limit = limit;
          persistentStore.set('data_tab_limit', state.data_tab_limit);
       },
+      SET_QUERY_HISTORY_SIZE (state, size) {
+         state.query_history_size = size;
+         persistentStore.set('query_history_size', state.query_history_size);
+      },
       SET_ALLOW_PRERELEASE (state, allow) {
          state.allow_prerelease = allow;
          persistentStore.set('allow_prerelease', state.allow_prerelease);
@@ -95,6 +102,10 @@ export default {
       changePageSize ({ commit }, limit) {
          commit('SET_DATA_TAB_LIMIT', limit);
       },
+      changeQueryHistorySize ({ commit, dispatch }, size) {
+         commit('SET_QUERY_HISTORY_SIZE', size);
+         dispatch('history/trimHistory', size, { root: true });
+      },
       changeAllowPrerelease ({ commit }, allow) {
          commit('SET_ALLOW_PRERELEASE', allow);
       },
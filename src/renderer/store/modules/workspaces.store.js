@@ -184,7 +184,7 @@ export default {
             }
             : workspace);
       },
-      NEW_TAB (state, { uid, tab, content, type, autorun, schema, elementName, elementType }) {
+      NEW_TAB (state, { uid, tab, content, type, autorun, schema, elementName, elementType, filters }) {
          if (type === 'query')
             tabIndex[uid] = tabIndex[uid] ? ++tabIndex[uid] : 1;
 
@@ -199,7 +199,8 @@ export default {
             fields: [],
             keyUsage: [],
             content: content || '',
-            autorun: !!autorun
+            autorun: !!autorun,
+            filters
          };
 
          state.workspaces = state.workspaces.map(workspace => {
@@ -249,14 +250,14 @@ export default {
 
          persistentStore.set(uid, state.workspaces.find(workspace => workspace.uid === uid).tabs);
       },
-      REPLACE_TAB (state, { uid, tab: tUid, type, schema, content, elementName, elementType }) {
+      REPLACE_TAB (state, { uid, tab: tUid, type, schema, content, elementName, elementType, filters }) {
          state.workspaces = state.workspaces.map(workspace => {
             if (workspace.uid === uid) {
                return {
                   ...workspace,
                   tabs: workspace.tabs.map(tab => {
                      if (tab.uid === tUid)
-                        return { ...tab, type, schema, content, elementName, elementType };
+                        return { ...tab, type, schema, content, elementName, elementType, filters };
 
                      return tab;
                   })
@@ -417,6 +418,16 @@ export default {
                      indexTypes = require('common/index-types/sqlite');
                      customizations = require('common/customizations/sqlite');
                      break;
+                  case 'mssql':
+                     dataTypes = require('common/data-types/mssql');
+                     indexTypes = require('common/index-types/mssql');
+                     customizations = require('common/customizations/mssql');
+                     break;
+                  case 'duckdb':
+                     dataTypes = require('common/data-types/duckdb');
+                     indexTypes = require('common/index-types/duckdb');
+                     customizations = require('common/customizations/duckdb');
+                     break;
                }
 
                const { status, response: version } = await Schema.getVersion(connection.uid);
@@ -581,7 +592,7 @@ export default {
       setSearchTerm ({ commit, getters }, term) {
          commit('SET_SEARCH_TERM', { uid: getters.getSelected, term });
       },
-      newTab ({ state, commit }, { uid, content, type, autorun, schema, elementName, elementType }) {
+      newTab ({ state, commit }, { uid, content, type, autorun, schema, elementName, elementType, filters }) {
          let tabUid;
          const workspaceTabs = state.workspaces.find(workspace => workspace.uid === uid);
 
@@ -668,12 +679,12 @@ export default {
                   : false;
 
                if (existentTab) {
-                  commit('REPLACE_TAB', { uid, tab: existentTab.uid, type, schema, elementName, elementType });
+                  commit('REPLACE_TAB', { uid, tab: existentTab.uid, type, schema, elementName, elementType, filters });
                   tabUid = existentTab.uid;
                }
                else {
                   tabUid = uidGen('T');
-                  commit('NEW_TAB', { uid, tab: tabUid, content, type, autorun, schema, elementName, elementType });
+                  commit('NEW_TAB', { uid, tab: tabUid, content, type, autorun, schema, elementName, elementType, filters });
                }
             }
                break;
@@ -0,0 +1,73 @@
+const { strict: assert } = require('assert');
+const { Readable } = require('stream');
+require('./tsRequire');
+const { default: CSVParser } = require('../src/main/libs/parsers/CSVParser');
+
+/**
+ * Records parsed from the given chunks, each with the line where it starts
+ * @param {(String|Buffer)[]} chunks
+ * @param {Object} [options]
+ * @returns {Promise<{values: String[]; line: Number}[]>}
+ */
+const parse = async (chunks, options) => {
+   const parser = Readable.from(chunks.map(chunk => Buffer.from(chunk))).pipe(new CSVParser(options));
+   const records = [];
+
+   for await (const record of parser)
+      records.push({ values: [...record], line: record.line });
+
+   return records;
+};
+
+(async () => {
+   console.log('Starting CSVParser tests');
+
+   // Quoted fields with delimiters, escaped quotes and empty values
+   assert.deepStrictEqual(
+      await parse(['a,"b,c","d ""e""",,""\n']),
+      [{ values: ['a', 'b,c', 'd "e"', '', ''], line: 1 }]
+   );
+
+   // CRLF and CR line endings, empty lines and a last record without line ending
+   assert.deepStrictEqual(
+      await parse(['a,b\r\n\r\nc,d\re,f']),
+      [
+         { values: ['a', 'b'], line: 1 },
+         { values: ['c', 'd'], line: 3 },
+         { values: ['e', 'f'], line: 4 }
+      ]
+   );
+
+   // Newlines inside quoted fields are kept and counted in the lines of the next records
+   assert.deepStrictEqual(
+      await parse(['1,"multi\r\nline\nvalue"\n2,x\n']),
+      [
+         { values: ['1', 'multi\r\nline\nvalue'], line: 1 },
+         { values: ['2', 'x'], line: 4 }
+      ]
+   );
+
+   // BOM, and characters split between chunks
+   const utf8 = Buffer.from('\uFEFFnome,città\n1,è\n');
+   assert.deepStrictEqual(
+      await parse([...utf8].map(byte => Buffer.from([byte]))),
+      [
+         { values: ['nome', 'città'], line: 1 },
+         { values: ['1', 'è'], line: 2 }
+      ]
+   );
+
+   // Custom delimiter, quote and encoding
+   assert.deepStrictEqual(
+      await parse([Buffer.from('a\t\'b\tc\'\t\'it\'\'s\'\n', 'latin1'), Buffer.from('é\tx\ty\n', 'latin1')], { delimiter: '\t', quote: '\'', encoding: 'latin1' }),
+      [
+         { values: ['a', 'b\tc', 'it\'s'], line: 1 },
+         { values: ['é', 'x', 'y'], line: 2 }
+      ]
+   );
+
+   console.log('CSVParser tests finished');
+})().catch(err => {
+   console.error(err);
+   process.exit(1);
+});
@@ -0,0 +1,128 @@
+const { strict: assert } = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./tsRequire');
+const { default: CsvExporter } = require('../src/main/libs/exporters/csv/CsvExporter');
+const { readZip } = require('./readZip');
+
+const columns = {
+   users: [
+      { name: 'id', type: 'INT' },
+      { name: 'name', type: 'VARCHAR' },
+      { name: 'avatar', type: 'BLOB' },
+      { name: 'born', type: 'DATE' },
+      { name: 'seen', type: 'DATETIME', datePrecision: 1 },
+      { name: 'tags', type: 'JSON' }
+   ],
+   empty: [{ name: 'id', type: 'INT' }]
+};
+
+const rows = {
+   users: [
+      {
+         id: 1,
+         name: 'a "b", c',
+         avatar: Buffer.from([0xAB, 0x01]),
+         born: new Date(2020, 0, 2),
+         seen: new Date(2020, 0, 2, 3, 4, 5, 600),
+         tags: ['x', 'y']
+      },
+      { id: 2, name: ' padded\nline ', avatar: null, born: null, seen: null, tags: null },
+      { id: 3, name: '', avatar: undefined, born: null, seen: null, tags: null }
+   ],
+   empty: []
+};
+
+/**
+ * CSV exporter reading fixed rows instead of querying a database
+ */
+class FixedRowsExporter extends CsvExporter {
+   async _queryStream (sql) {
+      const table = sql.match(/\."(\w+)"$/)[1];
+      return rows[table];
+   }
+}
+
+const client = {
+   _client: 'pg',
+   getTableColumns: async ({ table }) => columns[table]
+};
+
+const tables = Object.keys(columns).map(table => ({ table, includeStructure: false, includeContent: true, includeDropStatement: false }));
+
+/**
+ * Runs an export of the fixed tables
+ * @param {String} outputFile
+ * @param {String} outputFormat
+ * @param {Object} [csv] CSV options
+ * @returns {Promise<FixedRowsExporter>}
+ */
+const runExport = async (outputFile, outputFormat, csv) => {
+   const exporter = new FixedRowsExporter(client, tables, { schema: 's', outputFile, outputFormat, csv });
+   const fileStream = exporter._outputFileStream;
+
+   if (fileStream) // Rows are read with no delay, before the output file would be created
+      await new Promise(resolve => fileStream.once('ready', resolve));
+
+   await exporter.run();
+
+   if (fileStream)
+      await new Promise(resolve => fileStream.once('close', resolve));
+
+   return exporter;
+};
+
+const users = [
+   'id,name,avatar,born,seen,tags\n',
+   '1,"a ""b"", c",AB01,2020-01-02,2020-01-02 03:04:05.6,"[""x"",""y""]"\n',
+   '2," padded\nline ",,,,\n',
+   '3,"",,,,\n'
+].join('');
+
+(async () => {
+   console.log('Starting CsvExporter tests');
+   const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'antares-csv-'));
+
+   try {
+      // A file for each table in the output directory, with quoted values, NULLs, BLOBs and dates
+      const exporter = await runExport(path.join(tmpDir, 'export'), 'csv');
+      assert.deepStrictEqual(fs.readdirSync(exporter.outputFile).sort(), ['empty.csv', 'users.csv']);
+      assert.equal(fs.readFileSync(path.join(exporter.outputFile, 'users.csv'), 'utf8'), users);
+      assert.equal(fs.readFileSync(path.join(exporter.outputFile, 'empty.csv'), 'utf8'), 'id\n');
+
+      // Existing output directories are not overwritten
+      const nextExporter = await runExport(path.join(tmpDir, 'export'), 'csv');
+      assert.equal(nextExporter.outputFile, path.join(tmpDir, 'export_2'));
+
+      // Custom options, with tab delimited values written to .tsv files
+      const tsvExporter = await runExport(path.join(tmpDir, 'tsv'), 'csv', {
+         delimiter: '\t',
+         quote: '\'',
+         quoteAll: true,
+         header: false,
+         nullValue: 'NULL',
+         lineEnding: '\r\n'
+      });
+      assert.equal(
+         fs.readFileSync(path.join(tsvExporter.outputFile, 'users.tsv'), 'utf8').split('\r\n')[2],
+         '\'3\'\t\'\'\tNULL\tNULL\tNULL\tNULL'
+      );
+
+      // Same files in a ZIP archive
+      const zipFile = path.join(tmpDir, 'export.zip');
+      await runExport(zipFile, 'csv.zip');
+      const entries = readZip(fs.readFileSync(zipFile));
+      assert.deepStrictEqual(entries.map(entry => entry.name), ['users.csv', 'empty.csv']);
+      assert.equal(entries[0].content.toString(), users);
+      assert.equal(entries[1].content.toString(), 'id\n');
+   }
+   finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+   }
+
+   console.log('CsvExporter tests finished');
+})().catch(err => {
+   console.error(err);
+   process.exit(1);
+});
@@ -0,0 +1,77 @@
+const { strict: assert } = require('assert');
+const { randomBytes } = require('crypto');
+const { Writable } = require('stream');
+require('./tsRequire');
+const { ZipWriter } = require('../src/main/libs/exporters/ZipWriter');
+const { readZip } = require('./readZip');
+
+/**
+ * Archive written by ZipWriter to a slow output, with small buffers to exercise backpressure
+ * @param {{name: String; chunks: Buffer[]}[]} files
+ * @returns {Promise<Buffer>}
+ */
+const writeZip = async files => {
+   const buffers = [];
+   const output = new Writable({
+      highWaterMark: 64,
+      write (chunk, encoding, next) {
+         buffers.push(chunk);
+         setImmediate(next);
+      }
+   });
+   const zip = new ZipWriter(output);
+
+   for (const file of files) {
+      const entry = zip.addEntry(file.name);
+
+      for (const chunk of file.chunks) {
+         if (!entry.write(chunk))
+            await new Promise(resolve => entry.once('drain', resolve));
+      }
+
+      await zip.endEntry(entry);
+   }
+
+   zip.finalize();
+   await new Promise(resolve => output.end(resolve));
+
+   return Buffer.concat(buffers);
+};
+
+(async () => {
+   console.log('Starting ZipWriter tests');
+
+   // Entries written in chunks, empty entries and UTF-8 names
+   const random = randomBytes(256 * 1024);
+   const files = [
+      { name: 'table.csv', chunks: [Buffer.from('id,name\n'), Buffer.from('1,a\n'), Buffer.from('2,b\n')] },
+      { name: 'empty.csv', chunks: [] },
+      { name: 'città.csv', chunks: [Buffer.from('è\n')] },
+      { name: 'random.bin', chunks: [random.slice(0, 100000), random.slice(100000)] }
+   ];
+   const zip = await writeZip(files);
+   const entries = readZip(zip);
+
+   assert.deepStrictEqual(
+      entries.map(entry => entry.name),
+      files.map(file => file.name)
+   );
+   entries.forEach((entry, i) => assert.ok(entry.content.equals(Buffer.concat(files[i].chunks)), `Content of ${entry.name}`));
+
+   // Central directory records of the entries, with no ZIP64 record below 4 GB
+   const endOffset = zip.length - 22;
+   assert.equal(zip.readUInt32LE(endOffset), 0x06054B50);
+   assert.equal(zip.readUInt16LE(endOffset + 8), files.length);
+   assert.equal(zip.readUInt32LE(endOffset + 16) + zip.readUInt32LE(endOffset + 12), endOffset);
+   assert.equal(zip.indexOf(Buffer.from([0x50, 0x4B, 0x06, 0x06])), -1);
+
+   // Archive without entries
+   const emptyZip = await writeZip([]);
+   assert.equal(emptyZip.length, 22);
+   assert.deepStrictEqual(readZip(emptyZip), []);
+
+   console.log('ZipWriter tests finished');
+})().catch(err => {
+   console.error(err);
+   process.exit(1);
+});
@@ -0,0 +1,109 @@
+const { strict: assert } = require('assert');
+require('./tsRequire');
+const { MySQLClient } = require('../src/main/libs/clients/MySQLClient');
+const { PostgreSQLClient } = require('../src/main/libs/clients/PostgreSQLClient');
+const { MSSQLClient } = require('../src/main/libs/clients/MSSQLClient');
+
+const clients = {
+   mysql: new MySQLClient({ client: 'mysql', params: {}, logger: () => null }),
+   pg: new PostgreSQLClient({ client: 'pg', params: {}, logger: () => null }),
+   mssql: new MSSQLClient({ client: 'mssql', params: {}, logger: () => null })
+};
+
+/**
+ * SQL and bound values of a filtered SELECT
+ * @param {String} client
+ * @param {Object} filter
+ * @returns {{sql: String; params: Array}}
+ */
+const select = (client, filter) => clients[client]
+   .select('*')
+   .schema('s')
+   .from('t')
+   .filter(filter)
+   ._getStatement();
+
+(async () => {
+   console.log('Starting filterConditions tests');
+
+   // Nested groups, identifiers quoted and every value bound
+   const filter = {
+      type: 'group',
+      operator: 'AND',
+      children: [
+         { type: 'rule', field: 'name', op: 'CONTAINS', values: ['a\'b'] },
+         {
+            type: 'group',
+            operator: 'OR',
+            not: true,
+            children: [
+               { type: 'rule', field: 'id', op: 'IN', values: [1, 2] },
+               { type: 'rule', field: 'x"y', op: 'BETWEEN', values: [3, 4] },
+               { type: 'rule', field: 'deleted', op: 'IS NULL', values: [] }
+            ]
+         },
+         { type: 'group', operator: 'OR', children: [] }
+      ]
+   };
+   const params = ['%a\'b%', 1, 2, 3, 4];
+
+   assert.deepStrictEqual(select('mysql', filter), {
+      sql: 'SELECT * FROM `s`.`t` WHERE (LOWER(CAST(`name` AS CHAR)) LIKE LOWER(?) AND NOT (`id` IN (?, ?) OR `x"y` BETWEEN ? AND ? OR `deleted` IS NULL)) ',
+      params
+   });
+   assert.deepStrictEqual(select('pg', filter), {
+      sql: 'SELECT * FROM "s"."t" WHERE (CAST("name" AS TEXT) ILIKE $1 AND NOT ("id" IN ($2, $3) OR "x""y" BETWEEN $4 AND $5 OR "deleted" IS NULL)) ',
+      params
+   });
+   assert.deepStrictEqual(select('mssql', filter), {
+      sql: 'SELECT * FROM [s].[t] WHERE (LOWER(CAST("name" AS NVARCHAR(MAX))) LIKE LOWER(@p1) AND NOT ("id" IN (@p2, @p3) OR "x""y" BETWEEN @p4 AND @p5 OR "deleted" IS NULL)) ',
+      params
+   });
+
+   // Comparison and pattern operators
+   assert.deepStrictEqual(
+      select('pg', {
+         type: 'group',
+         operator: 'OR',
+         children: [
+            { type: 'rule', field: 'a', op: '>=', values: [5] },
+            { type: 'rule', field: 'b', op: 'NOT LIKE', values: ['x%'] },
+            { type: 'rule', field: 'c', op: 'STARTS WITH', values: ['y'] },
+            { type: 'rule', field: 'd', op: 'NOT IN', values: ['z'] }
+         ]
+      }),
+      {
+         sql: 'SELECT * FROM "s"."t" WHERE ("a" >= $1 OR CAST("b" AS TEXT) NOT LIKE $2 OR CAST("c" AS TEXT) ILIKE $3 OR "d" NOT IN ($4)) ',
+         params: [5, 'x%', 'y%', 'z']
+      }
+   );
+
+   // Groups without rules add no condition
+   assert.deepStrictEqual(
+      select('mysql', { type: 'group', operator: 'AND', children: [{ type: 'group', operator: 'OR', children: [] }] }),
+      { sql: 'SELECT * FROM `s`.`t` ', params: [] }
+   );
+
+   // Invalid rules throw and leave no bound value to the next query
+   assert.throws(
+      () => select('pg', {
+         type: 'group',
+         operator: 'AND',
+         children: [
+            { type: 'rule', field: 'a', op: '=', values: [1] },
+            { type: 'rule', field: 'b', op: 'IN', values: [] }
+         ]
+      }),
+      { message: 'No values for the IN filter of "b"' }
+   );
+   assert.deepStrictEqual(clients.pg.select('*').schema('s').from('t')._getStatement(), { sql: 'SELECT * FROM "s"."t" ', params: [] });
+   assert.throws(
+      () => select('mssql', { type: 'group', operator: 'AND', children: [{ type: 'rule', field: 'a', op: 'REGEXP', values: ['x'] }] }),
+      { message: 'Unknown filter operator "REGEXP"' }
+   );
+
+   console.log('filterConditions tests finished');
+})().catch(err => {
+   console.error(err);
+   process.exit(1);
+});
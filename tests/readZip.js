@@ -0,0 +1,69 @@
+const { strict: assert } = require('assert');
+const { inflateRawSync } = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+   let c = n;
+   for (let k = 0; k < 8; k++)
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+   return c >>> 0;
+});
+
+const crc32 = buffer => {
+   let crc = 0xFFFFFFFF;
+   for (const byte of buffer)
+      crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+   return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Reads the entries of a ZIP archive written by ZipWriter, checking that local headers,
+ * data descriptors and central directory agree
+ * @param {Buffer} zip
+ * @returns {{name: String; content: Buffer}[]}
+ */
+const readZip = zip => {
+   const endOffset = zip.lastIndexOf(Buffer.from([0x50, 0x4B, 0x05, 0x06]));
+   assert.ok(endOffset >= 0, 'End of central directory not found');
+
+   const records = zip.readUInt16LE(endOffset + 10);
+   let offset = zip.readUInt32LE(endOffset + 16);
+   const entries = [];
+
+   for (let i = 0; i < records; i++) {
+      assert.equal(zip.readUInt32LE(offset), 0x02014B50, 'Central directory header signature');
+      const nameLength = zip.readUInt16LE(offset + 28);
+      const extraLength = zip.readUInt16LE(offset + 30);
+      const name = zip.slice(offset + 46, offset + 46 + nameLength).toString();
+      const crc = zip.readUInt32LE(offset + 16);
+      const compressedSize = zip.readUInt32LE(offset + 20);
+      const size = zip.readUInt32LE(offset + 24);
+      const localOffset = zip.readUInt32LE(offset + 42);
+      offset += 46 + nameLength + extraLength + zip.readUInt16LE(offset + 32);
+
+      // Local header with a ZIP64 extra field, sizes are in the data descriptor
+      assert.equal(zip.readUInt32LE(localOffset), 0x04034B50, 'Local file header signature');
+      assert.equal(zip.readUInt16LE(localOffset + 4), 45);
+      assert.equal(zip.readUInt16LE(localOffset + 6), 0x0808);
+      assert.equal(zip.slice(localOffset + 30, localOffset + 30 + nameLength).toString(), name);
+      const localExtraLength = zip.readUInt16LE(localOffset + 28);
+      assert.equal(localExtraLength, 20);
+      assert.equal(zip.readUInt16LE(localOffset + 30 + nameLength), 0x0001);
+
+      const dataOffset = localOffset + 30 + nameLength + localExtraLength;
+      const content = inflateRawSync(zip.slice(dataOffset, dataOffset + compressedSize));
+      const descriptorOffset = dataOffset + compressedSize;
+
+      assert.equal(zip.readUInt32LE(descriptorOffset), 0x08074B50, 'Data descriptor signature');
+      assert.equal(zip.readUInt32LE(descriptorOffset + 4), crc);
+      assert.equal(zip.readBigUInt64LE(descriptorOffset + 8), BigInt(compressedSize));
+      assert.equal(zip.readBigUInt64LE(descriptorOffset + 16), BigInt(size));
+      assert.equal(content.length, size);
+      assert.equal(crc32(content), crc);
+
+      entries.push({ name, content });
+   }
+
+   return entries;
+};
+
+module.exports = { readZip };
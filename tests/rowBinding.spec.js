@@ -0,0 +1,92 @@
+const { strict: assert } = require('assert');
+require('./tsRequire');
+const { MySQLClient } = require('../src/main/libs/clients/MySQLClient');
+const { PostgreSQLClient } = require('../src/main/libs/clients/PostgreSQLClient');
+const { MSSQLClient } = require('../src/main/libs/clients/MSSQLClient');
+
+const mysql = new MySQLClient({ client: 'mysql', params: {}, logger: () => null });
+const pg = new PostgreSQLClient({ client: 'pg', params: {}, logger: () => null });
+const mssql = new MSSQLClient({ client: 'mssql', params: {}, logger: () => null });
+
+(async () => {
+   console.log('Starting rowBinding tests');
+
+   // Cell updates matched by the row keys
+   const update = { schema: 's', table: 't', field: 'name', type: 'VARCHAR', content: 'it\'s', keys: { id: 1 }, orgRow: {} };
+   assert.deepStrictEqual(mysql._updateCellStatement(update), { sql: 'UPDATE `s`.`t` SET `name` = ? WHERE `id` = ? ', params: ['it\'s', 1] });
+   assert.deepStrictEqual(pg._updateCellStatement(update), { sql: 'UPDATE "s"."t" SET "name" = $1 WHERE "id" = $2 ', params: ['it\'s', 1] });
+   assert.deepStrictEqual(mssql._updateCellStatement(update), { sql: 'UPDATE  [s].[t] SET [name] = @p1 WHERE [id] = @p2 ', params: ['it\'s', 1] });
+
+   // Cell updates of tables without keys match a single row by all its values
+   const orgRow = { _antares_id: 'x', id: 1, data: new Uint8Array([1, 2]), note: null };
+   const keyless = { schema: 's', table: 't', field: 'note', type: 'TEXT', content: 'a', orgRow };
+   const keylessParams = ['a', 1, Buffer.from([1, 2])];
+   assert.deepStrictEqual(mysql._updateCellStatement(keyless), {
+      sql: 'UPDATE `s`.`t` SET `note` = ? WHERE `id` = ? AND `data` = ? AND `note` IS NULL LIMIT 1 ',
+      params: keylessParams
+   });
+   assert.deepStrictEqual(pg._updateCellStatement(keyless), {
+      sql: 'UPDATE "s"."t" SET "note" = $1 WHERE "ctid" = (SELECT ctid FROM "s"."t" WHERE "id" = $2 AND "data" = $3 AND "note" IS NULL LIMIT 1) ',
+      params: keylessParams
+   });
+   assert.deepStrictEqual(mssql._updateCellStatement(keyless), {
+      sql: 'UPDATE TOP (1)  [s].[t] SET [note] = @p1 WHERE [id] = @p2 AND [data] = @p3 AND [note] IS NULL ',
+      params: keylessParams
+   });
+
+   // Deletes by a single key column, by composite keys and by whole rows
+   assert.deepStrictEqual(
+      pg._deleteRowsStatements({ schema: 's', table: 't', keys: [{ id: 1 }, { id: 2 }] }),
+      [{ sql: 'DELETE FROM "s"."t" WHERE "id" IN ($1,$2) ', params: [1, 2] }]
+   );
+   assert.deepStrictEqual(
+      mysql._deleteRowsStatements({ schema: 's', table: 't', keys: [{ a: 1, b: 'x' }, { a: 2, b: null }] }),
+      [
+         { sql: 'DELETE FROM `s`.`t` WHERE `a` = ? AND `b` = ? ', params: [1, 'x'] },
+         { sql: 'DELETE FROM `s`.`t` WHERE `a` = ? AND `b` IS NULL ', params: [2] }
+      ]
+   );
+   assert.deepStrictEqual(
+      mssql._deleteRowsStatements({ schema: 's', table: 't', rows: [{ _antares_id: 'x', a: 1, b: null }] }),
+      [{ sql: 'DELETE TOP (1) FROM [s].[t] WHERE [a] = @p1 AND [b] IS NULL ', params: [1] }]
+   );
+
+   // Inserts bind every value, converted for the type of its field
+   const date = new Date(2020, 0, 2, 3, 4, 5);
+   assert.deepStrictEqual(
+      pg._insertRowsStatements('s', 't', [{ a: 1, b: date }, { a: 2, b: null }], { a: 'INTEGER', b: 'TIMESTAMP' }),
+      [{ sql: 'INSERT INTO "s"."t" ("a", "b") VALUES ($1, $2), ($3, $4) ', params: [1, '2020-01-02 03:04:05.000000', 2, null] }]
+   );
+
+   // Inserts are split to stay below the bound parameters limit
+   const rows = Array.from({ length: 1001 }, (_, i) => ({ a: i, b: i }));
+   const statements = mssql._insertRowsStatements('s', 't', rows, { a: 'INT', b: 'INT' });
+   assert.deepStrictEqual(statements.map(statement => statement.params.length), [2000, 2]);
+   assert.equal(mssql.insertBatchSize(1), 1000);
+   assert.equal(mssql.insertBatchSize(3000), 1);
+
+   // Values converted by each client
+   assert.equal(mysql._parseParam('101', 'BIT').toSqlString(), '5');
+   assert.equal(mysql._parseParam({ a: 1 }, 'JSON'), '{"a":1}');
+   assert.equal(mssql._parseParam('1', 'BIT'), true);
+   assert.equal(mssql._parseParam('0', 'BIT'), false);
+   assert.equal(mssql._parseParam(null, 'VARBINARY').value, null);
+   assert.deepStrictEqual(pg._parseParam(new Uint8Array([1]), 'BYTEA'), Buffer.from([1]));
+
+   // Changes shown as SQL have their values inlined
+   const changes = [
+      { action: 'update', field: 'name', type: 'VARCHAR', content: 'it\'s', keys: { id: 1 }, orgRow: {} },
+      { action: 'update', field: 'data', type: 'VARBINARY', content: new Uint8Array([1, 2]), keys: { id: 1 }, orgRow: {} }
+   ];
+   assert.deepStrictEqual(mysql.getTableChangesSQL({ schema: 's', table: 't', changes: changes.slice(0, 1) }), ['UPDATE `s`.`t` SET `name` = \'it\\\'s\' WHERE `id` = 1;']);
+   assert.deepStrictEqual(pg.getTableChangesSQL({ schema: 's', table: 't', changes: changes.slice(0, 1) }), ['UPDATE "s"."t" SET "name" = \'it\'\'s\' WHERE "id" = 1;']);
+   assert.deepStrictEqual(mssql.getTableChangesSQL({ schema: 's', table: 't', changes }), [
+      'UPDATE  [s].[t] SET [name] = N\'it\'\'s\' WHERE [id] = 1;',
+      'UPDATE  [s].[t] SET [data] = 0x0102 WHERE [id] = 1;'
+   ]);
+
+   console.log('rowBinding tests finished');
+})().catch(err => {
+   console.error(err);
+   process.exit(1);
+});
@@ -0,0 +1,166 @@
+const { strict: assert } = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Statements found by the splitter for a script
+ * @param {Function} splitStatements
+ * @param {String} sql
+ * @param {String} client
+ * @param {Boolean} [byStatement]
+ * @returns {String[]}
+ */
+const split = (splitStatements, sql, client, byStatement) => splitStatements(sql, client, byStatement).map(statement => statement.sql);
+
+(async () => {
+   console.log('Starting splitStatements tests');
+   // The renderer module is ESM in a CommonJS package, so it's loaded from its source
+   const source = fs.readFileSync(path.join(__dirname, '../src/renderer/libs/splitStatements.js'), 'utf8');
+   const { default: splitStatements } = await import(`data:text/javascript,${encodeURIComponent(source)}`);
+
+   // Delimiters in strings, identifiers and comments
+   assert.deepStrictEqual(
+      split(splitStatements, 'SELECT \';\' AS a; -- b;\nSELECT "c;d" /* e; */ FROM t;', 'pg'),
+      ['SELECT \';\' AS a', 'SELECT "c;d" /* e; */ FROM t']
+   );
+
+   // Positions in the script
+   assert.deepStrictEqual(
+      splitStatements('SELECT 1;\n  SELECT 2;', 'sqlite'),
+      [{ sql: 'SELECT 1', start: 0, end: 8 }, { sql: 'SELECT 2', start: 12, end: 20 }]
+   );
+
+   // SQLite trigger body
+   assert.deepStrictEqual(
+      split(splitStatements, `CREATE TRIGGER trg AFTER INSERT ON t
+BEGIN
+   UPDATE t SET a = CASE WHEN NEW.a > 0 THEN 1 ELSE 0 END;
+   INSERT INTO log VALUES (NEW.id);
+END;
+SELECT 1;`, 'sqlite'),
+      [
+         `CREATE TRIGGER trg AFTER INSERT ON t
+BEGIN
+   UPDATE t SET a = CASE WHEN NEW.a > 0 THEN 1 ELSE 0 END;
+   INSERT INTO log VALUES (NEW.id);
+END`,
+         'SELECT 1'
+      ]
+   );
+
+   // SQLite temporary trigger
+   assert.deepStrictEqual(
+      split(splitStatements, 'CREATE TEMP TRIGGER trg BEFORE DELETE ON t BEGIN SELECT 1; SELECT 2; END; DELETE FROM t;', 'sqlite'),
+      ['CREATE TEMP TRIGGER trg BEFORE DELETE ON t BEGIN SELECT 1; SELECT 2; END', 'DELETE FROM t']
+   );
+
+   // Transactions are not blocks
+   assert.deepStrictEqual(
+      split(splitStatements, 'BEGIN; INSERT INTO t VALUES (1); END; SELECT CASE WHEN 1 THEN 2 END;', 'sqlite'),
+      ['BEGIN', 'INSERT INTO t VALUES (1)', 'END', 'SELECT CASE WHEN 1 THEN 2 END']
+   );
+   assert.deepStrictEqual(
+      split(splitStatements, 'BEGIN; UPDATE t SET a = 1; COMMIT;', 'pg'),
+      ['BEGIN', 'UPDATE t SET a = 1', 'COMMIT']
+   );
+
+   // PostgreSQL SQL-standard function body
+   assert.deepStrictEqual(
+      split(splitStatements, `CREATE OR REPLACE FUNCTION add(a integer, b integer) RETURNS integer
+LANGUAGE SQL
+BEGIN ATOMIC
+   SELECT a + b;
+END;
+SELECT add(1, 2);`, 'pg'),
+      [
+         `CREATE OR REPLACE FUNCTION add(a integer, b integer) RETURNS integer
+LANGUAGE SQL
+BEGIN ATOMIC
+   SELECT a + b;
+END`,
+         'SELECT add(1, 2)'
+      ]
+   );
+
+   // PostgreSQL dollar-quoted body
+   assert.deepStrictEqual(
+      split(splitStatements, 'CREATE FUNCTION f() RETURNS void AS $body$ BEGIN PERFORM 1; END; $body$ LANGUAGE plpgsql; SELECT f();', 'pg'),
+      ['CREATE FUNCTION f() RETURNS void AS $body$ BEGIN PERFORM 1; END; $body$ LANGUAGE plpgsql', 'SELECT f()']
+   );
+
+   // DuckDB
+   assert.deepStrictEqual(
+      split(splitStatements, 'BEGIN TRANSACTION; CREATE TABLE t (a INTEGER); COMMIT;', 'duckdb'),
+      ['BEGIN TRANSACTION', 'CREATE TABLE t (a INTEGER)', 'COMMIT']
+   );
+
+   // SQL Server procedure, without and with GO separators
+   const procedure = `CREATE PROCEDURE dbo.p AS
+BEGIN
+   BEGIN TRANSACTION;
+   IF 1 = 1
+   BEGIN
+      UPDATE t SET a = 1;
+   END;
+   COMMIT TRANSACTION;
+END;`;
+   assert.deepStrictEqual(split(splitStatements, procedure, 'mssql'), [procedure]);
+   assert.deepStrictEqual(
+      split(splitStatements, `${procedure}\nGO\nEXEC dbo.p;\nGO`, 'mssql'),
+      [procedure, 'EXEC dbo.p;']
+   );
+
+   // SQL Server statements inside the GO batches
+   assert.deepStrictEqual(
+      split(splitStatements, 'SELECT 1; SELECT 2\nGO\nSELECT 3;', 'mssql', true),
+      ['SELECT 1', 'SELECT 2', 'SELECT 3']
+   );
+   assert.deepStrictEqual(
+      split(splitStatements, `${procedure}\nGO\nEXEC dbo.p;`, 'mssql', true),
+      [procedure.slice(0, -1), 'EXEC dbo.p']
+   );
+   assert.deepStrictEqual(
+      split(splitStatements, 'BEGIN TRAN; IF 1 = 1 BEGIN UPDATE t SET a = 1; DELETE FROM t; END; BEGIN TRY SELECT 1; END TRY BEGIN CATCH SELECT 2; END CATCH; COMMIT;', 'mssql', true),
+      ['BEGIN TRAN', 'IF 1 = 1 BEGIN UPDATE t SET a = 1; DELETE FROM t; END', 'BEGIN TRY SELECT 1; END TRY BEGIN CATCH SELECT 2; END CATCH', 'COMMIT']
+   );
+
+   // MySQL procedure, without and with DELIMITER
+   const mysqlProcedure = `CREATE PROCEDURE p()
+BEGIN
+   IF 1 = 1 THEN
+      SELECT 1;
+   END IF;
+   WHILE 0 DO
+      SELECT 2;
+   END WHILE;
+END`;
+   assert.deepStrictEqual(
+      split(splitStatements, `${mysqlProcedure};\nCALL p();`, 'mysql'),
+      [mysqlProcedure, 'CALL p()']
+   );
+   assert.deepStrictEqual(
+      split(splitStatements, `DELIMITER $$\n${mysqlProcedure}$$\nDELIMITER ;\nCALL p();`, 'mysql'),
+      [mysqlProcedure, 'CALL p()']
+   );
+
+   // MySQL CASE statement and CASE expression in a procedure
+   assert.deepStrictEqual(
+      split(splitStatements, 'CREATE PROCEDURE p() BEGIN CASE x WHEN 1 THEN SELECT 1; ELSE SELECT 2; END CASE; END; SELECT 3;', 'mysql'),
+      ['CREATE PROCEDURE p() BEGIN CASE x WHEN 1 THEN SELECT 1; ELSE SELECT 2; END CASE; END', 'SELECT 3']
+   );
+   assert.deepStrictEqual(
+      split(splitStatements, 'CREATE PROCEDURE p() BEGIN SELECT CASE WHEN a > 0 THEN \'x\' ELSE \'y\' END AS c FROM t; SELECT 2; END; SELECT 3;', 'mysql'),
+      ['CREATE PROCEDURE p() BEGIN SELECT CASE WHEN a > 0 THEN \'x\' ELSE \'y\' END AS c FROM t; SELECT 2; END', 'SELECT 3']
+   );
+
+   // Columns named as keywords
+   assert.deepStrictEqual(
+      split(splitStatements, 'CREATE TRIGGER trg AFTER UPDATE ON t BEGIN UPDATE t SET x = NEW.end; END; SELECT 1;', 'sqlite'),
+      ['CREATE TRIGGER trg AFTER UPDATE ON t BEGIN UPDATE t SET x = NEW.end; END', 'SELECT 1']
+   );
+
+   console.log('splitStatements tests finished');
+})().catch(err => {
+   console.error(err);
+   process.exit(1);
+});
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const Module = require('module');
+const path = require('path');
+const ts = require('typescript');
+
+/**
+ * Lets the specs require the TypeScript and ES modules of the main process as webpack bundles them:
+ * sources are transpiled to CommonJS, `common/*` imports point to src/common and,
+ * as in webpack, the default import of a CommonJS module is its exports object
+ */
+const root = path.join(__dirname, '..');
+const src = path.join(root, 'src');
+const { compilerOptions } = JSON.parse(fs.readFileSync(path.join(root, 'tsconfig.json'), 'utf8'));
+const { options } = ts.convertCompilerOptionsFromJson(compilerOptions, root);
+
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, ...args) {
+   if (request.startsWith('common/'))
+      request = path.join(src, request);
+
+   return resolveFilename.call(this, request, ...args);
+};
+
+const requireModule = Module.prototype.require;
+Module.prototype.require = function (request) {
+   const exports = requireModule.call(this, request);
+
+   if (this.filename && this.filename.startsWith(src) && Object.isExtensible(exports) && !exports.__esModule && !('default' in exports))
+      Object.defineProperty(exports, 'default', { value: exports });
+
+   return exports;
+};
+
+const loadJs = Module._extensions['.js'];
+const transpile = (module, fileName) => {
+   const source = fs.readFileSync(fileName, 'utf8');
+   const { outputText } = ts.transpileModule(source, {
+      fileName,
+      compilerOptions: { ...options, sourceMap: false, inlineSourceMap: true }
+   });
+
+   module._compile(outputText, fileName);
+};
+
+Module._extensions['.ts'] = transpile;
+Module._extensions['.js'] = (module, fileName) => fileName.startsWith(src)
+   ? transpile(module, fileName)
+   : loadJs(module, fileName);
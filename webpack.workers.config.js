@@ -14,7 +14,9 @@ const config = {
    devtool: isDevMode ? 'eval-source-map' : false,
    entry: {
       exporter: path.join(__dirname, './src/main/workers/exporter.ts'),
-      importer: path.join(__dirname, './src/main/workers/importer.ts')
+      importer: path.join(__dirname, './src/main/workers/importer.ts'),
+      copier: path.join(__dirname, './src/main/workers/copier.ts'),
+      searcher: path.join(__dirname, './src/main/workers/searcher.ts')
    },
    target: 'node',
    output: {